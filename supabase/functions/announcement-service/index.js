@@ -1,8 +1,76 @@
 import { Router } from 'express';
-import { supabase } from '#supabase-client';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { hasPermission } from '#lib/permissions.js';
+import { validateBody } from '#middleware/validate-body.js';
+import { parseListQuery, fetchPage } from '#lib/list-query.js';
+import { recordRevision, ensureBaselineRevision, revisionRoutes } from '#lib/revisions.js';
+import { distribute } from '#lib/distribution.js';
+import { IdList, SetAttachments } from '#lib/schemas.js';
+import { setAttachments, attachmentsFor, attachmentIds, withAttachments } from '#lib/media.js';
+import { recordAudit } from '#lib/audit.js';
+import { displayName } from '#lib/users.js';
+import {
+  splitTaxonomy,
+  assertValidTaxonomy,
+  setTaxonomy,
+  withTaxonomy,
+  taxonomyFilter,
+  selectByTaxonomy,
+} from '#lib/taxonomy.js';
+import { moveToTrash, restoreFromTrash, trashListSpec, fetchTrashPage } from '#lib/trash.js';
+import { fromDatabaseError } from '#lib/errors.js';
+import { CreateAnnouncement, UpdateAnnouncement } from './schemas.js';
+import { withDefaultSchedule, assertValidSchedule, withStatus, applyScheduleFilters } from './schedule.js';
 
 const router = Router();
 
+const LIST_SPEC = {
+  sortable: ['title', 'created_at', 'updated_at', 'starts_at', 'ends_at'],
+  defaultSort: { field: 'created_at', order: 'desc' },
+  // Urgent announcements first, whatever the sort
+  leadingOrder: [
+    { column: 'pinned', ascending: false },
+    { column: 'priority', ascending: false },
+  ],
+  filters: { author: 'creator_id', content_post_id: 'content_post_id', pinned: 'pinned' },
+  dateRanges: { created: 'created_at', updated: 'updated_at', starts: 'starts_at', ends: 'ends_at' },
+  textSearchColumn: 'search',
+};
+
+const TRASH_LIST_SPEC = trashListSpec(LIST_SPEC);
+
+const canSeeUpcoming = (req) => hasPermission(req.user?.role, 'announcements:write');
+
+// Announcements the caller may read: not in the trash, and already started unless they can edit them.
+// `taxonomy` narrows them down to a taxonomyFilter().
+function visibleAnnouncements(req, now = new Date(), taxonomy = null) {
+  const query = selectByTaxonomy('announcement', taxonomy, { count: 'exact' }).is('deleted_at', null);
+  return canSeeUpcoming(req) ? query : query.lte('starts_at', now.toISOString());
+}
+
+// The caller is the creator, named in emails and feeds the way readers see users
+async function creatorOf(req) {
+  const { data, error } = await db.from('users').select('*').eq('id', req.user.id).single();
+  if (error) throw fromDatabaseError(error);
+  return { creator_id: data.id, creator_name: displayName(data) };
+}
+
+// Trashed announcements keep their attachments, categories and tags until the trash is purged
+async function trashAnnouncements(req, ids) {
+  const { changes, notFound } = await moveToTrash('announcement', ids);
+
+  await recordAudit(req, 'announcement.delete', changes);
+  return { deleted: changes.map((change) => change.id), not_found: notFound };
+}
+
+async function restoreAnnouncements(req, ids) {
+  const { changes, notFound } = await restoreFromTrash('announcement', ids);
+
+  await recordAudit(req, 'announcement.restore', changes);
+  return { restored: changes.map((change) => change.id), not_found: notFound };
+}
+
 /**
  * @swagger
  * tags:
@@ -14,38 +82,127 @@ const router = Router();
  * @swagger
  * /v1/announcements/get-all-announcements:
  *   get:
- *     summary: Get all announcements
+ *     summary: List announcements (only started ones unless the caller is an editor)
  *     tags: [Announcements]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, title, created_at, updated_at, starts_at, ends_at]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only announcements showing now (true), or not showing (false)
+ *       - in: query
+ *         name: expired
+ *         schema:
+ *           type: boolean
+ *         description: Only announcements whose ends_at has passed (true), or not (false)
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: integer
+ *         description: Creator user ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slug, also matches announcements in its subcategories
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Tag slug, several separated by commas match announcements with any of them
+ *       - in: query
+ *         name: content_post_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updated_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updated_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: starts_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: starts_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: ends_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: ends_to
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: List of announcements (with expired flag if older than 15 days)
+ *         description: >
+ *           Page of announcements, pinned first, then by priority, then by sort. Each has boolean
+ *           active and expired flags. q searches title and content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
  *       500:
  *         description: Server error
  */
 router.get('/get-all-announcements', async (req, res) => {
-  const { data, error } = await supabase.from('announcements').select('*');
-  if (error) return res.status(500).json({ error: error.message });
-
+  const list = parseListQuery(req.query, LIST_SPEC);
   const now = new Date();
+  const taxonomy = await taxonomyFilter('announcement', req.query);
 
-  const processed = data.map(item => {
-    const createdAt = new Date(item.created_at);
-    const diffDays = Math.floor((now - createdAt) / (1000 * 60 * 60 * 24)); // 15 days in ms
-    return {
-      ...item,
-      expired: diffDays > 15 ? 'true' : 'false' // string as requested
-    };
-  });
+  const select = () => applyScheduleFilters(visibleAnnouncements(req, now, taxonomy), req.query, now);
+  const { data, error } = await fetchPage(select, list);
+  if (error) throw fromDatabaseError(error);
 
-  res.json(processed);
+  const items = data.items.map((item) => withStatus(item, now));
+  res.json({ ...data, items: await withTaxonomy('announcement', await withAttachments('announcement', items)) });
 });
 
 /**
  * @swagger
  * /v1/announcements/get-announcement/{id}:
  *   get:
- *     summary: Get a single announcement by ID
+ *     summary: Get a single announcement by ID (only started ones unless the caller is an editor)
  *     tags: [Announcements]
+ *     security: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -55,75 +212,68 @@ router.get('/get-all-announcements', async (req, res) => {
  *         description: Announcement ID
  *     responses:
  *       200:
- *         description: Announcement found
+ *         description: Announcement found, with its attachments and their signed URLs
  *       404:
  *         description: Announcement not found
  */
 // Get one announcement by id
 router.get('/get-announcement/:id', async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase
-    .from('announcements')
-    .select('*')
-    .eq('id', id)
-    .single();
-  if (error) return res.status(404).json({ error: error.message });
-  res.json(data);
+  const { data, error } = await visibleAnnouncements(req).eq('id', id).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Announcement not found.' });
+
+  const [announcement] = await withTaxonomy('announcement', await withAttachments('announcement', [withStatus(data)]));
+  res.json(announcement);
 });
 
 /**
  * @swagger
  * /v1/announcements/create-announcement:
  *   post:
- *     summary: Create a new announcement (max 5 total allowed)
+ *     summary: Create a new announcement (limited by the announcements quota)
+ *     description: The caller is recorded as its creator.
  *     tags: [Announcements]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               content_post_id:
- *                 type: integer
- *               title:
- *                 type: string
- *               content:
- *                 type: string
- *               creator_id:
- *                 type: integer
- *               creator_name:
- *                 type: string
+ *             $ref: '#/components/schemas/CreateAnnouncement'
  *     responses:
  *       201:
- *         description: Announcement created
- *       400:
- *         description: Validation error or limit reached
+ *         description: Announcement created, and emailed to confirmed addresses once it starts
+ *       409:
+ *         description: The announcements quota is reached (QUOTA_EXCEEDED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Create new announcement
-router.post('/create-announcement', async (req, res) => {
-  const newItem = req.body;
-
-  // Get current user count
-  const { count, error: countError } = await supabase
-    .from('announcements')
-    .select('*', { count: 'exact', head: true });
+router.post('/create-announcement', authorize('announcements:write'), validateBody(CreateAnnouncement), async (req, res) => {
+  const [fields, taxonomy] = splitTaxonomy(req.body);
+  const newItem = { ...withDefaultSchedule(fields), ...(await creatorOf(req)) };
+  assertValidSchedule(newItem);
+  await assertValidTaxonomy(taxonomy);
 
-  if (countError) {
-    return res.status(500).json({ error: countError.message });
-  }
-
-  if ((count || 0) + 1 > 5) {
-    return res.status(400).json({ error: 'Total announcements already reached its limit.' });
-  }
-
-  const { data, error } = await supabase
+  const { data, error } = await db
     .from('announcements')
     .insert([newItem])
     .select();
     
-  if (error) return res.status(400).json({ error: error.message });
-  res.status(201).json(data);
+  if (error) throw fromDatabaseError(error);
+
+  await setTaxonomy('announcement', data[0].id, taxonomy);
+  await recordRevision('announcement', data[0], req.user.id);
+
+  // Scheduled announcements are emailed by the announcement scheduler once they start
+  const [announcement] = await withTaxonomy('announcement', [withStatus(data[0])]);
+  if (announcement.active) await distribute('announcement', data[0]);
+
+  await recordAudit(req, 'announcement.create', { id: announcement.id, after: announcement });
+  res.status(201).json([announcement]);
 });
 
 /**
@@ -137,44 +287,61 @@ router.post('/create-announcement', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               id:
- *                 type: integer
- *               title:
- *                 type: string
- *               content:
- *                 type: string
- *               updated_at:
- *                 type: string
- *                 format: date-time
+ *             $ref: '#/components/schemas/UpdateAnnouncement'
  *     responses:
  *       200:
- *         description: Announcement updated
+ *         description: Announcement updated (a revision is recorded)
  *       400:
  *         description: Error updating
+ *       404:
+ *         description: Announcement not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Update announcement by id from body
-router.put('/update-announcement', async (req, res) => {
-  const { id, ...updates } = req.body;
+router.put('/update-announcement', authorize('announcements:write'), validateBody(UpdateAnnouncement), async (req, res) => {
+  const [{ id, ...updates }, taxonomy] = splitTaxonomy(req.body);
 
-  if (!id) return res.status(400).json({ error: 'Announcement ID is required in the request body.' });
+  const { data: current, error: currentError } = await db
+    .from('announcements')
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+  if (currentError) throw fromDatabaseError(currentError, { notFound: 'Announcement not found.' });
+  assertValidSchedule({ ...current, ...updates });
+  await assertValidTaxonomy(taxonomy);
+  await ensureBaselineRevision('announcement', current);
 
-  const { data, error } = await supabase
+  const { data, error } = await db
     .from('announcements')
-    .update(updates)
+    .update({ ...updates, updated_at: new Date().toISOString() })
     .eq('id', id)
     .select();
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  if (error) throw fromDatabaseError(error);
+
+  const [before] = await withTaxonomy('announcement', [withStatus(current)]);
+  await setTaxonomy('announcement', current.id, taxonomy);
+  await recordRevision('announcement', data[0], req.user.id);
+
+  const updated = await withTaxonomy('announcement', data.map((row) => withStatus(row)));
+  await recordAudit(req, 'announcement.update', { id: current.id, before, after: updated[0] });
+  res.json(updated);
 });
 
 /**
  * @swagger
  * /v1/announcements/delete-announcement/{id}:
  *   delete:
- *     summary: Delete an announcement by ID
+ *     summary: Move an announcement to the trash by ID
+ *     description: >
+ *       The announcement disappears from lists, feeds and every other route, and no longer
+ *       counts toward the announcements quota.
  *     tags: [Announcements]
  *     parameters:
  *       - in: path
@@ -184,60 +351,342 @@ router.put('/update-announcement', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Announcement deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Delete one announcement by id
-router.delete('/delete-announcement/:id', async (req, res) => {
+router.delete('/delete-announcement/:id', authorize('announcements:write'), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase
-    .from('announcements')
-    .delete()
-    .eq('id', id);
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.json(await trashAnnouncements(req, [Number(id)]));
 });
 
 /**
  * @swagger
  * /v1/announcements/delete-announcements:
  *   delete:
- *     summary: Delete multiple announcements
+ *     summary: Move multiple announcements to the trash
  *     tags: [Announcements]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: integer
- *             example:
- *               ids: [1, 2, 3]
+ *             $ref: '#/components/schemas/IdList'
  *     responses:
  *       200:
- *         description: Announcements deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Delete many announcements by ids
-router.delete('/delete-announcements/', async (req, res) => {
+router.delete('/delete-announcements/', authorize('announcements:write'), validateBody(IdList), async (req, res) => {
   const { ids } = req.body; // expects { ids: [1, 2, 3] }
-  if (!Array.isArray(ids) || ids.length === 0) {
-    return res.status(400).json({ error: 'Request body must include an array of ids.' });
-  }
+  res.json(await trashAnnouncements(req, ids));
+});
+
+/**
+ * @swagger
+ * /v1/announcements/get-trashed-announcements:
+ *   get:
+ *     summary: List announcements in the trash, most recently deleted first
+ *     tags: [Announcements]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, title, created_at, updated_at, starts_at, ends_at, deleted_at]
+ *       - in: query
+ *         name: deleted_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: deleted_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: >
+ *           Page of announcements with their categories and tags, deleted_at and purge_at, when
+ *           they will be removed for good
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-trashed-announcements', authorize('announcements:write'), async (req, res) => {
+  const list = parseListQuery(req.query, TRASH_LIST_SPEC);
+
+  const { data, error } = await fetchTrashPage('announcement', list);
+  if (error) throw fromDatabaseError(error);
+  res.json({ ...data, items: await withTaxonomy('announcement', data.items.map((item) => withStatus(item))) });
+});
 
-  const { data, error } = await supabase
+/**
+ * @swagger
+ * /v1/announcements/restore-announcement/{id}:
+ *   post:
+ *     summary: Take an announcement out of the trash
+ *     tags: [Announcements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the announcements quota (QUOTA_EXCEEDED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-announcement/:id', authorize('announcements:write'), async (req, res) => {
+  const { id } = req.params;
+  res.json(await restoreAnnouncements(req, [Number(id)]));
+});
+
+/**
+ * @swagger
+ * /v1/announcements/restore-announcements:
+ *   post:
+ *     summary: Take multiple announcements out of the trash
+ *     tags: [Announcements]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IdList'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the announcements quota (QUOTA_EXCEEDED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-announcements', authorize('announcements:write'), validateBody(IdList), async (req, res) => {
+  res.json(await restoreAnnouncements(req, req.body.ids));
+});
+
+/**
+ * @swagger
+ * /v1/announcements/set-attachments/{id}:
+ *   put:
+ *     summary: Set the cover image, gallery and downloads of an announcement
+ *     description: >
+ *       Only the fields sent are replaced. Media no longer attached anywhere is deleted.
+ *       Upload files with /v1/media/upload first.
+ *     tags: [Announcements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetAttachments'
+ *     responses:
+ *       200:
+ *         description: The attachments of the announcement, with signed URLs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachments'
+ *       404:
+ *         description: Announcement not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/set-attachments/:id', authorize('announcements:write'), validateBody(SetAttachments), async (req, res) => {
+  const { id } = req.params;
+  const { data: announcement, error } = await db
     .from('announcements')
-    .delete()
-    .in('id', ids);
+    .select('id')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Announcement not found.' });
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  const before = (await attachmentsFor('announcement', [announcement.id])).get(announcement.id);
+  const attachments = await setAttachments('announcement', announcement.id, req.body);
+  await recordAudit(req, 'announcement.set_attachments', {
+    id: announcement.id,
+    before: attachmentIds(before),
+    after: attachmentIds(attachments),
+  });
+  res.json(attachments);
 });
 
+/**
+ * @swagger
+ * /v1/announcements/get-revisions/{id}:
+ *   get:
+ *     summary: List the revisions of an announcement (only started ones unless the caller is an editor)
+ *     tags: [Announcements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Announcement ID
+ *     responses:
+ *       200:
+ *         description: Revisions without snapshots, oldest first
+ *       404:
+ *         description: Announcement not found
+ *       500:
+ *         description: Server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /v1/announcements/get-revision/{id}/{version}:
+ *   get:
+ *     summary: Get one revision of an announcement including its full snapshot
+ *     tags: [Announcements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Announcement ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision found
+ *       404:
+ *         description: Announcement or revision not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /v1/announcements/diff-revisions/{id}:
+ *   get:
+ *     summary: Compare two revisions of an announcement field by field
+ *     tags: [Announcements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Announcement ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of changed fields with their old and new values
+ *       400:
+ *         description: Missing from/to versions
+ *       404:
+ *         description: Announcement or revision not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /v1/announcements/restore-revision/{id}/{version}:
+ *   post:
+ *     summary: Restore a past revision as the current version of an announcement
+ *     tags: [Announcements]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Announcement ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Announcement restored (a new revision is recorded)
+ *       404:
+ *         description: Announcement or revision not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.use(
+  revisionRoutes({
+    resourceType: 'announcement',
+    table: 'announcements',
+    label: 'Announcement',
+    fields: ['content_post_id', 'title', 'content'],
+    permissions: { read: 'announcements:read', write: 'announcements:write' },
+    visible: (req) => visibleAnnouncements(req),
+    present: withStatus,
+  })
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,92 @@
+import { db } from '#storage';
+import { distribute } from '#lib/distribution.js';
+import { BadRequestError, ValidationError } from '#lib/errors.js';
+
+// Announcements created without an end stop showing this long after they start
+export const DEFAULT_DURATION_DAYS = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fill in `starts_at` (now) and `ends_at` (DEFAULT_DURATION_DAYS later) when a new
+ * announcement does not set them. An explicit `ends_at: null` never ends.
+ */
+export function withDefaultSchedule(announcement, now = new Date()) {
+  const startsAt = announcement.starts_at ? new Date(announcement.starts_at) : now;
+  const endsAt =
+    announcement.ends_at === undefined ? new Date(startsAt.getTime() + DEFAULT_DURATION_DAYS * DAY_MS) : announcement.ends_at;
+
+  return {
+    ...announcement,
+    starts_at: startsAt.toISOString(),
+    ends_at: endsAt === null ? null : new Date(endsAt).toISOString(),
+  };
+}
+
+/**
+ * Throw a ValidationError unless the announcement ends after it starts.
+ */
+export function assertValidSchedule({ starts_at: startsAt, ends_at: endsAt }) {
+  if (endsAt !== null && endsAt !== undefined && new Date(endsAt) <= new Date(startsAt)) {
+    throw new ValidationError('Request body is invalid.', [{ field: 'ends_at', message: 'must be after starts_at' }]);
+  }
+}
+
+/**
+ * Add the boolean `expired` (ends_at has passed) and `active` (started and not expired) flags.
+ */
+export function withStatus(announcement, now = new Date()) {
+  const expired = announcement.ends_at !== null && new Date(announcement.ends_at) <= now;
+  const active = !expired && new Date(announcement.starts_at) <= now;
+  return { ...announcement, expired, active };
+}
+
+const parseFlag = (name, value) => {
+  if (value === undefined) return undefined;
+  if (value !== 'true' && value !== 'false') throw new BadRequestError(`${name} must be true or false.`);
+  return value === 'true';
+};
+
+/**
+ * Apply the `?active=` and `?expired=` list filters to an announcements query.
+ */
+export function applyScheduleFilters(query, params, now = new Date()) {
+  const active = parseFlag('active', params.active);
+  const expired = parseFlag('expired', params.expired);
+  const at = `"${now.toISOString()}"`;
+
+  if (active === true) query = query.lte('starts_at', now.toISOString()).or(`ends_at.is.null,ends_at.gt.${at}`);
+  if (active === false) query = query.or(`starts_at.gt.${at},ends_at.lte.${at}`);
+  if (expired === true) query = query.lte('ends_at', now.toISOString());
+  if (expired === false) query = query.or(`ends_at.is.null,ends_at.gt.${at}`);
+  return query;
+}
+
+/**
+ * Email announcements that started since they were created, once. Only looks back a day,
+ * so announcements that ended or were created before distribution existed are left alone.
+ */
+export async function distributeStartedAnnouncements(now = new Date()) {
+  const { data, error } = await db
+    .from('announcements')
+    .select('*')
+    .is('deleted_at', null)
+    .lte('starts_at', now.toISOString())
+    .gt('starts_at', new Date(now.getTime() - DAY_MS).toISOString())
+    .or(`ends_at.is.null,ends_at.gt."${now.toISOString()}"`);
+
+  if (error) throw error;
+  for (const announcement of data) await distribute('announcement', announcement);
+  return data;
+}
+
+/**
+ * Periodically email announcements whose start time has come.
+ */
+export function startAnnouncementScheduler(intervalMs = 60 * 1000) {
+  const timer = setInterval(() => {
+    distributeStartedAnnouncements().catch((error) => console.error('Announcement distribution failed:', error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,39 @@
+import { Taxonomy } from '#lib/schemas.js';
+
+const scheduleFields = {
+  starts_at: { type: 'string', format: 'date-time', description: 'When it starts showing, now if not set on create' },
+  ends_at: {
+    type: 'string',
+    format: 'date-time',
+    nullable: true,
+    description: 'When it stops showing, 15 days after starts_at if not set on create, null never ends',
+  },
+  pinned: { type: 'boolean', description: 'Pinned announcements are listed first' },
+  priority: { type: 'integer', minimum: 0, maximum: 100, description: 'Higher is listed first, after pinned ones' },
+};
+
+export const CreateAnnouncement = {
+  type: 'object',
+  required: ['title', 'content'],
+  additionalProperties: false,
+  properties: {
+    content_post_id: { type: 'integer', minimum: 1, nullable: true },
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    content: { type: 'string', maxLength: 10000 },
+    ...scheduleFields,
+    ...Taxonomy.properties,
+  },
+};
+
+export const UpdateAnnouncement = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    content: { type: 'string', maxLength: 10000 },
+    ...scheduleFields,
+    ...Taxonomy.properties,
+  },
+};
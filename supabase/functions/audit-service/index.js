@@ -0,0 +1,119 @@
+import { Router } from 'express';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { parseListQuery, fetchPage } from '#lib/list-query.js';
+import { fromDatabaseError } from '#lib/errors.js';
+
+const router = Router();
+
+const LIST_SPEC = {
+  sortable: ['created_at'],
+  defaultSort: { field: 'created_at', order: 'desc' },
+  filters: { actor: 'actor_id', action: 'action', resource_type: 'resource_type', resource_id: 'resource_id' },
+  dateRanges: { created: 'created_at' },
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Who changed what and when, entries can never be edited or removed
+ */
+
+/**
+ * @swagger
+ * /v1/audit/get-audit-log:
+ *   get:
+ *     summary: List audit log entries, newest first
+ *     tags: [Audit]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at]
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: integer
+ *         description: Id of the user who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         example: content_post.delete
+ *       - in: query
+ *         name: resource_type
+ *         schema:
+ *           type: string
+ *         example: content_post
+ *       - in: query
+ *         name: resource_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Page of entries with before/after snapshots, secret fields are redacted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-audit-log', authorize('audit:read'), async (req, res) => {
+  const list = parseListQuery(req.query, LIST_SPEC);
+
+  const { data, error } = await fetchPage(() => db.from('audit_log').select('*', { count: 'exact' }), list);
+  if (error) throw fromDatabaseError(error);
+  res.json(data);
+});
+
+/**
+ * @swagger
+ * /v1/audit/get-audit-entry/{id}:
+ *   get:
+ *     summary: Get one audit log entry
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Entry found
+ *       404:
+ *         description: Entry not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-audit-entry/:id', authorize('audit:read'), async (req, res) => {
+  const { id } = req.params;
+  const { data, error } = await db.from('audit_log').select('*').eq('id', id).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Audit log entry not found.' });
+  res.json(data);
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import 'dotenv/config';
+import { createHash } from 'node:crypto';
+import { renderContent } from '#lib/markdown.js';
+import { allCategories, taxonomyFilter, selectByTaxonomy, withTaxonomy } from '#lib/taxonomy.js';
+import { API_URL, SITE_URL } from '#lib/urls.js';
+import { NotFoundError } from '#lib/errors.js';
+import { applyScheduleFilters } from '../announcement-service/schedule.js';
+
+// Newest items per feed, posts and announcements together
+const FEED_SIZE = Number(process.env.FEED_SIZE || 50);
+
+const FEED_TITLE = process.env.FEED_TITLE || 'Posts and announcements';
+
+const escapeXml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Ids stay the same when a post is renamed, links follow its current slug
+const postEntry = (post) => ({
+  id: `${API_URL}/v1/content/get-content/${post.id}`,
+  url: SITE_URL ? `${SITE_URL}/content/${post.slug}` : `${API_URL}/v1/content/by-slug/${post.slug}`,
+  title: post.title,
+  published: post.published_at,
+  updated: post.updated_at ?? post.published_at,
+  author: null,
+  categories: [...post.categories, ...post.tags].map((term) => term.name),
+  ...contentOf(post),
+});
+
+const announcementEntry = (announcement) => ({
+  id: `${API_URL}/v1/announcements/get-announcement/${announcement.id}`,
+  url: SITE_URL
+    ? `${SITE_URL}/announcements/${announcement.id}`
+    : `${API_URL}/v1/announcements/get-announcement/${announcement.id}`,
+  title: announcement.title,
+  published: announcement.starts_at,
+  updated: announcement.updated_at ?? announcement.starts_at,
+  author: announcement.creator_name,
+  categories: [...announcement.categories, ...announcement.tags].map((term) => term.name),
+  ...contentOf(announcement),
+});
+
+function contentOf(row) {
+  const { html, excerpt } = renderContent(row);
+  return { html, summary: excerpt };
+}
+
+/**
+ * The newest published posts and current announcements, optionally limited to a
+ * category (and its subcategories) given by slug.
+ */
+export async function loadFeed({ category } = {}, now = new Date()) {
+  let title = FEED_TITLE;
+  if (category) {
+    const match = [...(await allCategories()).values()].find((row) => row.slug === category);
+    if (!match) throw new NotFoundError('Category not found.');
+    title = `${FEED_TITLE}: ${match.name}`;
+  }
+
+  const [postTaxonomy, announcementTaxonomy] = await Promise.all([
+    taxonomyFilter('content_post', { category }),
+    taxonomyFilter('announcement', { category }),
+  ]);
+
+  const posts = selectByTaxonomy('content_post', postTaxonomy).eq('status', 'published').is('deleted_at', null);
+  const announcements = applyScheduleFilters(
+    selectByTaxonomy('announcement', announcementTaxonomy).is('deleted_at', null),
+    { active: 'true' },
+    now
+  );
+
+  const [postRows, announcementRows] = await Promise.all([
+    posts.order('published_at', { ascending: false }).limit(FEED_SIZE),
+    announcements.order('starts_at', { ascending: false }).limit(FEED_SIZE),
+  ]);
+  if (postRows.error) throw postRows.error;
+  if (announcementRows.error) throw announcementRows.error;
+
+  const entries = [
+    ...(await withTaxonomy('content_post', postRows.data)).map(postEntry),
+    ...(await withTaxonomy('announcement', announcementRows.data)).map(announcementEntry),
+  ]
+    .sort((a, b) => new Date(b.published) - new Date(a.published))
+    .slice(0, FEED_SIZE);
+
+  const updated = entries.reduce(
+    (latest, entry) => (!latest || new Date(entry.updated) > new Date(latest) ? entry.updated : latest),
+    null
+  );
+  return { title, homePage: SITE_URL ?? API_URL, updated, entries };
+}
+
+const toIso = (value) => new Date(value).toISOString();
+
+function renderRss(feed, selfUrl) {
+  const items = feed.entries.map(
+    (entry) => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <pubDate>${new Date(entry.published).toUTCString()}</pubDate>
+${entry.author ? `      <dc:creator>${escapeXml(entry.author)}</dc:creator>\n` : ''}${entry.categories
+      .map((name) => `      <category>${escapeXml(name)}</category>\n`)
+      .join('')}      <description>${escapeXml(entry.summary)}</description>
+      <content:encoded>${escapeXml(entry.html)}</content:encoded>
+    </item>
+`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePage)}</link>
+    <description>${escapeXml(feed.title)}</description>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+${feed.updated ? `    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>\n` : ''}${items.join('')}  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, selfUrl) {
+  const entries = feed.entries.map(
+    (entry) => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" href="${escapeXml(entry.url)}"/>
+    <published>${toIso(entry.published)}</published>
+    <updated>${toIso(entry.updated)}</updated>
+${entry.author ? `    <author><name>${escapeXml(entry.author)}</name></author>\n` : ''}${entry.categories
+      .map((name) => `    <category term="${escapeXml(name)}"/>\n`)
+      .join('')}    <summary>${escapeXml(entry.summary)}</summary>
+    <content type="html">${escapeXml(entry.html)}</content>
+  </entry>
+`
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <updated>${toIso(feed.updated ?? 0)}</updated>
+  <author><name>${escapeXml(FEED_TITLE)}</name></author>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" href="${escapeXml(feed.homePage)}"/>
+${entries.join('')}</feed>
+`;
+}
+
+function renderJsonFeed(feed, selfUrl) {
+  const body = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homePage,
+    feed_url: selfUrl,
+    items: feed.entries.map((entry) => ({
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      content_html: entry.html,
+      summary: entry.summary,
+      date_published: toIso(entry.published),
+      date_modified: toIso(entry.updated),
+      ...(entry.author && { authors: [{ name: entry.author }] }),
+      ...(entry.categories.length > 0 && { tags: entry.categories }),
+    })),
+  };
+  return `${JSON.stringify(body, null, 2)}\n`;
+}
+
+export const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed },
+};
+
+/**
+ * Render a feed and the strong ETag of its body clients poll it with. There is no
+ * Last-Modified: entries that leave the feed would move it backwards.
+ */
+export function renderFeed(format, feed, selfUrl) {
+  const body = FEED_FORMATS[format].render(feed, selfUrl);
+  return {
+    body,
+    contentType: FEED_FORMATS[format].contentType,
+    etag: `"${createHash('sha256').update(body).digest('base64url').slice(0, 27)}"`,
+  };
+}
@@ -1,8 +1,72 @@
 import { Router } from 'express';
-import { supabase } from '#supabase-client';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { validateBody } from '#middleware/validate-body.js';
+import { hasPermission } from '#lib/permissions.js';
+import { parseListQuery, fetchPage } from '#lib/list-query.js';
+import { recordRevision, ensureBaselineRevision, revisionRoutes } from '#lib/revisions.js';
+import { IdList, SetAttachments } from '#lib/schemas.js';
+import { setAttachments, attachmentsFor, attachmentIds, withAttachments } from '#lib/media.js';
+import { recordAudit } from '#lib/audit.js';
+import { renderContent } from '#lib/markdown.js';
+import {
+  splitTaxonomy,
+  assertValidTaxonomy,
+  setTaxonomy,
+  withTaxonomy,
+  taxonomyFilter,
+  selectByTaxonomy,
+} from '#lib/taxonomy.js';
+import { moveToTrash, restoreFromTrash, trashListSpec, fetchTrashPage } from '#lib/trash.js';
+import { API_URL } from '#lib/urls.js';
+import { fromDatabaseError, NotFoundError, BadRequestError, ConflictError } from '#lib/errors.js';
+import { STATUSES, canTransition, transitionPost } from './workflow.js';
+import { loadFeed, renderFeed } from './feeds.js';
+import { generateSlug, claimSlug, nextSlug, recordSlugChange, findRedirect } from './slugs.js';
+import { CreatePost, SchedulePost, UpdatePost } from './schemas.js';
 
 const router = Router();
 
+// Editors see posts in every status, everyone else only sees published ones
+const canSeeUnpublished = (req) => hasPermission(req.user?.role, 'content:write');
+
+// Posts the caller may read, narrow it down with .eq()
+function visiblePosts(req) {
+  const query = db.from('content_posts').select('*').is('deleted_at', null);
+  return canSeeUnpublished(req) ? query : query.eq('status', 'published');
+}
+
+// A single post as the read routes return it
+async function presentPost(data) {
+  const [post] = await withTaxonomy('content_post', await withAttachments('content_post', [data]));
+  return { ...post, rendered: renderContent(post) };
+}
+
+const LIST_SPEC = {
+  sortable: ['title', 'created_at', 'updated_at', 'publish_at', 'published_at'],
+  defaultSort: { field: 'created_at', order: 'desc' },
+  filters: { author: 'author_id' },
+  dateRanges: { created: 'created_at', updated: 'updated_at', published: 'published_at' },
+  textSearchColumn: 'search',
+};
+
+const TRASH_LIST_SPEC = trashListSpec(LIST_SPEC);
+
+// Trashed posts keep their attachments, categories and tags until the trash is purged
+async function trashPosts(req, ids) {
+  const { changes, notFound } = await moveToTrash('content_post', ids);
+
+  await recordAudit(req, 'content_post.delete', changes);
+  return { deleted: changes.map((change) => change.id), not_found: notFound };
+}
+
+async function restorePosts(req, ids) {
+  const { changes, notFound } = await restoreFromTrash('content_post', ids);
+
+  await recordAudit(req, 'content_post.restore', changes);
+  return { restored: changes.map((change) => change.id), not_found: notFound };
+}
+
 /**
  * @swagger
  * tags:
@@ -12,28 +76,112 @@ const router = Router();
 
 /**
  * @swagger
- * /v1/content-posts/get-all-contents:
+ * /v1/content/get-all-contents:
  *   get:
- *     summary: Get all content posts
+ *     summary: List content posts (only published ones unless the caller is an editor)
  *     tags: [ContentPosts]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, title, created_at, updated_at, publish_at, published_at]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, archived]
+ *         description: Filter by status (editors only)
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: integer
+ *         description: Author user ID
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slug, also matches posts in its subcategories
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Tag slug, several separated by commas match posts with any of them
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updated_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: updated_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: published_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: published_to
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: List of content posts
+ *         description: Page of content posts, q searches title, description and content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
  *       500:
  *         description: Server error
  */
 router.get('/get-all-contents', async (req, res) => {
-  const { data, error } = await supabase.from('content_posts').select('*');
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+  const list = parseListQuery(req.query, LIST_SPEC);
+
+  const { status } = req.query;
+  if (canSeeUnpublished(req) && status && !STATUSES.includes(status)) {
+    throw new BadRequestError(`Status must be one of: ${STATUSES.join(', ')}.`);
+  }
+
+  const taxonomy = await taxonomyFilter('content_post', req.query);
+  const select = () => {
+    const query = selectByTaxonomy('content_post', taxonomy, { count: 'exact' }).is('deleted_at', null);
+    if (!canSeeUnpublished(req)) return query.eq('status', 'published');
+    return status ? query.eq('status', status) : query;
+  };
+
+  const { data, error } = await fetchPage(select, list);
+  if (error) throw fromDatabaseError(error);
+  res.json({ ...data, items: await withTaxonomy('content_post', await withAttachments('content_post', data.items)) });
 });
 
 /**
  * @swagger
- * /v1/content-posts/get-content/{id}:
+ * /v1/content/get-content/{id}:
  *   get:
- *     summary: Get a content post by ID
+ *     summary: Get a content post by ID (unpublished posts are only visible to editors)
  *     tags: [ContentPosts]
+ *     security: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -43,68 +191,223 @@ router.get('/get-all-contents', async (req, res) => {
  *         description: Content post ID
  *     responses:
  *       200:
- *         description: Content post found
+ *         description: Content post found, with its attachments and their signed URLs, and the content rendered for display next to the raw source
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 content:
+ *                   type: string
+ *                   description: Raw source, as written
+ *                 rendered:
+ *                   $ref: '#/components/schemas/RenderedContent'
  *       404:
  *         description: Content post not found
  */
 // Get one by id
-router.get('get-content/:id', async (req, res) => {
+router.get('/get-content/:id', async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('content_posts').select('*').eq('id', id).single();
-  if (error) return res.status(404).json({ error: error.message });
-  res.json(data);
+
+  const { data, error } = await visiblePosts(req).eq('id', id).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Content post not found.' });
+
+  res.json(await presentPost(data));
 });
 
 /**
  * @swagger
- * /v1/content-posts/create-post:
+ * /v1/content/by-slug/{slug}:
+ *   get:
+ *     summary: Get a content post by its slug (unpublished posts are only visible to editors)
+ *     tags: [ContentPosts]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Current or previous slug of the post
+ *     responses:
+ *       200:
+ *         description: Content post found, same body as get-content
+ *       301:
+ *         description: The slug is an old one, Location points to the post's current slug
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 redirect:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     location:
+ *                       type: string
+ *       404:
+ *         description: No post has ever used this slug
+ */
+// Get one by slug, old slugs answer with a redirect to the current one
+router.get('/by-slug/:slug', async (req, res) => {
+  const { slug } = req.params;
+
+  const { data, error } = await visiblePosts(req).eq('slug', slug).maybeSingle();
+  if (error) throw fromDatabaseError(error);
+  if (data) return res.json(await presentPost(data));
+
+  const postId = await findRedirect(slug);
+  const { data: post, error: redirectError } = postId
+    ? await visiblePosts(req).eq('id', postId).maybeSingle()
+    : { data: null, error: null };
+  if (redirectError) throw fromDatabaseError(redirectError);
+  if (!post) throw new NotFoundError('Content post not found.');
+
+  const location = `${req.baseUrl}/by-slug/${post.slug}`;
+  res.status(301).location(location).json({ redirect: { from: slug, to: post.slug, location } });
+});
+
+/**
+ * Build a handler that serves the feed in `format`, answering 304 when the
+ * caller's If-None-Match shows it is up to date.
+ */
+const sendFeed = (format) => async (req, res) => {
+  const feed = await loadFeed({ category: req.query.category });
+  const { body, contentType, etag } = renderFeed(format, feed, `${API_URL}${req.originalUrl}`);
+
+  res.set({ 'Content-Type': contentType, ETag: etag, 'Cache-Control': 'public, max-age=300' });
+  if (req.fresh) return res.status(304).end();
+  res.send(body);
+};
+
+/**
+ * @swagger
+ * /v1/content/feed.xml:
+ *   get:
+ *     summary: RSS 2.0 feed of published posts and current announcements
+ *     tags: [ContentPosts]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slug, limits the feed to that category and its subcategories
+ *     responses:
+ *       200:
+ *         description: The newest 50 items, with an ETag header
+ *         content:
+ *           application/rss+xml: {}
+ *       304:
+ *         description: Unchanged since the ETag the caller sent
+ *       404:
+ *         description: Category not found
+ */
+router.get('/feed.xml', sendFeed('rss'));
+
+/**
+ * @swagger
+ * /v1/content/feed.atom:
+ *   get:
+ *     summary: Atom feed of published posts and current announcements
+ *     tags: [ContentPosts]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slug, limits the feed to that category and its subcategories
+ *     responses:
+ *       200:
+ *         description: The newest 50 items, with an ETag header
+ *         content:
+ *           application/atom+xml: {}
+ *       304:
+ *         description: Unchanged since the ETag the caller sent
+ *       404:
+ *         description: Category not found
+ */
+router.get('/feed.atom', sendFeed('atom'));
+
+/**
+ * @swagger
+ * /v1/content/feed.json:
+ *   get:
+ *     summary: JSON Feed 1.1 of published posts and current announcements
+ *     tags: [ContentPosts]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slug, limits the feed to that category and its subcategories
+ *     responses:
+ *       200:
+ *         description: The newest 50 items, with an ETag header
+ *         content:
+ *           application/feed+json: {}
+ *       304:
+ *         description: Unchanged since the ETag the caller sent
+ *       404:
+ *         description: Category not found
+ */
+router.get('/feed.json', sendFeed('json'));
+
+/**
+ * @swagger
+ * /v1/content/create-post:
  *   post:
- *     summary: Create a new content post (max 5 allowed)
+ *     summary: Create a new content post as a draft (limited by the content_posts quota)
  *     tags: [ContentPosts]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               content:
- *                 type: string
+ *             $ref: '#/components/schemas/CreatePost'
  *     responses:
  *       201:
- *         description: Content post created
- *       400:
- *         description: Validation error or limit reached
+ *         description: Content post created, with a slug generated from the title unless one is sent
+ *       409:
+ *         description: The slug is used by another post (CONFLICT), or the content_posts quota is reached (QUOTA_EXCEEDED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-// Create one
-router.post('/create-post', async (req, res) => {
-  const newItem = req.body;
+// Create one (always starts as a draft, use the workflow routes to publish)
+router.post('/create-post', authorize('content:write'), validateBody(CreatePost), async (req, res) => {
+  const [fields, taxonomy] = splitTaxonomy(req.body);
+  await assertValidTaxonomy(taxonomy);
 
-  // Get current user count
-  const { count, error: countError } = await supabase
-    .from('content_posts')
-    .select('*', { count: 'exact', head: true });
+  const slug = fields.slug ? await claimSlug(fields.slug) : await generateSlug(fields.title);
+  const newItem = { ...fields, slug, status: 'draft', author_id: req.user.id };
 
-  if (countError) {
-    return res.status(500).json({ error: countError.message });
-  }
+  const { data, error } = await db.from('content_posts').insert([newItem]).select();
+  if (error) throw fromDatabaseError(error);
 
-  if ((count || 0) + 1 > 5) {
-    return res.status(400).json({ error: 'Total content posts already reached its limit.' });
-  }
-  
-  const { data, error } = await supabase.from('content_posts').insert([newItem]).select();
-  if (error) return res.status(400).json({ error: error.message });
-  res.status(201).json(data);
+  await setTaxonomy('content_post', data[0].id, taxonomy);
+  await recordRevision('content_post', data[0], req.user.id);
+
+  const created = await withTaxonomy('content_post', data);
+  await recordAudit(req, 'content_post.create', { id: created[0].id, after: created[0] });
+  res.status(201).json(created);
 });
 
 /**
  * @swagger
- * /v1/content-posts/update-post:
+ * /v1/content/update-post:
  *   put:
  *     summary: Update a content post
  *     tags: [ContentPosts]
@@ -113,41 +416,63 @@ router.post('/create-post', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               id:
- *                 type: integer
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               content:
- *                 type: string
- *               updated_at:
- *                 type: string
- *                 format: date-time
- *     responses:
- *       200:
- *         description: Content post updated
+ *             $ref: '#/components/schemas/UpdatePost'
+ *     responses:
+ *       200:
+ *         description: Content post updated (a revision is recorded). A new title gives it a new slug unless one is sent, the old slug keeps redirecting
+ *       409:
+ *         description: The slug is used by another post
  *       400:
  *         description: Error updating
+ *       404:
+ *         description: Content post not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Update by id from body
-router.put('/update-post', async (req, res) => {
-  const { id, ...updates } = req.body;
+router.put('/update-post', authorize('content:write'), validateBody(UpdatePost), async (req, res) => {
+  const [{ id, ...updates }, taxonomy] = splitTaxonomy(req.body);
 
-  if (!id) return res.status(400).json({ error: 'Content post ID is required in the request body.' });
+  const { data: current, error: currentError } = await db
+    .from('content_posts')
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+  if (currentError) throw fromDatabaseError(currentError, { notFound: 'Content post not found.' });
+  await assertValidTaxonomy(taxonomy);
+  await ensureBaselineRevision('content_post', current);
 
-  const { data, error } = await supabase.from('content_posts').update(updates).eq('id', id).select();
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  const slug = await nextSlug(current, updates);
+  const { data, error } = await db
+    .from('content_posts')
+    .update({ ...updates, slug, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select();
+  if (error) throw fromDatabaseError(error);
+
+  const [before] = await withTaxonomy('content_post', [current]);
+  if (slug !== current.slug) await recordSlugChange(current.id, current.slug, slug);
+  await setTaxonomy('content_post', current.id, taxonomy);
+  await recordRevision('content_post', data[0], req.user.id);
+
+  const updated = await withTaxonomy('content_post', data);
+  await recordAudit(req, 'content_post.update', { id: current.id, before, after: updated[0] });
+  res.json(updated);
 });
 
 /**
  * @swagger
- * /v1/content-posts/delete-post/{id}:
+ * /v1/content/delete-post/{id}:
  *   delete:
- *     summary: Delete a content post by ID
+ *     summary: Move a content post to the trash by ID
+ *     description: >
+ *       The post disappears from lists, feeds and every other route, and no longer counts
+ *       toward the content_posts quota. Until the trash is purged it keeps its slug.
  *     tags: [ContentPosts]
  *     parameters:
  *       - in: path
@@ -157,58 +482,531 @@ router.put('/update-post', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Content post deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Delete by id
-router.delete('/delete-post/:id', async (req, res) => {
+router.delete('/delete-post/:id', authorize('content:write'), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('content_posts').delete().eq('id', id);
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.json(await trashPosts(req, [Number(id)]));
 });
 
 /**
  * @swagger
- * /v1/content-posts/delete-posts:
+ * /v1/content/delete-posts:
  *   delete:
- *     summary: Delete multiple content posts by IDs
+ *     summary: Move multiple content posts to the trash by IDs
  *     tags: [ContentPosts]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: integer
- *             example:
- *               ids: [1, 2, 3]
+ *             $ref: '#/components/schemas/IdList'
  *     responses:
  *       200:
- *         description: Content posts deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Delete many by ids
-router.delete('/delete-posts', async (req, res) => {
+router.delete('/delete-posts', authorize('content:write'), validateBody(IdList), async (req, res) => {
   const { ids } = req.body; // expects { ids: [id1, id2, ...] }
+  res.json(await trashPosts(req, ids));
+});
+
+/**
+ * @swagger
+ * /v1/content/get-trashed-posts:
+ *   get:
+ *     summary: List content posts in the trash, most recently deleted first
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, title, created_at, updated_at, publish_at, published_at, deleted_at]
+ *       - in: query
+ *         name: deleted_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: deleted_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Page of posts with their categories and tags, deleted_at and purge_at, when they will be removed for good
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-trashed-posts', authorize('content:write'), async (req, res) => {
+  const list = parseListQuery(req.query, TRASH_LIST_SPEC);
+
+  const { data, error } = await fetchTrashPage('content_post', list);
+  if (error) throw fromDatabaseError(error);
+  res.json({ ...data, items: await withTaxonomy('content_post', data.items) });
+});
+
+/**
+ * @swagger
+ * /v1/content/restore-post/{id}:
+ *   post:
+ *     summary: Take a content post out of the trash, in the status it had
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the content_posts quota (QUOTA_EXCEEDED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-post/:id', authorize('content:write'), async (req, res) => {
+  const { id } = req.params;
+  res.json(await restorePosts(req, [Number(id)]));
+});
+
+/**
+ * @swagger
+ * /v1/content/restore-posts:
+ *   post:
+ *     summary: Take multiple content posts out of the trash
+ *     tags: [ContentPosts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IdList'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the content_posts quota (QUOTA_EXCEEDED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-posts', authorize('content:write'), validateBody(IdList), async (req, res) => {
+  res.json(await restorePosts(req, req.body.ids));
+});
+
+// Audit log action for each status a post can be moved to
+const TRANSITION_ACTIONS = {
+  published: 'content_post.publish',
+  scheduled: 'content_post.schedule',
+  draft: 'content_post.unpublish',
+  archived: 'content_post.archive',
+};
 
-  if (!Array.isArray(ids) || ids.length === 0) {
-    return res.status(400).json({ error: 'Request body must include an array of ids.' });
+/**
+ * Build a handler that moves a post to `to`, rejecting moves the workflow does not allow.
+ */
+const moveTo = (to) => async (req, res) => {
+  const { id } = req.params;
+
+  const { data: post, error } = await db.from('content_posts').select('*').eq('id', id).is('deleted_at', null).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Content post not found.' });
+
+  let publishAt = null;
+  if (to === 'scheduled') {
+    publishAt = new Date(req.body.publish_at);
+    if (publishAt <= new Date()) {
+      throw new BadRequestError('publish_at must be in the future.');
+    }
+    publishAt = publishAt.toISOString();
   }
 
-  const { data, error } = await supabase
-    .from('content_posts')
-    .delete()
-    .in('id', ids);
+  if (!canTransition(post.status, to)) {
+    throw new ConflictError(`Cannot move a ${post.status} post to ${to}.`);
+  }
+
+  const updated = await transitionPost(post, to, { actorId: req.user.id, publishAt });
+  if (!updated) {
+    throw new ConflictError('Content post was changed by another request, try again.');
+  }
+
+  await recordAudit(req, TRANSITION_ACTIONS[to], { id: post.id, before: post, after: updated });
+  res.json(updated);
+};
+
+/**
+ * @swagger
+ * /v1/content/publish/{id}:
+ *   post:
+ *     summary: Publish a draft or scheduled content post now
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Content post published, and emailed to every registered address the first time
+ *       404:
+ *         description: Content post not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/publish/:id', authorize('content:write'), moveTo('published'));
 
-  if (error) return res.status(400).json({ error: error.message });
+/**
+ * @swagger
+ * /v1/content/schedule/{id}:
+ *   post:
+ *     summary: Schedule a content post to be published automatically at publish_at
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SchedulePost'
+ *     responses:
+ *       200:
+ *         description: Content post scheduled
+ *       400:
+ *         description: publish_at is not in the future
+ *       404:
+ *         description: Content post not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/schedule/:id', authorize('content:write'), validateBody(SchedulePost), moveTo('scheduled'));
+
+/**
+ * @swagger
+ * /v1/content/unpublish/{id}:
+ *   post:
+ *     summary: Move a published or scheduled content post back to draft
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Content post moved back to draft
+ *       404:
+ *         description: Content post not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/unpublish/:id', authorize('content:write'), moveTo('draft'));
+
+/**
+ * @swagger
+ * /v1/content/archive/{id}:
+ *   post:
+ *     summary: Archive a content post
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Content post archived
+ *       404:
+ *         description: Content post not found
+ *       409:
+ *         description: Transition not allowed from the current status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/archive/:id', authorize('content:write'), moveTo('archived'));
+
+/**
+ * @swagger
+ * /v1/content/set-attachments/{id}:
+ *   put:
+ *     summary: Set the cover image, gallery and downloads of a content post
+ *     description: >
+ *       Only the fields sent are replaced. Media no longer attached anywhere is deleted.
+ *       Upload files with /v1/media/upload first.
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetAttachments'
+ *     responses:
+ *       200:
+ *         description: The attachments of the post, with signed URLs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attachments'
+ *       404:
+ *         description: Content post not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/set-attachments/:id', authorize('content:write'), validateBody(SetAttachments), async (req, res) => {
+  const { id } = req.params;
+  const { data: post, error } = await db.from('content_posts').select('id').eq('id', id).is('deleted_at', null).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Content post not found.' });
+
+  const before = (await attachmentsFor('content_post', [post.id])).get(post.id);
+  const attachments = await setAttachments('content_post', post.id, req.body);
+  await recordAudit(req, 'content_post.set_attachments', {
+    id: post.id,
+    before: attachmentIds(before),
+    after: attachmentIds(attachments),
+  });
+  res.json(attachments);
+});
+
+/**
+ * @swagger
+ * /v1/content/get-transitions/{id}:
+ *   get:
+ *     summary: Get the status transition history of a content post (unpublished posts are only visible to editors)
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Transitions, oldest first
+ *       404:
+ *         description: Content post not found
+ *       500:
+ *         description: Server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-transitions/:id', authorize('content:read'), async (req, res) => {
+  const { id } = req.params;
+  const { error: postError } = await visiblePosts(req).eq('id', id).single();
+  if (postError) throw fromDatabaseError(postError, { notFound: 'Content post not found.' });
+
+  const { data, error } = await db
+    .from('content_post_transitions')
+    .select('*')
+    .eq('content_post_id', id)
+    .order('created_at', { ascending: true });
+
+  if (error) throw fromDatabaseError(error);
   res.json(data);
 });
 
+/**
+ * @swagger
+ * /v1/content/get-revisions/{id}:
+ *   get:
+ *     summary: List the revisions of a content post (unpublished posts are only visible to editors)
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Content post ID
+ *     responses:
+ *       200:
+ *         description: Revisions without snapshots, oldest first
+ *       404:
+ *         description: Content post not found
+ *       500:
+ *         description: Server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /v1/content/get-revision/{id}/{version}:
+ *   get:
+ *     summary: Get one revision of a content post including its full snapshot
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Content post ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision found
+ *       404:
+ *         description: Content post or revision not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /v1/content/diff-revisions/{id}:
+ *   get:
+ *     summary: Compare two revisions of a content post field by field
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Content post ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of changed fields with their old and new values
+ *       400:
+ *         description: Missing from/to versions
+ *       404:
+ *         description: Content post or revision not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /v1/content/restore-revision/{id}/{version}:
+ *   post:
+ *     summary: Restore a past revision as the current version of a content post
+ *     tags: [ContentPosts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Content post ID
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Content post restored (a new revision is recorded)
+ *       404:
+ *         description: Content post or revision not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.use(
+  revisionRoutes({
+    resourceType: 'content_post',
+    table: 'content_posts',
+    label: 'Content post',
+    fields: ['title', 'description', 'content', 'format'],
+    permissions: { read: 'content:read', write: 'content:write' },
+    visible: visiblePosts,
+    // A restored title gives the post a new slug, the old one keeps redirecting
+    prepareRestore: async (current, fields) => ({ ...fields, slug: await nextSlug(current, fields) }),
+    afterRestore: async (before, after) => {
+      if (after.slug !== before.slug) await recordSlugChange(before.id, before.slug, after.slug);
+    },
+  })
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,38 @@
+import { CONTENT_FORMATS } from '#lib/markdown.js';
+import { Taxonomy } from '#lib/schemas.js';
+import { SLUG_PATTERN } from './slugs.js';
+
+const postFields = {
+  title: { type: 'string', minLength: 1, maxLength: 200 },
+  description: { type: 'string', maxLength: 500, nullable: true },
+  content: { type: 'string', maxLength: 50000 },
+  slug: { type: 'string', minLength: 1, maxLength: 80, pattern: SLUG_PATTERN, description: 'Generated from the title when left out' },
+  format: { type: 'string', enum: CONTENT_FORMATS, description: 'How content is written, markdown is rendered to sanitized HTML' },
+};
+
+export const CreatePost = {
+  type: 'object',
+  required: ['title', 'content'],
+  additionalProperties: false,
+  properties: { ...postFields, ...Taxonomy.properties },
+};
+
+export const UpdatePost = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    ...postFields,
+    ...Taxonomy.properties,
+  },
+};
+
+export const SchedulePost = {
+  type: 'object',
+  required: ['publish_at'],
+  additionalProperties: false,
+  properties: {
+    publish_at: { type: 'string', format: 'date-time' },
+  },
+};
@@ -0,0 +1,73 @@
+import { db } from '#storage';
+import { slugify } from '#lib/slugify.js';
+import { ConflictError, fromDatabaseError } from '#lib/errors.js';
+
+export const SLUG_PATTERN = '^[a-z0-9]+(-[a-z0-9]+)*$';
+
+// Slugs starting with `base` that belong to other posts, as current slugs or redirects
+async function takenSlugs(base, postId) {
+  const [posts, redirects] = await Promise.all([
+    db.from('content_posts').select('id, slug').like('slug', `${base}%`),
+    db.from('content_post_slugs').select('slug, post_id').like('slug', `${base}%`),
+  ]);
+  if (posts.error) throw fromDatabaseError(posts.error);
+  if (redirects.error) throw fromDatabaseError(redirects.error);
+
+  return new Set([
+    ...posts.data.filter((post) => post.id !== postId).map((post) => post.slug),
+    ...redirects.data.filter((redirect) => redirect.post_id !== postId).map((redirect) => redirect.slug),
+  ]);
+}
+
+/**
+ * A slug for `title` no other post uses, adding -2, -3, ... on collisions.
+ */
+export async function generateSlug(title, postId = null) {
+  const base = slugify(title);
+  const taken = await takenSlugs(base, postId);
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix += 1;
+  return `${base}-${suffix}`;
+}
+
+/**
+ * Check that a slug chosen by an editor is not used by another post.
+ */
+export async function claimSlug(slug, postId = null) {
+  const taken = await takenSlugs(slug, postId);
+  if (taken.has(slug)) throw new ConflictError(`The slug "${slug}" is already used by another post.`);
+  return slug;
+}
+
+/**
+ * The slug a post should have after `updates`: the one chosen, a new one when
+ * the title changes, otherwise the current one.
+ */
+export async function nextSlug(post, updates) {
+  if (updates.slug !== undefined) return claimSlug(updates.slug, post.id);
+  if (updates.title !== undefined && updates.title !== post.title) return generateSlug(updates.title, post.id);
+  return post.slug;
+}
+
+/**
+ * Keep a post's previous slug as a redirect, and drop the redirect for the
+ * slug it now uses in case it takes an old one back.
+ */
+export async function recordSlugChange(postId, from, to) {
+  const { error: reclaimError } = await db.from('content_post_slugs').delete().eq('slug', to);
+  if (reclaimError) throw fromDatabaseError(reclaimError);
+
+  const { error } = await db.from('content_post_slugs').insert([{ slug: from, post_id: postId }]);
+  if (error) throw fromDatabaseError(error);
+}
+
+/**
+ * The id of the post an old slug now redirects to, or null.
+ */
+export async function findRedirect(slug) {
+  const { data, error } = await db.from('content_post_slugs').select('post_id').eq('slug', slug).maybeSingle();
+  if (error) throw fromDatabaseError(error);
+  return data?.post_id ?? null;
+}
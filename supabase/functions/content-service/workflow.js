@@ -0,0 +1,118 @@
+import { db } from '#storage';
+import { distribute } from '#lib/distribution.js';
+
+export const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Allowed moves between statuses, keyed by the current status
+const TRANSITIONS = {
+  draft: ['scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft'],
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+async function recordTransitions(entries) {
+  if (entries.length === 0) return;
+  const { error } = await db.from('content_post_transitions').insert(entries);
+  if (error) throw error;
+}
+
+/**
+ * Move a post to another status and record the transition.
+ * The update only applies if the post is still in the status it was read with,
+ * so concurrent transitions cannot both succeed. Returns the updated row, or null on conflict.
+ */
+export async function transitionPost(post, to, { actorId = null, publishAt = null } = {}) {
+  const now = new Date().toISOString();
+  const changes = { status: to, updated_at: now };
+
+  if (to === 'scheduled') changes.publish_at = publishAt;
+  if (to === 'published') {
+    changes.published_at = now;
+    changes.archived_at = null;
+  }
+  if (to === 'archived') changes.archived_at = now;
+  if (to === 'draft') {
+    changes.publish_at = null;
+    changes.published_at = null;
+    changes.archived_at = null;
+  }
+
+  const { data, error } = await db
+    .from('content_posts')
+    .update(changes)
+    .eq('id', post.id)
+    .eq('status', post.status)
+    .select();
+
+  if (error) throw error;
+  if (data.length === 0) return null;
+
+  await recordTransitions([
+    { content_post_id: post.id, from_status: post.status, to_status: to, actor_id: actorId },
+  ]);
+  if (to === 'published') await distribute('content_post', data[0]);
+  return data[0];
+}
+
+/**
+ * Publish every scheduled post whose `publish_at` has passed.
+ */
+export async function publishDuePosts() {
+  const now = new Date().toISOString();
+
+  const { data, error } = await db
+    .from('content_posts')
+    .update({ status: 'published', published_at: now, updated_at: now })
+    .eq('status', 'scheduled')
+    .lte('publish_at', now)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) throw error;
+
+  await recordTransitions(
+    data.map((post) => ({ content_post_id: post.id, from_status: 'scheduled', to_status: 'published', actor_id: null }))
+  );
+  for (const post of data) await distribute('content_post', post);
+  return data;
+}
+
+/**
+ * Email posts published in the last day that were not distributed, because queueing
+ * failed when they were published. Posts already distributed are skipped.
+ */
+export async function distributePublishedPosts(now = new Date()) {
+  const { data, error } = await db
+    .from('content_posts')
+    .select('*')
+    .eq('status', 'published')
+    .is('deleted_at', null)
+    .gt('published_at', new Date(now.getTime() - DAY_MS).toISOString());
+
+  if (error) throw error;
+  const distributed = [];
+  for (const post of data) {
+    if (await distribute('content_post', post)) distributed.push(post);
+  }
+  return distributed;
+}
+
+/**
+ * Periodically publish due posts, and distribute what was missed, in the background.
+ */
+export function startPublishScheduler(intervalMs = 60 * 1000) {
+  const timer = setInterval(() => {
+    publishDuePosts()
+      .then(() => distributePublishedPosts())
+      .catch((error) => console.error('Scheduled publishing failed:', error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
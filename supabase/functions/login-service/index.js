@@ -1,6 +1,25 @@
 import { Router } from 'express';
-import { supabase } from '#supabase-client';
+import { db } from '#storage';
 import bcrypt from 'bcrypt';
+import {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  findPasswordResetToken,
+  usePasswordResetToken,
+} from '#lib/tokens.js';
+import { authenticate } from '#middleware/authenticate.js';
+import { validateBody } from '#middleware/validate-body.js';
+import { recordAudit } from '#lib/audit.js';
+import { toAdminUser } from '#lib/users.js';
+import { assertPasswordAllowed } from '#lib/passwords.js';
+import { fromDatabaseError, BadRequestError, UnauthorizedError, ValidationError } from '#lib/errors.js';
+import { Login, RefreshToken, ForgotPassword, ResetPassword, ChangePassword } from './schemas.js';
+import { assertNotLocked, recordFailedLogin, clearFailedLogins } from './lockout.js';
+import { sendPasswordReset } from './password-reset.js';
 
 const router = Router();
 
@@ -17,24 +36,13 @@ const router = Router();
  *   post:
  *     summary: Login a user
  *     tags: [Auth]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 description: User email
- *               password:
- *                 type: string
- *                 format: password
- *                 description: User password
+ *             $ref: '#/components/schemas/Login'
  *     responses:
  *       200:
  *         description: Login successful
@@ -45,61 +53,333 @@ const router = Router();
  *               properties:
  *                 message:
  *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
  *                 userData:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                     email:
- *                       type: string
- *                     first_name:
- *                       type: string
- *                     middle_name:
- *                       type: string
- *                     last_name:
- *                       type: string
- *                     suffix:
- *                       type: string
- *       400:
- *         description: Missing email or password
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  *       401:
  *         description: Invalid email or password
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
 
-// Login endpoint
-router.post('/login', async (req, res) => {
+// Login endpoint, repeated failures lock the account for longer each time
+router.post('/login', validateBody(Login), async (req, res) => {
   const { email, password } = req.body;
-  if (!email || !password) {
-    return res.status(400).json({ error: 'Email and password are required.' });
-  }
+  await assertNotLocked(email);
 
-  // Fetch user by email
-  const { data: user, error } = await supabase
+  // Fetch user by email, users in the trash cannot sign in
+  const { data: user, error } = await db
     .from('users')
     .select('*')
     .eq('email', email)
+    .is('deleted_at', null)
     .single();
 
   if (error || !user) {
-    return res.status(401).json({ error: 'Invalid email or password.' });
+    await recordFailedLogin(email);
+    throw new UnauthorizedError('Invalid email or password.');
   }
 
   // Compare password using bcrypt
   const valid = await bcrypt.compare(password, user.password);
   if (!valid) {
-    return res.status(401).json({ error: 'Invalid email or password.' });
+    await recordFailedLogin(email);
+    throw new UnauthorizedError('Invalid email or password.');
+  }
+  await clearFailedLogins(email);
+
+  const accessToken = signAccessToken(user);
+  const { token: refreshToken } = await issueRefreshToken(user.id);
+  await recordAudit(req, 'user.login', { id: user.id }, { actor: user });
+
+  // The caller's own account, in the same shape admins see it
+  const userData = toAdminUser(user);
+  res.json({ message: 'Login successful', accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL, userData });
+});
+
+/**
+ * @swagger
+ * /v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshToken'
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed (the old refresh token is no longer valid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+// Rotate refresh token
+router.post('/refresh', validateBody(RefreshToken), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const rotated = await rotateRefreshToken(refreshToken);
+  if (!rotated) {
+    throw new UnauthorizedError('Invalid or expired refresh token.');
+  }
+
+  const { data: user, error } = await db
+    .from('users')
+    .select('id, email, role, password_changed_at')
+    .eq('id', rotated.userId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !user) {
+    throw new UnauthorizedError('Invalid or expired refresh token.');
+  }
+  await recordAudit(req, 'user.refresh', { id: user.id }, { actor: user });
+
+  res.json({
+    accessToken: signAccessToken(user),
+    refreshToken: rotated.refreshToken.token,
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+});
+
+/**
+ * @swagger
+ * /v1/auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshToken'
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+// Logout (revoke refresh token)
+router.post('/logout', validateBody(RefreshToken), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const userId = await revokeRefreshToken(refreshToken);
+  if (userId) await recordAudit(req, 'user.logout', { id: userId }, { actor: { id: userId } });
+  res.json({ message: 'Logout successful' });
+});
+
+// Store a new password for a user, signing out every session they had
+async function setPassword(user, password) {
+  const { data, error } = await db
+    .from('users')
+    .update({ password: await bcrypt.hash(password, 10), password_changed_at: new Date().toISOString() })
+    .eq('id', user.id)
+    .select()
+    .single();
+  if (error) throw fromDatabaseError(error);
+
+  await revokeUserRefreshTokens(user.id);
+  return data;
+}
+
+// Email a reset link to an account and record that one was requested
+async function requestPasswordReset(req, user) {
+  await sendPasswordReset(user);
+  await recordAudit(req, 'user.request_password_reset', { id: user.id }, { actor: null });
+}
+
+/**
+ * @swagger
+ * /v1/auth/forgot-password:
+ *   post:
+ *     summary: Email a single-use link to reset the password of an account
+ *     description: >
+ *       The answer is the same whether or not an account uses the email, so the route
+ *       cannot be used to find out who has one. The link expires after PASSWORD_RESET_TTL_MINUTES
+ *       (60 by default) and replaces any link sent before.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPassword'
+ *     responses:
+ *       202:
+ *         description: Reset link sent if the email belongs to an account
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/forgot-password', validateBody(ForgotPassword), async (req, res) => {
+  const { email } = req.body;
+
+  const { data: user, error } = await db
+    .from('users')
+    .select('id, email, role')
+    .eq('email', email)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw fromDatabaseError(error);
+
+  res.status(202).json({ message: 'If the email belongs to an account, a link to reset its password is on its way.' });
+
+  // Sent after answering, so the response takes as long whether or not the account exists
+  if (user) {
+    requestPasswordReset(req, user).catch((sendError) =>
+      console.error('Password reset email failed:', sendError.message)
+    );
+  }
+});
+
+/**
+ * @swagger
+ * /v1/auth/reset-password:
+ *   post:
+ *     summary: Choose a new password with the token from a reset link
+ *     description: Every session of the account is signed out, log in again with the new password.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPassword'
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Token invalid, expired or already used
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/reset-password', validateBody(ResetPassword), async (req, res) => {
+  const { token, password } = req.body;
+  const invalid = new BadRequestError('Reset link is invalid, expired or already used.');
+
+  const resetToken = await findPasswordResetToken(token);
+  if (!resetToken) throw invalid;
+
+  const { data: user, error } = await db
+    .from('users')
+    .select('*')
+    .eq('id', resetToken.user_id)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw fromDatabaseError(error);
+  if (!user) throw invalid;
+
+  // Check the password before using up the token, so a rejected one can be corrected
+  assertPasswordAllowed(password, user);
+  if (!(await usePasswordResetToken(resetToken.id))) throw invalid;
+
+  const updated = await setPassword(user, password);
+  await clearFailedLogins(user.email);
+  await recordAudit(req, 'user.reset_password', { id: user.id, before: user, after: updated }, { actor: user });
+
+  res.json({ message: 'Password changed, log in with the new password.' });
+});
+
+/**
+ * @swagger
+ * /v1/auth/change-password:
+ *   post:
+ *     summary: Change the password of the logged in user
+ *     description: >
+ *       Requires the current password. Every other session is signed out; the response
+ *       carries a fresh token pair for this one.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePassword'
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+// Wrong current passwords count towards the login lockout, a stolen access token must not allow guessing it
+router.post('/change-password', authenticate(), validateBody(ChangePassword), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  await assertNotLocked(req.user.email);
+
+  const { data: user, error } = await db
+    .from('users')
+    .select('*')
+    .eq('id', req.user.id)
+    .is('deleted_at', null)
+    .single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Account not found.' });
+
+  if (!(await bcrypt.compare(currentPassword, user.password))) {
+    await recordFailedLogin(user.email);
+    throw new ValidationError('Request body is invalid.', [{ field: 'currentPassword', message: 'is incorrect' }]);
+  }
+  if (newPassword === currentPassword) {
+    throw new ValidationError('Request body is invalid.', [
+      { field: 'newPassword', message: 'must differ from the current password' },
+    ]);
   }
+  assertPasswordAllowed(newPassword, user, 'newPassword');
 
-  const userData = { 
-        id: user.id,
-        email: user.email, 
-        first_name: user.first_name, 
-        middle_name: user.middle_name, 
-        last_name: user.last_name, 
-        suffix: user.suffix
-    };
+  const updated = await setPassword(user, newPassword);
+  await clearFailedLogins(user.email);
+  const { token: refreshToken } = await issueRefreshToken(user.id);
+  await recordAudit(req, 'user.change_password', { id: user.id, before: user, after: updated });
 
-  res.json({ message: 'Login successful', userData });
+  res.json({ message: 'Password changed', accessToken: signAccessToken(updated), refreshToken, expiresIn: ACCESS_TOKEN_TTL });
 });
 
 export default router;
\ No newline at end of file
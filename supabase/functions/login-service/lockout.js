@@ -0,0 +1,49 @@
+import 'dotenv/config';
+import { counters } from '#rate-limit';
+import { TooManyRequestsError } from '#lib/errors.js';
+
+// Failed logins an account may have before it is locked
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 5);
+
+// The first lock lasts LOCKOUT_BASE_MS and doubles with every further failure, up to LOCKOUT_MAX_MS
+const LOCKOUT_BASE_MS = Number(process.env.LOGIN_LOCKOUT_BASE_MS || 60 * 1000);
+const LOCKOUT_MAX_MS = Number(process.env.LOGIN_LOCKOUT_MAX_MS || 60 * 60 * 1000);
+
+// Failures are forgotten this long after the first one, or as soon as a login succeeds
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Unknown emails are counted too, so a lock does not reveal which accounts exist
+const accountOf = (email) => email.trim().toLowerCase();
+const failuresKey = (email) => `login-failures:${accountOf(email)}`;
+const lockKey = (email) => `login-lock:${accountOf(email)}`;
+
+/**
+ * Throw a TooManyRequestsError while the account is locked, even if the password is right.
+ */
+export async function assertNotLocked(email) {
+  const lock = await counters.get(lockKey(email));
+  if (lock) {
+    throw new TooManyRequestsError(
+      'Too many failed logins, the account is temporarily locked.',
+      Math.max(Math.ceil((lock.resetAt - Date.now()) / 1000), 1)
+    );
+  }
+}
+
+/**
+ * Count a failed login, locking the account once LOCKOUT_THRESHOLD is reached.
+ */
+export async function recordFailedLogin(email) {
+  const { count } = await counters.increment(failuresKey(email), FAILURE_WINDOW_MS);
+  if (count < LOCKOUT_THRESHOLD) return;
+
+  const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+  await counters.increment(lockKey(email), lockMs);
+}
+
+/**
+ * Forget the failed logins of an account and lift its lock, after a login or password reset.
+ */
+export async function clearFailedLogins(email) {
+  await Promise.all([counters.reset(failuresKey(email)), counters.reset(lockKey(email))]);
+}
@@ -0,0 +1,17 @@
+import 'dotenv/config';
+import { mailer } from '#mail';
+import { renderPasswordReset } from '#mail/templates.js';
+import { issuePasswordResetToken, PASSWORD_RESET_TTL_MINUTES } from '#lib/tokens.js';
+import { API_URL, SITE_URL } from '#lib/urls.js';
+
+// The page where users choose their new password, it receives the token as ?token=
+const PASSWORD_RESET_URL = (process.env.PASSWORD_RESET_URL || `${SITE_URL ?? API_URL}/reset-password`).replace(/\/+$/, '');
+
+/**
+ * Email a user a link to reset their password, replacing any link sent before.
+ */
+export async function sendPasswordReset(user) {
+  const { token } = await issuePasswordResetToken(user.id);
+  const resetUrl = `${PASSWORD_RESET_URL}?token=${token}`;
+  await mailer.send({ to: user.email, ...renderPasswordReset(resetUrl, PASSWORD_RESET_TTL_MINUTES) });
+}
@@ -0,0 +1,49 @@
+import { NewPassword } from '#lib/schemas.js';
+
+export const Login = {
+  type: 'object',
+  required: ['email', 'password'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', format: 'email', description: 'User email' },
+    password: { type: 'string', format: 'password', description: 'User password' },
+  },
+};
+
+export const RefreshToken = {
+  type: 'object',
+  required: ['refreshToken'],
+  additionalProperties: false,
+  properties: {
+    refreshToken: { type: 'string' },
+  },
+};
+
+export const ForgotPassword = {
+  type: 'object',
+  required: ['email'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', format: 'email' },
+  },
+};
+
+export const ResetPassword = {
+  type: 'object',
+  required: ['token', 'password'],
+  additionalProperties: false,
+  properties: {
+    token: { type: 'string', description: 'Token from the link emailed by /v1/auth/forgot-password' },
+    password: NewPassword,
+  },
+};
+
+export const ChangePassword = {
+  type: 'object',
+  required: ['currentPassword', 'newPassword'],
+  additionalProperties: false,
+  properties: {
+    currentPassword: { type: 'string', format: 'password' },
+    newPassword: NewPassword,
+  },
+};
@@ -0,0 +1,216 @@
+import { Router } from 'express';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { uploadFiles } from '#middleware/upload.js';
+import { parseListQuery, fetchPage } from '#lib/list-query.js';
+import { storeUpload, withSignedUrls, removeOrphanedMedia, MAX_UPLOAD_BYTES } from '#lib/media.js';
+import { recordAudit } from '#lib/audit.js';
+import { fromDatabaseError, ConflictError } from '#lib/errors.js';
+
+const router = Router();
+
+const MAX_FILES = 10;
+
+const LIST_SPEC = {
+  sortable: ['created_at', 'original_name', 'size_bytes'],
+  defaultSort: { field: 'created_at', order: 'desc' },
+  filters: { mime_type: 'mime_type', uploaded_by: 'uploaded_by' },
+  dateRanges: { created: 'created_at' },
+  searchFields: ['original_name'],
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Media
+ *   description: Uploaded images and files, attached to content posts and announcements
+ */
+
+/**
+ * @swagger
+ * /v1/media/upload:
+ *   post:
+ *     summary: Upload images or files
+ *     description: >
+ *       Accepts JPEG, PNG, GIF and WebP images, PDF, plain text, CSV and ZIP files of up to 50 MiB.
+ *       Images get a thumbnail. Uploads that are not attached to a post or announcement
+ *       within a day are deleted.
+ *     tags: [Media]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Stored media, with signed URLs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Media'
+ *       400:
+ *         description: No files, or too many
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file type is not allowed, or the content is not of that type
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/upload',
+  authorize('media:write'),
+  uploadFiles('files', { maxCount: MAX_FILES, maxBytes: MAX_UPLOAD_BYTES }),
+  async (req, res) => {
+    const stored = [];
+    try {
+      for (const file of req.files) stored.push(await storeUpload(file, req.user.id));
+    } catch (error) {
+      // All or nothing: drop the files of this request that were already stored
+      await removeOrphanedMedia(stored.map((media) => media.id));
+      throw error;
+    }
+
+    await recordAudit(req, 'media.upload', stored.map((media) => ({ id: media.id, after: media })));
+    res.status(201).json(await withSignedUrls(stored));
+  }
+);
+
+/**
+ * @swagger
+ * /v1/media/get-all-media:
+ *   get:
+ *     summary: List uploaded media
+ *     tags: [Media]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at, original_name, size_bytes]
+ *       - in: query
+ *         name: mime_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: uploaded_by
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Page of media with signed URLs, q searches the original file name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-all-media', authorize('media:read'), async (req, res) => {
+  const list = parseListQuery(req.query, LIST_SPEC);
+
+  const { data, error } = await fetchPage(() => db.from('media').select('*', { count: 'exact' }), list);
+  if (error) throw fromDatabaseError(error);
+  res.json({ ...data, items: await withSignedUrls(data.items) });
+});
+
+/**
+ * @swagger
+ * /v1/media/get-media/{id}:
+ *   get:
+ *     summary: Get uploaded media by ID, with signed URLs
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Media found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Media'
+ *       404:
+ *         description: Media not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-media/:id', authorize('media:read'), async (req, res) => {
+  const { id } = req.params;
+  const { data, error } = await db.from('media').select('*').eq('id', id).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Media not found.' });
+
+  const [media] = await withSignedUrls([data]);
+  res.json(media);
+});
+
+/**
+ * @swagger
+ * /v1/media/delete-media/{id}:
+ *   delete:
+ *     summary: Delete uploaded media that is not attached to anything
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Media and its files deleted
+ *       404:
+ *         description: Media not found
+ *       409:
+ *         description: Media is still attached, details lists where
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/delete-media/:id', authorize('media:write'), async (req, res) => {
+  const { id } = req.params;
+  const { data: media, error } = await db.from('media').select('*').eq('id', id).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Media not found.' });
+
+  const { data: attachments, error: attachmentsError } = await db
+    .from('attachments')
+    .select('resource_type, resource_id, role')
+    .eq('media_id', media.id);
+  if (attachmentsError) throw fromDatabaseError(attachmentsError);
+  if (attachments.length > 0) {
+    throw new ConflictError('Media is still attached, remove it from these first.', attachments);
+  }
+
+  await removeOrphanedMedia([media.id]);
+  await recordAudit(req, 'media.delete', { id: media.id, before: media });
+  res.json({ id: media.id });
+});
+
+export default router;
@@ -0,0 +1,100 @@
+import { Router } from 'express';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { validateBody } from '#middleware/validate-body.js';
+import { getQuotas, setQuotaLimit } from '#lib/quotas.js';
+import { recordAudit } from '#lib/audit.js';
+import { fromDatabaseError, NotFoundError } from '#lib/errors.js';
+import { UpdateQuota } from './schemas.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Quotas
+ *   description: Resource limits and their current usage
+ */
+
+/**
+ * @swagger
+ * /v1/quotas:
+ *   get:
+ *     summary: Get current usage versus limit for each resource
+ *     tags: [Quotas]
+ *     responses:
+ *       200:
+ *         description: Usage per resource
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   resource:
+ *                     type: string
+ *                     example: content_posts
+ *                   used:
+ *                     type: integer
+ *                   limit:
+ *                     type: integer
+ *                     nullable: true
+ *                   remaining:
+ *                     type: integer
+ *                     nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', authorize('quotas:read'), async (req, res) => {
+  res.json(await getQuotas());
+});
+
+/**
+ * @swagger
+ * /v1/quotas/{resource}:
+ *   put:
+ *     summary: Change the limit of a resource
+ *     tags: [Quotas]
+ *     parameters:
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [users, content_posts, announcements, registered_emails]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateQuota'
+ *     responses:
+ *       200:
+ *         description: Limit updated
+ *       404:
+ *         description: Unknown resource
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/:resource', authorize('quotas:write'), validateBody(UpdateQuota), async (req, res) => {
+  const { resource } = req.params;
+  const { limit } = req.body;
+
+  const { data: before, error } = await db.from('quota_limits').select('*').eq('resource', resource).maybeSingle();
+  if (error) throw fromDatabaseError(error);
+
+  const updated = await setQuotaLimit(resource, limit);
+  if (!updated) throw new NotFoundError(`Unknown quota resource: ${resource}.`);
+
+  await recordAudit(req, 'quota_limit.update', { id: resource, before, after: updated });
+  res.json(updated);
+});
+
+export default router;
@@ -0,0 +1,8 @@
+export const UpdateQuota = {
+  type: 'object',
+  required: ['limit'],
+  additionalProperties: false,
+  properties: {
+    limit: { type: 'integer', minimum: 0 },
+  },
+};
@@ -0,0 +1,97 @@
+import { db } from '#storage';
+import { validateValue } from '#lib/validation.js';
+import { getQuotas } from '#lib/quotas.js';
+import { findExisting, summarize as countResults } from '#lib/bulk.js';
+import { normalizeEmail } from '#lib/subscriptions.js';
+import { RegisterEmail } from './schemas.js';
+
+export const IMPORT_RESULTS = ['accepted', 'duplicate', 'invalid', 'over-limit'];
+
+export const EXPORT_COLUMNS = ['id', 'email', 'status', 'created_at', 'confirmation_sent_at', 'confirmed_at', 'unsubscribed_at'];
+
+const EXPORT_PAGE = 500;
+
+/**
+ * Decide what importing each record of a parsed CSV would do. The addresses are read
+ * from the `email` column, or from the first column when there is no header row.
+ * Returns `{ rows, accepted }`: a result per non-blank record (`row` is the record's
+ * 1-based position in the file) and the addresses to insert.
+ */
+export async function planImport(records) {
+  const header = (records[0] || []).map((cell) => cell.trim().toLowerCase());
+  const hasHeader = header.includes('email');
+  const column = hasHeader ? header.indexOf('email') : 0;
+
+  const rows = [];
+  const seen = new Set();
+
+  records.forEach((cells, index) => {
+    if (hasHeader && index === 0) return;
+    if (cells.every((cell) => cell.trim() === '')) return;
+
+    const row = index + 1;
+    const email = normalizeEmail(cells[column] ?? '');
+    const [problem] = validateValue(RegisterEmail.properties.email, email);
+
+    if (!email || problem) {
+      rows.push({ row, email, result: 'invalid', reason: email ? `email ${problem.message}` : 'email is missing' });
+    } else if (seen.has(email)) {
+      rows.push({ row, email, result: 'duplicate', reason: 'Listed earlier in the file.' });
+    } else {
+      seen.add(email);
+      rows.push({ row, email, result: 'accepted', reason: null });
+    }
+  });
+
+  const existing = await findExisting('registered_emails', 'email', [...seen], 'email, status');
+  const { limit, used } = (await getQuotas()).find((quota) => quota.resource === 'registered_emails');
+  let remaining = limit === null ? Infinity : Math.max(limit - used, 0);
+
+  const accepted = [];
+  for (const result of rows) {
+    if (result.result !== 'accepted') continue;
+
+    if (existing.has(result.email)) {
+      result.result = 'duplicate';
+      result.reason = `Already registered (${existing.get(result.email).status}).`;
+    } else if (remaining === 0) {
+      result.result = 'over-limit';
+      result.reason = `The registered_emails quota of ${limit} is reached.`;
+    } else {
+      remaining--;
+      accepted.push(result.email);
+    }
+  }
+
+  return { rows, accepted };
+}
+
+/**
+ * Count import results by kind.
+ */
+export const summarize = (rows) => countResults(IMPORT_RESULTS, rows);
+
+/**
+ * Yield registered emails in pages ordered by id, so an export never holds the whole list.
+ */
+export async function* registeredEmailPages({ status } = {}) {
+  let afterId = 0;
+  for (;;) {
+    let query = db
+      .from('registered_emails')
+      .select(EXPORT_COLUMNS.join(', '))
+      .is('deleted_at', null)
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(EXPORT_PAGE);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    if (data.length === 0) return;
+
+    yield data;
+    if (data.length < EXPORT_PAGE) return;
+    afterId = data[data.length - 1].id;
+  }
+}
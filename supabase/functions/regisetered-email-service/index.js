@@ -1,8 +1,79 @@
-import { Router } from 'express';
-import { supabase } from '#supabase-client';
+import { Router, text } from 'express';
+import { once } from 'node:events';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { validateBody } from '#middleware/validate-body.js';
+import { parseListQuery, fetchPage } from '#lib/list-query.js';
+import { IdList } from '#lib/schemas.js';
+import { recordAudit } from '#lib/audit.js';
+import { fromDatabaseError, BadRequestError, NotFoundError } from '#lib/errors.js';
+import { DELIVERY_STATUSES, countDeliveries, retryFailedDeliveries } from '#lib/distribution.js';
+import { normalizeEmail, sendConfirmation, sendConfirmations, SUBSCRIPTION_STATUSES } from '#lib/subscriptions.js';
+import { parseCsv, formatCsvRow } from '#lib/csv.js';
+import { verifyEmailToken } from '#lib/tokens.js';
+import { renderUnsubscribePage } from '#mail/templates.js';
+import { moveToTrash, restoreFromTrash, trashListSpec, fetchTrashPage } from '#lib/trash.js';
+import { RegisterEmail } from './schemas.js';
+import { planImport, summarize, registeredEmailPages, EXPORT_COLUMNS } from './bulk.js';
 
 const router = Router();
 
+const LIST_SPEC = {
+  sortable: ['email', 'created_at'],
+  filters: { status: 'status' },
+  dateRanges: { created: 'created_at' },
+  searchFields: ['email'],
+};
+
+const TRASH_LIST_SPEC = trashListSpec(LIST_SPEC);
+
+// Trashed addresses are not emailed, and their confirmation links stop working
+async function trashEmails(req, ids) {
+  const { changes, notFound } = await moveToTrash('registered_email', ids);
+
+  await recordAudit(req, 'registered_email.delete', changes);
+  return { deleted: changes.map((change) => change.id), not_found: notFound };
+}
+
+async function restoreEmails(req, ids) {
+  const { changes, notFound } = await restoreFromTrash('registered_email', ids);
+
+  await recordAudit(req, 'registered_email.restore', changes);
+  return { restored: changes.map((change) => change.id), not_found: notFound };
+}
+
+// The registered email a link token was issued for, or null if the token or row is gone
+async function findByToken(purpose, token) {
+  let payload;
+  try {
+    payload = verifyEmailToken(purpose, String(token));
+  } catch {
+    return null;
+  }
+
+  const { data, error } = await db
+    .from('registered_emails')
+    .select('*')
+    .eq('id', payload.sub)
+    .eq('email', payload.email)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (error) throw fromDatabaseError(error);
+  return data;
+}
+
+const DISTRIBUTION_LIST_SPEC = {
+  sortable: ['created_at'],
+  defaultSort: { field: 'created_at', order: 'desc' },
+  filters: { source_type: 'source_type', source_id: 'source_id' },
+  dateRanges: { created: 'created_at' },
+};
+
+const DELIVERY_LIST_SPEC = {
+  sortable: ['email', 'sent_at'],
+  searchFields: ['email'],
+};
+
 /**
  * @swagger
  * tags:
@@ -14,17 +85,58 @@ const router = Router();
  * @swagger
  * /v1/registered-emails/get-all-registered-emails:
  *   get:
- *     summary: Get all registered emails
+ *     summary: List registered emails
  *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, email, created_at]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, unsubscribed]
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: List of registered emails
+ *         description: Page of registered emails, q searches the address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
  *       500:
  *         description: Server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/get-all-registered-emails', async (req, res) => {
-  const { data, error } = await supabase.from('registered_emails').select('*');
-  if (error) return res.status(500).json({ error: error.message });
+router.get('/get-all-registered-emails', authorize('registered-emails:read'), async (req, res) => {
+  const list = parseListQuery(req.query, LIST_SPEC);
+
+  const { data, error } = await fetchPage(
+    () => db.from('registered_emails').select('*', { count: 'exact' }).is('deleted_at', null),
+    list
+  );
+  if (error) throw fromDatabaseError(error);
   res.json(data);
 });
 
@@ -46,12 +158,16 @@ router.get('/get-all-registered-emails', async (req, res) => {
  *         description: Registered email found
  *       404:
  *         description: Not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Get one by id
-router.get('/get-registered-email/:id', async (req, res) => {
+router.get('/get-registered-email/:id', authorize('registered-emails:read'), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('registered_emails').select('*').eq('id', id).single();
-  if (error) return res.status(404).json({ error: error.message });
+  const { data, error } = await db.from('registered_emails').select('*').eq('id', id).is('deleted_at', null).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Registered email not found.' });
   res.json(data);
 });
 
@@ -59,55 +175,187 @@ router.get('/get-registered-email/:id', async (req, res) => {
  * @swagger
  * /v1/registered-emails/register:
  *   post:
- *     summary: Register a new email (max 60 total)
+ *     summary: Subscribe an email, which receives a link to confirm it (double opt-in)
+ *     description: >
+ *       The address stays pending, receives no other email and does not count toward the
+ *       registered_emails quota until the link is followed. Unconfirmed addresses expire.
+ *       The response is the same whether or not the address was already registered.
  *     tags: [RegisteredEmails]
+ *     security: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
+ *             $ref: '#/components/schemas/RegisterEmail'
  *     responses:
- *       201:
- *         description: Email registered
- *       400:
- *         description: Validation error or limit reached
+ *       202:
+ *         description: Confirmation email sent, unless the address is already confirmed
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-// Create one
-router.post('/register', async (req, res) => {
-  const { email } = req.body;
+// Subscribe, or send the confirmation link again to a pending, unsubscribed or trashed address
+router.post('/register', validateBody(RegisterEmail), async (req, res) => {
+  const email = normalizeEmail(req.body.email);
 
-  if (!email) {
-    return res.status(400).json({ error: 'Email is required' });
+  const { data: existing, error } = await db.from('registered_emails').select('*').eq('email', email).maybeSingle();
+  if (error) throw fromDatabaseError(error);
+
+  let pending = existing;
+  if (!existing) {
+    const { data, error: insertError } = await db
+      .from('registered_emails')
+      .insert([{ email, status: 'pending', confirmation_sent_at: new Date().toISOString() }])
+      .select()
+      .single();
+    if (insertError) throw fromDatabaseError(insertError);
+    pending = data;
+    await recordAudit(req, 'registered_email.register', { id: data.id, after: data });
+  } else if (existing.status === 'unsubscribed' || existing.deleted_at) {
+    // A trashed address has to opt in again, as if it had unsubscribed
+    const { data, error: updateError } = await db
+      .from('registered_emails')
+      .update({ status: 'pending', unsubscribed_at: null, deleted_at: null })
+      .eq('id', existing.id)
+      .select()
+      .single();
+    if (updateError) throw fromDatabaseError(updateError);
+    pending = data;
+    await recordAudit(req, 'registered_email.register', { id: data.id, before: existing, after: data });
   }
 
-  // Get current user count
-  const { count, error: countError } = await supabase
-    .from('registered_emails')
-    .select('*', { count: 'exact', head: true });
+  if (pending.status === 'pending') await sendConfirmation(pending);
+  res.status(202).json({ message: 'Check your inbox for a link to confirm the subscription.' });
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/confirm:
+ *   get:
+ *     summary: Confirm a subscription with the link from the confirmation email
+ *     tags: [RegisteredEmails]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription confirmed
+ *       400:
+ *         description: Link invalid or expired
+ *       409:
+ *         description: The registered_emails quota is reached (QUOTA_EXCEEDED)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+// Confirming twice is harmless, the second link just reports success
+router.get('/confirm', async (req, res) => {
+  const registeredEmail = await findByToken('confirm', req.query.token);
+  if (!registeredEmail || registeredEmail.status === 'unsubscribed') {
+    throw new BadRequestError('Confirmation link is invalid or has expired.');
+  }
 
-  if (countError) {
-    return res.status(500).json({ error: countError.message });
+  if (registeredEmail.status === 'pending') {
+    const { data, error } = await db
+      .from('registered_emails')
+      .update({ status: 'confirmed', confirmed_at: new Date().toISOString() })
+      .eq('id', registeredEmail.id)
+      .eq('status', 'pending')
+      .select();
+    if (error) throw fromDatabaseError(error);
+    await recordAudit(req, 'registered_email.confirm', data.map((row) => ({ id: row.id, before: registeredEmail, after: row })));
   }
 
-  if ((count || 0) + 1 > 60) {
-    return res.status(400).json({ error: 'Total registered emails already reached its limit.' });
+  res.json({ message: 'Subscription confirmed.', email: registeredEmail.email });
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/unsubscribe:
+ *   get:
+ *     summary: Open the link included in every email, asking to confirm the unsubscribe
+ *     description: >
+ *       Changes nothing, so mail scanners that follow links cannot unsubscribe anyone. Browsers
+ *       get a page with a button that POSTs to the same link, other clients a JSON message.
+ *     tags: [RegisteredEmails]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Asks to confirm with a POST to the same link
+ *       400:
+ *         description: Link invalid
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   post:
+ *     summary: Unsubscribe, from the confirmation page or one-click from mail clients (List-Unsubscribe-Post)
+ *     tags: [RegisteredEmails]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed, also when the address already was
+ *       400:
+ *         description: Link invalid
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+const verifyUnsubscribeLink = (req) => {
+  try {
+    return verifyEmailToken('unsubscribe', String(req.query.token));
+  } catch {
+    throw new BadRequestError('Unsubscribe link is invalid.');
   }
+};
+
+router.get('/unsubscribe', (req, res) => {
+  const { email } = verifyUnsubscribeLink(req);
+  // JSON first, so clients that accept anything get JSON and browsers the page
+  res.format({
+    json: () => res.json({ message: 'Send a POST request to this link to stop receiving emails.', email }),
+    html: () => res.send(renderUnsubscribePage(email, req.originalUrl)),
+  });
+});
+
+router.post('/unsubscribe', async (req, res) => {
+  const payload = verifyUnsubscribeLink(req);
+
+  const { data, error } = await db
+    .from('registered_emails')
+    .update({ status: 'unsubscribed', unsubscribed_at: new Date().toISOString() })
+    .eq('id', payload.sub)
+    .eq('email', payload.email)
+    .neq('status', 'unsubscribed')
+    .select();
+  if (error) throw fromDatabaseError(error);
+  await recordAudit(req, 'registered_email.unsubscribe', data.map((row) => ({ id: row.id, after: row })));
 
-  const { data, error } = await supabase.from('registered_emails').insert([{ email }]).select();
-  if (error) return res.status(400).json({ error: error.message });
-  res.status(201).json(data);
+  res.json({ message: 'You will not receive any more emails.', email: payload.email });
 });
 
 /**
  * @swagger
  * /v1/registered-emails/delete-email/{id}:
  *   delete:
- *     summary: Delete a registered email by ID
+ *     summary: Move a registered email to the trash by ID
+ *     description: >
+ *       The address gets no more emails. Registering it again takes it out of the trash as a
+ *       pending address, which has to confirm again.
  *     tags: [RegisteredEmails]
  *     parameters:
  *       - in: path
@@ -117,50 +365,451 @@ router.post('/register', async (req, res) => {
  *           type: integer
  *     responses:
  *       200:
- *         description: Email deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Delete one by id
-router.delete('/delete-email/:id', async (req, res) => {
+router.delete('/delete-email/:id', authorize('registered-emails:write'), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('registered_emails').delete().eq('id', id);
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.json(await trashEmails(req, [Number(id)]));
 });
 
 /**
  * @swagger
  * /v1/registered-emails/delete-emails:
  *   delete:
- *     summary: Delete multiple registered emails by IDs
+ *     summary: Move multiple registered emails to the trash by IDs
  *     tags: [RegisteredEmails]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: integer
- *             example:
- *               ids: [1, 2, 3]
+ *             $ref: '#/components/schemas/IdList'
  *     responses:
  *       200:
- *         description: Emails deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Delete many by ids
-router.delete('/delete-emails', async (req, res) => {
+router.delete('/delete-emails', authorize('registered-emails:write'), validateBody(IdList), async (req, res) => {
   const { ids } = req.body;
-  if (!Array.isArray(ids)) return res.status(400).json({ error: 'Body must be { ids: [...] }' });
-  const { data, error } = await supabase.from('registered_emails').delete().in('id', ids);
-  if (error) return res.status(400).json({ error: error.message });
+  res.json(await trashEmails(req, ids));
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/get-trashed-emails:
+ *   get:
+ *     summary: List registered emails in the trash, most recently deleted first
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, email, created_at, deleted_at]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, unsubscribed]
+ *       - in: query
+ *         name: deleted_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: deleted_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Page of registered emails with deleted_at and purge_at, when they will be removed for good
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-trashed-emails', authorize('registered-emails:write'), async (req, res) => {
+  const list = parseListQuery(req.query, TRASH_LIST_SPEC);
+
+  const { data, error } = await fetchTrashPage('registered_email', list);
+  if (error) throw fromDatabaseError(error);
+  res.json(data);
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/restore-email/{id}:
+ *   post:
+ *     summary: Take a registered email out of the trash, with the status it had
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the registered_emails quota (QUOTA_EXCEEDED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-email/:id', authorize('registered-emails:write'), async (req, res) => {
+  const { id } = req.params;
+  res.json(await restoreEmails(req, [Number(id)]));
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/restore-emails:
+ *   post:
+ *     summary: Take multiple registered emails out of the trash
+ *     tags: [RegisteredEmails]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IdList'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the registered_emails quota (QUOTA_EXCEEDED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-emails', authorize('registered-emails:write'), validateBody(IdList), async (req, res) => {
+  res.json(await restoreEmails(req, req.body.ids));
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/import-emails:
+ *   post:
+ *     summary: Import registered emails from a CSV file
+ *     description: >
+ *       Addresses are read from the `email` column, or from the first column when the file has
+ *       no header row. They are trimmed and lower-cased, and imported as pending: like addresses
+ *       that register themselves, each is sent a link to confirm it (double opt-in) and receives
+ *       no other email until it does. Every record gets a result: accepted, duplicate (earlier in
+ *       the file or already registered), invalid, or over-limit (more than the registered_emails
+ *       quota has room for). With dry_run nothing is imported.
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Only report what would be imported
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: "email\nalice@example.com\nbob@example.com\n"
+ *     responses:
+ *       200:
+ *         description: Dry run report, or nothing to import
+ *       201:
+ *         description: Accepted addresses imported, with the per-record report. Their confirmation emails are sent in the background
+ *       400:
+ *         description: Missing or malformed CSV
+ *       413:
+ *         description: File larger than 1 MB
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post(
+  '/import-emails',
+  authorize('registered-emails:write'),
+  text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      throw new BadRequestError('Send the CSV file as the request body with Content-Type text/csv.');
+    }
+
+    const dryRun = req.query.dry_run === 'true';
+    const { rows, accepted } = await planImport(parseCsv(req.body));
+
+    if (!dryRun && accepted.length > 0) {
+      const now = new Date().toISOString();
+      const { data, error } = await db
+        .from('registered_emails')
+        .insert(accepted.map((email) => ({ email, status: 'pending', confirmation_sent_at: now })))
+        .select();
+      if (error) throw fromDatabaseError(error);
+      await recordAudit(req, 'registered_email.import', data.map((row) => ({ id: row.id, after: row })));
+      // A large file means many emails, the response does not wait for them
+      sendConfirmations(data);
+    }
+
+    res.status(dryRun || accepted.length === 0 ? 200 : 201).json({ dryRun, summary: summarize(rows), rows });
+  }
+);
+
+/**
+ * @swagger
+ * /v1/registered-emails/export-emails:
+ *   get:
+ *     summary: Download registered emails as CSV, with status and timestamps
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, unsubscribed]
+ *     responses:
+ *       200:
+ *         description: CSV file, streamed in id order
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/export-emails', authorize('registered-emails:read'), async (req, res) => {
+  const { status } = req.query;
+  if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+    throw new BadRequestError(`Status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}.`);
+  }
+
+  // Read the first page before responding, so a failing query still gets a JSON error
+  const pages = registeredEmailPages({ status });
+  let page = await pages.next();
+
+  res.attachment('registered-emails.csv');
+  res.write(formatCsvRow(EXPORT_COLUMNS));
+
+  while (!page.done) {
+    for (const row of page.value) {
+      if (!res.write(formatCsvRow(EXPORT_COLUMNS.map((column) => row[column])))) await once(res, 'drain');
+    }
+    page = await pages.next();
+  }
+  res.end();
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/get-all-distributions:
+ *   get:
+ *     summary: List emails sent to registered addresses, with delivery counts per status
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, created_at]
+ *       - in: query
+ *         name: source_type
+ *         schema:
+ *           type: string
+ *           enum: [content_post, announcement]
+ *       - in: query
+ *         name: source_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Page of distributions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-all-distributions', authorize('registered-emails:read'), async (req, res) => {
+  const list = parseListQuery(req.query, DISTRIBUTION_LIST_SPEC);
+
+  const { data, error } = await fetchPage(
+    () => db.from('email_distributions').select('id, source_type, source_id, subject, created_at', { count: 'exact' }),
+    list
+  );
+  if (error) throw fromDatabaseError(error);
+
+  const counts = await countDeliveries(data.items.map((item) => item.id));
+  res.json({ ...data, items: data.items.map((item) => ({ ...item, deliveries: counts.get(item.id) })) });
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/get-distribution/{id}:
+ *   get:
+ *     summary: Get a distribution including the rendered email and delivery counts per status
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Distribution found
+ *       404:
+ *         description: Distribution not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-distribution/:id', authorize('registered-emails:read'), async (req, res) => {
+  const { id } = req.params;
+  const { data, error } = await db.from('email_distributions').select('*').eq('id', id).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Distribution not found.' });
+
+  const counts = await countDeliveries([data.id]);
+  res.json({ ...data, deliveries: counts.get(data.id) });
+});
+
+/**
+ * @swagger
+ * /v1/registered-emails/get-deliveries/{id}:
+ *   get:
+ *     summary: List the per-recipient deliveries of a distribution
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Distribution ID
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, email, sent_at]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, failed]
+ *     responses:
+ *       200:
+ *         description: Page of deliveries with status, attempts and the last error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-deliveries/:id', authorize('registered-emails:read'), async (req, res) => {
+  const { id } = req.params;
+  const list = parseListQuery(req.query, DELIVERY_LIST_SPEC);
+
+  const { status } = req.query;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw new BadRequestError(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}.`);
+  }
+
+  const select = () => {
+    const query = db.from('email_deliveries').select('*', { count: 'exact' }).eq('distribution_id', id);
+    return status ? query.eq('status', status) : query;
+  };
+
+  const { data, error } = await fetchPage(select, list);
+  if (error) throw fromDatabaseError(error);
   res.json(data);
 });
 
+/**
+ * @swagger
+ * /v1/registered-emails/retry-deliveries/{id}:
+ *   post:
+ *     summary: Queue the failed deliveries of a distribution again
+ *     tags: [RegisteredEmails]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Distribution ID
+ *     responses:
+ *       200:
+ *         description: Number of deliveries queued again
+ *       404:
+ *         description: Distribution not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/retry-deliveries/:id', authorize('registered-emails:write'), async (req, res) => {
+  const { id } = req.params;
+  const { data, error } = await db.from('email_distributions').select('id').eq('id', id).maybeSingle();
+  if (error) throw fromDatabaseError(error);
+  if (!data) throw new NotFoundError('Distribution not found.');
+
+  const requeued = await retryFailedDeliveries(data.id);
+  await recordAudit(req, 'email_distribution.retry_deliveries', { id: data.id, after: { requeued } });
+  res.json({ requeued });
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+export const RegisterEmail = {
+  type: 'object',
+  required: ['email'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', format: 'email', maxLength: 254 },
+  },
+};
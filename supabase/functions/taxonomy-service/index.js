@@ -0,0 +1,387 @@
+import { Router } from 'express';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { validateBody } from '#middleware/validate-body.js';
+import { parseListQuery, fetchPage } from '#lib/list-query.js';
+import { slugify } from '#lib/slugify.js';
+import {
+  TAXONOMY_RESOURCES,
+  allCategories,
+  ancestorsOf,
+  descendantIds,
+  categoryTree,
+  tagCounts,
+} from '#lib/taxonomy.js';
+import { recordAudit } from '#lib/audit.js';
+import { fromDatabaseError, BadRequestError, ConflictError, NotFoundError, ValidationError } from '#lib/errors.js';
+import { CreateCategory, UpdateCategory, CreateTag, UpdateTag } from './schemas.js';
+
+const router = Router();
+
+const TAG_LIST_SPEC = {
+  sortable: ['name', 'created_at'],
+  defaultSort: { field: 'name', order: 'asc' },
+  dateRanges: { created: 'created_at' },
+  searchFields: ['name', 'slug'],
+};
+
+// Reject a parent that does not exist, or that would put a category below itself
+function assertValidParent(categories, categoryId, parentId) {
+  if (parentId === null || parentId === undefined) return;
+  if (!categories.has(parentId)) {
+    throw new ValidationError('Request body is invalid.', [{ field: 'parent_id', message: `category ${parentId} does not exist` }]);
+  }
+  if (categoryId && descendantIds(categories, categoryId).includes(parentId)) {
+    throw new ValidationError('Request body is invalid.', [
+      { field: 'parent_id', message: 'must not be the category itself or one of its subcategories' },
+    ]);
+  }
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Taxonomy
+ *   description: Categories and tags for content posts and announcements
+ */
+
+/**
+ * @swagger
+ * /v1/taxonomy/get-all-categories:
+ *   get:
+ *     summary: List every category as a tree
+ *     tags: [Taxonomy]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Top-level categories by name, each with its subcategories in children
+ */
+router.get('/get-all-categories', async (req, res) => {
+  res.json(categoryTree(await allCategories()));
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/get-category/{id}:
+ *   get:
+ *     summary: Get a category with its ancestors and direct subcategories
+ *     tags: [Taxonomy]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category found, ancestors go from the top-level category down
+ *       404:
+ *         description: Category not found
+ */
+// Get one category by id
+router.get('/get-category/:id', async (req, res) => {
+  const id = Number(req.params.id);
+  const categories = await allCategories();
+  const category = categories.get(id);
+  if (!category) throw new NotFoundError('Category not found.');
+
+  const children = [...categories.values()].filter((row) => row.parent_id === id);
+  res.json({ ...category, ancestors: ancestorsOf(categories, id), children });
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/create-category:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Taxonomy]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateCategory'
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       409:
+ *         description: The slug is already used
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/create-category', authorize('taxonomy:write'), validateBody(CreateCategory), async (req, res) => {
+  assertValidParent(await allCategories(), null, req.body.parent_id);
+
+  const newItem = { ...req.body, slug: req.body.slug ?? slugify(req.body.name) };
+  const { data, error } = await db.from('categories').insert([newItem]).select().single();
+  if (error) throw fromDatabaseError(error);
+
+  await recordAudit(req, 'category.create', { id: data.id, after: data });
+  res.status(201).json(data);
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/update-category:
+ *   put:
+ *     summary: Rename, re-slug or move a category
+ *     tags: [Taxonomy]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateCategory'
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The slug is already used
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/update-category', authorize('taxonomy:write'), validateBody(UpdateCategory), async (req, res) => {
+  const { id, ...updates } = req.body;
+  const categories = await allCategories();
+  if (!categories.has(id)) throw new NotFoundError('Category not found.');
+  assertValidParent(categories, id, updates.parent_id);
+
+  const { data, error } = await db
+    .from('categories')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Category not found.' });
+
+  await recordAudit(req, 'category.update', { id, before: categories.get(id), after: data });
+  res.json(data);
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/delete-category/{id}:
+ *   delete:
+ *     summary: Delete a category, removing it from the posts and announcements it was assigned to
+ *     tags: [Taxonomy]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category has subcategories, details lists them
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/delete-category/:id', authorize('taxonomy:write'), async (req, res) => {
+  const id = Number(req.params.id);
+  const categories = await allCategories();
+  if (!categories.has(id)) throw new NotFoundError('Category not found.');
+
+  const children = [...categories.values()].filter((row) => row.parent_id === id).map((row) => ({ id: row.id, name: row.name }));
+  if (children.length > 0) {
+    throw new ConflictError('Category has subcategories, move or delete them first.', children);
+  }
+
+  const { error: assignmentsError } = await db.from('category_assignments').delete().eq('category_id', id);
+  if (assignmentsError) throw fromDatabaseError(assignmentsError);
+
+  const { error } = await db.from('categories').delete().eq('id', id);
+  if (error) throw fromDatabaseError(error);
+
+  await recordAudit(req, 'category.delete', { id, before: categories.get(id) });
+  res.json({ id });
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/get-all-tags:
+ *   get:
+ *     summary: List tags
+ *     tags: [Taxonomy]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, name, created_at]
+ *     responses:
+ *       200:
+ *         description: Page of tags, q searches name and slug
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ */
+router.get('/get-all-tags', async (req, res) => {
+  const list = parseListQuery(req.query, TAG_LIST_SPEC);
+
+  const { data, error } = await fetchPage(() => db.from('tags').select('*', { count: 'exact' }), list);
+  if (error) throw fromDatabaseError(error);
+  res.json(data);
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/get-tag-counts:
+ *   get:
+ *     summary: How many published posts and current announcements use each tag, for navigation
+ *     tags: [Taxonomy]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: resource_type
+ *         schema:
+ *           type: string
+ *           enum: [content_post, announcement]
+ *         description: Only count one kind of item, both are counted when left out
+ *     responses:
+ *       200:
+ *         description: Tags in use with their count, most used first
+ *       400:
+ *         description: Invalid resource_type
+ */
+router.get('/get-tag-counts', async (req, res) => {
+  const { resource_type: resourceType } = req.query;
+  if (resourceType && !TAXONOMY_RESOURCES[resourceType]) {
+    throw new BadRequestError(`resource_type must be one of: ${Object.keys(TAXONOMY_RESOURCES).join(', ')}.`);
+  }
+
+  res.json(await tagCounts(resourceType ? [resourceType] : undefined));
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/create-tag:
+ *   post:
+ *     summary: Create a tag (tags are also created when first assigned)
+ *     tags: [Taxonomy]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateTag'
+ *     responses:
+ *       201:
+ *         description: Tag created
+ *       409:
+ *         description: A tag with this slug already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/create-tag', authorize('taxonomy:write'), validateBody(CreateTag), async (req, res) => {
+  const newItem = { ...req.body, slug: req.body.slug ?? slugify(req.body.name, { maxLength: 50 }) };
+  const { data, error } = await db.from('tags').insert([newItem]).select().single();
+  if (error) throw fromDatabaseError(error);
+
+  await recordAudit(req, 'tag.create', { id: data.id, after: data });
+  res.status(201).json(data);
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/update-tag:
+ *   put:
+ *     summary: Rename or re-slug a tag
+ *     tags: [Taxonomy]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateTag'
+ *     responses:
+ *       200:
+ *         description: Tag updated
+ *       404:
+ *         description: Tag not found
+ *       409:
+ *         description: A tag with this slug already exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.put('/update-tag', authorize('taxonomy:write'), validateBody(UpdateTag), async (req, res) => {
+  const { id, ...updates } = req.body;
+  const { data: before, error: beforeError } = await db.from('tags').select('*').eq('id', id).single();
+  if (beforeError) throw fromDatabaseError(beforeError, { notFound: 'Tag not found.' });
+
+  const { data, error } = await db.from('tags').update(updates).eq('id', id).select().single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Tag not found.' });
+
+  await recordAudit(req, 'tag.update', { id, before, after: data });
+  res.json(data);
+});
+
+/**
+ * @swagger
+ * /v1/taxonomy/delete-tag/{id}:
+ *   delete:
+ *     summary: Delete a tag, removing it from everything it was assigned to
+ *     tags: [Taxonomy]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tag deleted
+ *       404:
+ *         description: Tag not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/delete-tag/:id', authorize('taxonomy:write'), async (req, res) => {
+  const { id } = req.params;
+
+  const { error: assignmentsError } = await db.from('tag_assignments').delete().eq('tag_id', id);
+  if (assignmentsError) throw fromDatabaseError(assignmentsError);
+
+  const { data, error } = await db.from('tags').delete().eq('id', id).select().single();
+  if (error) throw fromDatabaseError(error, { notFound: 'Tag not found.' });
+
+  await recordAudit(req, 'tag.delete', { id: data.id, before: data });
+  res.json({ id: data.id });
+});
+
+export default router;
@@ -0,0 +1,47 @@
+const SLUG = { type: 'string', minLength: 1, maxLength: 80, pattern: '^[a-z0-9]+(-[a-z0-9]+)*$' };
+
+const categoryFields = {
+  name: { type: 'string', minLength: 1, maxLength: 100 },
+  slug: { ...SLUG, description: 'Generated from the name when left out on create' },
+  description: { type: 'string', maxLength: 500, nullable: true },
+  parent_id: { type: 'integer', minimum: 1, nullable: true, description: 'Parent category, null for a top-level one' },
+};
+
+export const CreateCategory = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: categoryFields,
+};
+
+export const UpdateCategory = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    ...categoryFields,
+  },
+};
+
+const tagFields = {
+  name: { type: 'string', minLength: 1, maxLength: 50 },
+  slug: { ...SLUG, maxLength: 50, description: 'Generated from the name when left out on create' },
+};
+
+export const CreateTag = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: tagFields,
+};
+
+export const UpdateTag = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    ...tagFields,
+  },
+};
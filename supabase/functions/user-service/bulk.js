@@ -0,0 +1,99 @@
+import { validateValue } from '#lib/validation.js';
+import { passwordProblems } from '#lib/passwords.js';
+import { getQuotas } from '#lib/quotas.js';
+import { findExisting, summarize as countResults } from '#lib/bulk.js';
+import { BadRequestError, ValidationError } from '#lib/errors.js';
+import { CreateUser, CreateUsers } from './schemas.js';
+
+export const BULK_MODES = ['all-or-nothing', 'partial'];
+
+export const BULK_RESULTS = ['created', 'invalid', 'duplicate', 'over-limit', 'skipped'];
+
+// Only the batch itself is checked here, every item is checked on its own by planBatch()
+const BATCH_SHAPE = { type: 'array', minItems: CreateUsers.minItems, maxItems: CreateUsers.maxItems };
+
+/**
+ * Read the users of a CSV file whose header row names CreateUser fields. Empty cells
+ * are left out, other cells are trimmed except passwords. Returns `{ row, user }` per
+ * non-blank record, `row` being its 1-based position in the file.
+ */
+export function usersFromCsv(records) {
+  const [header = [], ...rest] = records;
+  const columns = header.map((cell) => cell.trim().toLowerCase());
+  if (!columns.includes('email')) throw new BadRequestError('CSV needs a header row with at least an email column.');
+
+  const unknown = columns.filter((column) => !CreateUser.properties[column]);
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown CSV columns: ${unknown.join(', ')}.`, { allowed: Object.keys(CreateUser.properties) });
+  }
+
+  return rest
+    .map((cells, index) => ({ row: index + 2, cells }))
+    .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''))
+    .map(({ row, cells }) => ({
+      row,
+      user: Object.fromEntries(
+        columns
+          .map((column, i) => [column, column === 'password' ? (cells[i] ?? '') : (cells[i] ?? '').trim()])
+          .filter(([, value]) => value !== '')
+      ),
+    }));
+}
+
+/**
+ * Decide what creating each item of a batch would do, checking every item before
+ * anything is written: the CreateUser schema, the password policy, emails repeated
+ * in the batch or already used, and the users quota. Items are `{ row?, user }`.
+ * Returns `{ results, accepted }`: a result per item, in order, and the items to
+ * insert, whose result stays 'created' unless the batch is rejected.
+ */
+export async function planBatch(items) {
+  const problems = validateValue(BATCH_SHAPE, items);
+  if (problems.length > 0) throw new ValidationError('Request body is invalid.', problems);
+
+  const seen = new Map();
+  const results = items.map(({ row, user }, index) => {
+    const result = { index, ...(row && { row }), email: typeof user?.email === 'string' ? user.email : null };
+
+    const errors = validateValue(CreateUser, user);
+    if (errors.length === 0) {
+      errors.push(...passwordProblems(user.password, user).map((message) => ({ field: 'password', message })));
+    }
+
+    if (errors.length > 0) {
+      return { ...result, result: 'invalid', reason: 'Does not match the CreateUser schema or the password policy.', errors };
+    }
+    if (seen.has(user.email)) {
+      return { ...result, result: 'duplicate', reason: `Same email as item ${seen.get(user.email)}.` };
+    }
+    seen.set(user.email, index);
+    return { ...result, result: 'created', reason: null };
+  });
+
+  const existing = await findExisting('users', 'email', [...seen.keys()]);
+  const { limit, used } = (await getQuotas()).find((quota) => quota.resource === 'users');
+  let remaining = limit === null ? Infinity : Math.max(limit - used, 0);
+
+  const accepted = [];
+  for (const result of results) {
+    if (result.result !== 'created') continue;
+
+    if (existing.has(result.email)) {
+      result.result = 'duplicate';
+      result.reason = 'A user with this email already exists.';
+    } else if (remaining === 0) {
+      result.result = 'over-limit';
+      result.reason = `The users quota of ${limit} is reached.`;
+    } else {
+      remaining--;
+      accepted.push({ result, user: items[result.index].user });
+    }
+  }
+
+  return { results, accepted };
+}
+
+/**
+ * Count batch results by kind.
+ */
+export const summarize = (results) => countResults(BULK_RESULTS, results);
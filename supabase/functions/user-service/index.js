@@ -1,9 +1,54 @@
-import { Router } from 'express';
-import { supabase } from '#supabase-client';
+import { Router, text } from 'express';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { validateBody } from '#middleware/validate-body.js';
+import { parseListQuery, fetchPage } from '#lib/list-query.js';
 import bcrypt from 'bcrypt';
+import { IdList } from '#lib/schemas.js';
+import { recordAudit } from '#lib/audit.js';
+import { presentUsers } from '#lib/users.js';
+import { assertPasswordAllowed } from '#lib/passwords.js';
+import { parseCsv } from '#lib/csv.js';
+import { revokeUserRefreshTokens } from '#lib/tokens.js';
+import { moveToTrash, restoreFromTrash, trashListSpec, fetchTrashPage } from '#lib/trash.js';
+import {
+  fromDatabaseError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  QuotaExceededError,
+  ValidationError,
+} from '#lib/errors.js';
+import { CreateUser, UpdateUser } from './schemas.js';
+import { BULK_MODES, planBatch, usersFromCsv, summarize } from './bulk.js';
 
 const router = Router();
 
+const LIST_SPEC = {
+  sortable: ['email', 'first_name', 'last_name', 'created_at'],
+  filters: { role: 'role' },
+  dateRanges: { created: 'created_at' },
+  searchFields: ['email', 'first_name', 'last_name'],
+};
+
+const TRASH_LIST_SPEC = trashListSpec(LIST_SPEC);
+
+// Trashed users can no longer sign in, and are signed out everywhere
+async function trashUsers(req, ids) {
+  const { changes, notFound } = await moveToTrash('user', ids);
+  for (const { id } of changes) await revokeUserRefreshTokens(id);
+
+  await recordAudit(req, 'user.delete', changes);
+  return { deleted: changes.map((change) => change.id), not_found: notFound };
+}
+
+async function restoreUsers(req, ids) {
+  const { changes, notFound } = await restoreFromTrash('user', ids);
+
+  await recordAudit(req, 'user.restore', changes);
+  return { restored: changes.map((change) => change.id), not_found: notFound };
+}
+
 /**
  * @swagger
  * tags:
@@ -15,19 +60,59 @@ const router = Router();
  * @swagger
  * /v1/users/get-all-users:
  *   get:
- *     summary: Get all users
+ *     summary: List users
  *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, email, first_name, last_name, created_at]
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, editor, viewer]
+ *       - in: query
+ *         name: created_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_to
+ *         schema:
+ *           type: string
+ *           format: date-time
  *     responses:
  *       200:
- *         description: List of users
+ *         description: >
+ *           Page of users, q searches email and names. Items are AdminUser for admins and
+ *           PublicUser for everyone else.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
  *       500:
  *         description: Server error
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Get all users
-router.get('/get-all-users', async (req, res) => {
-  const { data, error } = await supabase.from('users').select('*');
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+router.get('/get-all-users', authorize('users:read'), async (req, res) => {
+  const list = parseListQuery(req.query, LIST_SPEC);
+
+  const { data, error } = await fetchPage(() => db.from('users').select('*', { count: 'exact' }).is('deleted_at', null), list);
+  if (error) throw fromDatabaseError(error);
+  res.json({ ...data, items: presentUsers(data.items, req.user) });
 });
 
 /**
@@ -45,131 +130,173 @@ router.get('/get-all-users', async (req, res) => {
  *         description: User ID
  *     responses:
  *       200:
- *         description: User found
+ *         description: User found, as an AdminUser for admins and for the user themself, a PublicUser otherwise
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AdminUser'
+ *                 - $ref: '#/components/schemas/PublicUser'
  *       404:
  *         description: User not found
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Get one user by id
-router.get('/get-user/:id', async (req, res) => {
+router.get('/get-user/:id', authorize('users:read'), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('users').select('*').eq('id', id).single();
-  if (error) return res.status(404).json({ error: error.message });
-  res.json(data);
+  const { data, error } = await db.from('users').select('*').eq('id', id).is('deleted_at', null).single();
+  if (error) throw fromDatabaseError(error, { notFound: 'User not found.' });
+  res.json(presentUsers(data, req.user));
 });
 
 /**
  * @swagger
  * /v1/users/create-user:
  *   post:
- *     summary: Create a new user (max 10 total)
+ *     summary: Create a new user (limited by the users quota)
  *     tags: [Users]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               username:
- *                 type: string
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/CreateUser'
  *     responses:
  *       201:
  *         description: User created
- *       400:
- *         description: Validation error or user limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AdminUser'
+ *       409:
+ *         description: The email is used by another user (CONFLICT), or the users quota is reached (QUOTA_EXCEEDED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-// Create one user (total users cannot exceed 10)
-router.post('/create-user', async (req, res) => {
+// Create one user (limited by the users quota)
+router.post('/create-user', authorize('users:write'), validateBody(CreateUser), async (req, res) => {
   const { password, ...rest } = req.body;
-  if (!password) {
-    return res.status(400).json({ error: 'Password is required.' });
-  }
+  assertPasswordAllowed(password, rest);
+
   // Hash password
   const hashedPassword = await bcrypt.hash(password, 10);
 
-  // Get current user count
-  const { count, error: countError } = await supabase
-    .from('users')
-    .select('*', { count: 'exact', head: true });
+  const { data, error } = await db.from('users').insert([{ ...rest, password: hashedPassword }]).select();
+  if (error) throw fromDatabaseError(error);
 
-  if (countError) {
-    return res.status(500).json({ error: countError.message });
-  }
-
-  if ((count || 0) + 1 > 10) {
-    return res.status(400).json({ error: 'Total users cannot exceed 10.' });
-  }
-
-  const { data, error } = await supabase.from('users').insert([{ ...rest, password: hashedPassword }]).select();
-  if (error) return res.status(400).json({ error: error.message });
-  res.status(201).json(data);
+  await recordAudit(req, 'user.create', { id: data[0].id, after: data[0] });
+  res.status(201).json(presentUsers(data, req.user));
 });
 
 /**
  * @swagger
  * /v1/users/create-users:
  *   post:
- *     summary: Create multiple users (max 10 total)
+ *     summary: Create many users at once, from JSON or CSV (limited by the users quota)
+ *     description: >
+ *       Every item is checked before anything is written: the CreateUser schema, the password
+ *       policy, emails repeated in the batch or already used, and the users quota. Each item gets
+ *       a result: created, invalid, duplicate, over-limit, or skipped (valid, but the batch was
+ *       rejected). In all-or-nothing mode (the default) one rejected item rejects the batch, with
+ *       the results in error.details; in partial mode the valid items are created anyway.
+ *       A CSV file needs a header row naming CreateUser fields, empty cells are left out and
+ *       results carry the `row` of the record in the file.
  *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [all-or-nothing, partial]
+ *           default: all-or-nothing
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: array
- *             items:
- *               type: object
- *               properties:
- *                 username:
- *                   type: string
- *                 email:
- *                   type: string
- *                 password:
- *                   type: string
+ *             $ref: '#/components/schemas/CreateUsers'
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: "email,password,first_name,role\nann@example.com,Violet-Harbor-42,Ann,editor\n"
  *     responses:
  *       201:
- *         description: Users created
+ *         description: Users created, with { mode, summary, results }; created results carry the AdminUser
+ *       200:
+ *         description: Partial mode and no item could be created, with { mode, summary, results }
  *       400:
- *         description: Validation error or user limit exceeded
+ *         description: Invalid mode, or malformed CSV
+ *       409:
+ *         description: >
+ *           All-or-nothing batch rejected for duplicate emails (CONFLICT) or the users quota
+ *           (QUOTA_EXCEEDED), nothing created; details has { summary, results }
+ *       413:
+ *         description: CSV file larger than 1 MB
+ *       422:
+ *         description: >
+ *           The body is not a list of 1 to 500 users, or an all-or-nothing batch has invalid items
+ *           and nothing was created; details then has { summary, results }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-// Create many users (total users cannot exceed 10)
-router.post('/create-users', async (req, res) => {
-  const users = req.body; // expects an array of user objects
-  if (!Array.isArray(users)) {
-    return res.status(400).json({ error: 'Request body must be an array of users.' });
-  }
+// Create many users (limited by the users quota)
+router.post(
+  '/create-users',
+  authorize('users:write'),
+  text({ type: 'text/csv', limit: '1mb' }),
+  async (req, res) => {
+    const mode = req.query.mode ?? 'all-or-nothing';
+    if (!BULK_MODES.includes(mode)) throw new BadRequestError(`mode must be one of: ${BULK_MODES.join(', ')}.`);
 
-  // Hash passwords for each user
-  const usersWithHashedPasswords = await Promise.all(
-    users.map(async (user) => {
-      if (!user.password) throw new Error('Password is required for all users.');
-      const hashedPassword = await bcrypt.hash(user.password, 10);
-      const { password, ...rest } = user;
-      return { ...rest, password: hashedPassword };
-    })
-  );
-
-  // Get current user count
-  const { count, error: countError } = await supabase
-    .from('users')
-    .select('*', { count: 'exact', head: true });
+    // A CSV file, or JSON that planBatch() checks is a list of users
+    let items = req.body;
+    if (typeof req.body === 'string') items = usersFromCsv(parseCsv(req.body));
+    else if (Array.isArray(req.body)) items = req.body.map((user) => ({ user }));
+    const { results, accepted } = await planBatch(items);
 
-  if (countError) {
-    return res.status(500).json({ error: countError.message });
-  }
+    const rejected = results.length - accepted.length;
+    if (mode === 'all-or-nothing' && rejected > 0) {
+      for (const { result } of accepted) {
+        Object.assign(result, { result: 'skipped', reason: 'Not created, other items were rejected.' });
+      }
 
-  if ((count || 0) + users.length > 10) {
-    return res.status(400).json({ error: 'Total users cannot exceed 10.' });
-  }
+      const message = `No users were created, ${rejected} of ${results.length} items were rejected.`;
+      const details = { summary: summarize(results), results };
+      if (results.some((result) => result.result === 'invalid')) throw new ValidationError(message, details);
+      if (results.some((result) => result.result === 'duplicate')) throw new ConflictError(message, details);
+      throw new QuotaExceededError(message, details);
+    }
 
-  const { data, error } = await supabase.from('users').insert(usersWithHashedPasswords).select();
-  if (error) return res.status(400).json({ error: error.message });
-  res.status(201).json(data);
-});
+    if (accepted.length > 0) {
+      // Hash only what is going to be stored, the quota and duplicates are already checked
+      const rows = await Promise.all(
+        accepted.map(async ({ user: { password, ...rest } }) => ({ ...rest, password: await bcrypt.hash(password, 10) }))
+      );
+
+      // One insert, so a concurrent write that breaks the quota or an email still creates nothing
+      const { data, error } = await db.from('users').insert(rows).select();
+      if (error) throw fromDatabaseError(error);
+
+      data.forEach((user, i) => {
+        accepted[i].result.user = presentUsers(user, req.user);
+      });
+      await recordAudit(req, 'user.create', data.map((user) => ({ id: user.id, after: user })));
+    }
+
+    res.status(accepted.length > 0 ? 201 : 200).json({ mode, summary: summarize(results), results });
+  }
+);
 
 /**
  * @swagger
@@ -182,47 +309,71 @@ router.post('/create-users', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               id:
- *                 type: integer
- *               username:
- *                 type: string
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/UpdateUser'
  *     responses:
  *       200:
  *         description: User updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AdminUser'
  *       400:
  *         description: Error updating
+ *       404:
+ *         description: User not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Update one user (hash password if provided)
-router.put('/update-user', async (req, res) => {
+router.put('/update-user', authorize('users:write'), validateBody(UpdateUser), async (req, res) => {
   const { id, ...updateData } = req.body;
 
-  if (!id) return res.status(400).json({ error: 'User ID is required in the request body.' });
+  const { data: before, error: beforeError } = await db
+    .from('users')
+    .select('*')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .maybeSingle();
+  if (beforeError) throw fromDatabaseError(beforeError);
+  if (!before) throw new NotFoundError('User not found.');
 
+  // A new password follows the policy and signs the user out everywhere
   if (updateData.password) {
+    assertPasswordAllowed(updateData.password, { ...before, ...updateData });
     updateData.password = await bcrypt.hash(updateData.password, 10);
+    updateData.password_changed_at = new Date().toISOString();
   }
 
-  const { data, error } = await supabase
+  const { data, error } = await db
     .from('users')
     .update(updateData)
     .eq('id', id)
+    .is('deleted_at', null)
     .select();
 
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  if (error) throw fromDatabaseError(error);
+  // Trashed between the read and the update
+  if (data.length === 0) throw new NotFoundError('User not found.');
+  if (updateData.password) await revokeUserRefreshTokens(data[0].id);
+
+  await recordAudit(req, 'user.update', { id: data[0].id, before, after: data[0] });
+  res.json(presentUsers(data, req.user));
 });
 
 /**
  * @swagger
  * /v1/users/delete-user/{id}:
  *   delete:
- *     summary: Delete a user by ID
+ *     summary: Move a user to the trash by ID
+ *     description: >
+ *       The user can no longer sign in, their refresh tokens are revoked and they no longer
+ *       count toward the users quota. Until the trash is purged their email stays taken.
  *     tags: [Users]
  *     parameters:
  *       - in: path
@@ -233,50 +384,155 @@ router.put('/update-user', async (req, res) => {
  *         description: User ID
  *     responses:
  *       200:
- *         description: User deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 // Delete one user by id
-router.delete('/delete-user/:id', async (req, res) => {
+router.delete('/delete-user/:id', authorize('users:write'), async (req, res) => {
   const { id } = req.params;
-  const { data, error } = await supabase.from('users').delete().eq('id', id);
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.json(await trashUsers(req, [Number(id)]));
 });
 
 /**
  * @swagger
  * /v1/users/delete-users:
  *   delete:
- *     summary: Delete multiple users by IDs
+ *     summary: Move multiple users to the trash by IDs
  *     tags: [Users]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: integer
- *             example:
- *               ids: [1, 2, 3]
+ *             $ref: '#/components/schemas/IdList'
  *     responses:
  *       200:
- *         description: Users deleted
+ *         $ref: '#/components/responses/Trashed'
  *       400:
  *         description: Error deleting
- */1
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 // Delete many users by ids
-router.delete('/delete-users', async (req, res) => {
+router.delete('/delete-users', authorize('users:write'), validateBody(IdList), async (req, res) => {
   const { ids } = req.body; // expects { ids: [id1, id2, ...] }
-  const { data, error } = await supabase.from('users').delete().in('id', ids);
-  if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.json(await trashUsers(req, ids));
 });
 
-export default router;
+/**
+ * @swagger
+ * /v1/users/get-trashed-users:
+ *   get:
+ *     summary: List users in the trash, most recently deleted first
+ *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/cursor'
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/q'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, email, first_name, last_name, created_at, deleted_at]
+ *       - in: query
+ *         name: deleted_from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: deleted_to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Page of AdminUser items with deleted_at and purge_at, when they will be removed for good
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Page'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/get-trashed-users', authorize('users:write'), async (req, res) => {
+  const list = parseListQuery(req.query, TRASH_LIST_SPEC);
+
+  const { data, error } = await fetchTrashPage('user', list);
+  if (error) throw fromDatabaseError(error);
+  res.json({
+    ...data,
+    items: data.items.map((user) => ({ ...presentUsers(user, req.user), deleted_at: user.deleted_at, purge_at: user.purge_at })),
+  });
+});
 
+/**
+ * @swagger
+ * /v1/users/restore-user/{id}:
+ *   post:
+ *     summary: Take a user out of the trash, they can sign in again
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the users quota (QUOTA_EXCEEDED)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-user/:id', authorize('users:write'), async (req, res) => {
+  const { id } = req.params;
+  res.json(await restoreUsers(req, [Number(id)]));
+});
+
+/**
+ * @swagger
+ * /v1/users/restore-users:
+ *   post:
+ *     summary: Take multiple users out of the trash
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IdList'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Restored'
+ *       409:
+ *         description: Restoring would exceed the users quota (QUOTA_EXCEEDED)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/restore-users', authorize('users:write'), validateBody(IdList), async (req, res) => {
+  res.json(await restoreUsers(req, req.body.ids));
+});
+
+export default router;
@@ -0,0 +1,64 @@
+import { ROLES } from '#lib/permissions.js';
+import { NewPassword } from '#lib/schemas.js';
+
+const userFields = {
+  username: { type: 'string', maxLength: 50 },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  password: NewPassword,
+  first_name: { type: 'string', maxLength: 100 },
+  middle_name: { type: 'string', maxLength: 100, nullable: true },
+  last_name: { type: 'string', maxLength: 100 },
+  suffix: { type: 'string', maxLength: 20, nullable: true },
+  role: { type: 'string', enum: ROLES, default: 'viewer' },
+};
+
+export const CreateUser = {
+  type: 'object',
+  required: ['email', 'password'],
+  additionalProperties: false,
+  properties: userFields,
+};
+
+export const CreateUsers = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 500,
+  items: CreateUser,
+};
+
+export const UpdateUser = {
+  type: 'object',
+  required: ['id'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    ...userFields,
+  },
+};
+
+const publicUserFields = {
+  id: { type: 'integer' },
+  username: { type: 'string', nullable: true },
+  email: { type: 'string', format: 'email' },
+  first_name: { type: 'string', nullable: true },
+  middle_name: { type: 'string', nullable: true },
+  last_name: { type: 'string', nullable: true },
+  suffix: { type: 'string', nullable: true },
+  role: { type: 'string', enum: ROLES },
+};
+
+// How users are returned to callers who may read but not manage them, see lib/users.js
+export const PublicUser = {
+  type: 'object',
+  properties: publicUserFields,
+};
+
+// How users are returned to admins, and to the user themself. Passwords never leave the server.
+export const AdminUser = {
+  type: 'object',
+  properties: {
+    ...publicUserFields,
+    created_at: { type: 'string', format: 'date-time' },
+    password_changed_at: { type: 'string', format: 'date-time', nullable: true },
+  },
+};
@@ -0,0 +1,58 @@
+import { db } from '#storage';
+
+// Fields whose values never reach the audit log, matched anywhere in a snapshot
+const SECRET_FIELD = /password|secret|token|hash/i;
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Copy of `value` with every secret field replaced by REDACTED, at any depth.
+ */
+export function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value === null || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [key, SECRET_FIELD.test(key) && field != null ? REDACTED : redact(field)])
+  );
+}
+
+// Top-level fields that differ, worked out before redaction so secret changes still show up
+function changedFields(before, after) {
+  if (!before || !after) return [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields].filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+/**
+ * Append entries to the audit log for a write made by the caller of `req`.
+ *
+ * `action` is '<resource type>.<verb>', e.g. 'content_post.delete'. Pass one
+ * `{ id, before, after }` entry or an array of them for bulk writes; `before` is
+ * null for creations and `after` for deletions. `actor` overrides req.user, for
+ * routes like login where the caller is only known once the write succeeds.
+ *
+ * The write has already happened by the time this runs, so a failure to record
+ * it is logged rather than turned into an error response.
+ */
+export async function recordAudit(req, action, entries, { actor = req.user } = {}) {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(Boolean);
+  if (list.length === 0) return;
+
+  const [resourceType] = action.split('.');
+  const rows = list.map(({ id = null, before = null, after = null }) => ({
+    actor_id: actor?.id ?? null,
+    actor_email: actor?.email ?? null,
+    actor_role: actor?.role ?? null,
+    action,
+    resource_type: resourceType,
+    resource_id: id === null ? null : String(id),
+    before: redact(before),
+    after: redact(after),
+    changed_fields: changedFields(before, after),
+    ip: req.ip ?? null,
+    request_id: req.id ?? null,
+  }));
+
+  const { error } = await db.from('audit_log').insert(rows);
+  if (error) console.error(`Audit log write failed for ${action}:`, error.message);
+}
@@ -0,0 +1,55 @@
+import { db } from '#storage';
+
+// Keeps `in` filters well below URL length limits
+const LOOKUP_CHUNK = 200;
+
+// Rows read per request, PostgREST returns at most max_rows (config.toml) at once
+const READ_PAGE = 1000;
+
+/**
+ * Look up the rows of `table` whose `column` holds one of `values`, a chunk of
+ * values per query so lookups of any size stay within URL length limits. `column`
+ * must be unique, so no chunk matches more rows than a response holds. `narrow`
+ * adds further filters to each query. Returns a Map from each value found to its
+ * row, with the `columns` selected.
+ */
+export async function findExisting(table, column, values, columns = column, narrow = (query) => query) {
+  const existing = new Map();
+  for (let i = 0; i < values.length; i += LOOKUP_CHUNK) {
+    const { data, error } = await narrow(
+      db
+        .from(table)
+        .select(columns)
+        .in(column, values.slice(i, i + LOOKUP_CHUNK))
+    );
+    if (error) throw error;
+    for (const row of data) existing.set(row[column], row);
+  }
+  return existing;
+}
+
+/**
+ * Every row a query returns, read a page at a time in id order. `select()` builds
+ * the query afresh for each page and must select `id`.
+ */
+export async function selectAll(select) {
+  const rows = [];
+  let afterId = 0;
+  for (;;) {
+    const { data, error } = await select().gt('id', afterId).order('id', { ascending: true }).limit(READ_PAGE);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < READ_PAGE) return rows;
+    afterId = data[data.length - 1].id;
+  }
+}
+
+/**
+ * Count bulk results by kind, every kind in `kinds` included even when none
+ * of the `results` have it.
+ */
+export function summarize(kinds, results) {
+  const summary = Object.fromEntries(kinds.map((kind) => [kind, 0]));
+  for (const { result } of results) summary[result]++;
+  return { total: results.length, ...summary };
+}
@@ -0,0 +1,272 @@
+import { db } from '#storage';
+import { mailer } from '#mail';
+import { renderEmail, withUnsubscribeLink } from '#mail/templates.js';
+import { unsubscribeUrl } from '#lib/subscriptions.js';
+
+export const DELIVERY_STATUSES = ['queued', 'sent', 'failed', 'cancelled'];
+
+// A delivery is marked failed after this many rejected attempts
+export const MAX_ATTEMPTS = 3;
+
+const BATCH_SIZE = 50;
+
+// Recipients read and queued per query, well below the rows PostgREST returns at once
+const RECIPIENT_PAGE = 500;
+
+// Wait longer after each failed attempt: 1, 2, 4... minutes
+const retryDelayMs = (attempts) => 60 * 1000 * 2 ** (attempts - 1);
+
+// The distribution of a source, or null if it has none yet
+async function findDistribution(sourceType, sourceId) {
+  const { data, error } = await db
+    .from('email_distributions')
+    .select('*')
+    .eq('source_type', sourceType)
+    .eq('source_id', sourceId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Queue a delivery to every confirmed address, a page of addresses at a time. Deliveries
+// an earlier, interrupted attempt already queued are left as they are.
+async function queueDeliveries(distributionId) {
+  const now = new Date().toISOString();
+  let afterId = 0;
+  for (;;) {
+    const { data: recipients, error } = await db
+      .from('registered_emails')
+      .select('id, email')
+      .eq('status', 'confirmed')
+      .is('deleted_at', null)
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(RECIPIENT_PAGE);
+    if (error) throw error;
+    if (recipients.length === 0) return;
+
+    const { error: deliveriesError } = await db.from('email_deliveries').upsert(
+      recipients.map((recipient) => ({
+        distribution_id: distributionId,
+        registered_email_id: recipient.id,
+        email: recipient.email,
+        next_attempt_at: now,
+      })),
+      { onConflict: 'distribution_id,registered_email_id', ignoreDuplicates: true }
+    );
+    if (deliveriesError) throw deliveriesError;
+
+    if (recipients.length < RECIPIENT_PAGE) return;
+    afterId = recipients[recipients.length - 1].id;
+  }
+}
+
+/**
+ * Queue an email about `row` to every confirmed address. Each source is distributed
+ * at most once, so republishing a post does not email readers again. A distribution
+ * whose deliveries failed to queue is finished by the next call for the same source.
+ * Returns the distribution, or null if this source was already distributed.
+ */
+export async function queueDistribution(sourceType, row) {
+  let distribution = await findDistribution(sourceType, row.id);
+  if (distribution?.queued_at) return null;
+
+  if (!distribution) {
+    const { subject, html, text } = renderEmail(sourceType, row);
+    const { data, error } = await db
+      .from('email_distributions')
+      .insert([{ source_type: sourceType, source_id: row.id, subject, html, text }])
+      .select()
+      .single();
+
+    // Another request is distributing the same source
+    if (error?.code === '23505') return null;
+    if (error) throw error;
+    distribution = data;
+  }
+
+  await queueDeliveries(distribution.id);
+
+  // Only one of several attempts finishing the same distribution at once marks it queued
+  const { data: queued, error: queuedError } = await db
+    .from('email_distributions')
+    .update({ queued_at: new Date().toISOString() })
+    .eq('id', distribution.id)
+    .is('queued_at', null)
+    .select()
+    .maybeSingle();
+  if (queuedError) throw queuedError;
+  return queued;
+}
+
+async function deliver(delivery, distribution, recipient) {
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+  let changes;
+
+  try {
+    const url = unsubscribeUrl(recipient);
+    const { messageId } = await mailer.send({
+      to: delivery.email,
+      subject: distribution.subject,
+      ...withUnsubscribeLink(distribution, url),
+      // One-click unsubscribe from the mail client (RFC 8058)
+      headers: { 'List-Unsubscribe': `<${url}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+    });
+    changes = { status: 'sent', attempts, message_id: messageId, sent_at: now.toISOString(), last_error: null };
+  } catch (error) {
+    changes = attempts >= MAX_ATTEMPTS
+      ? { status: 'failed', attempts, last_error: error.message }
+      : { attempts, last_error: error.message, next_attempt_at: new Date(now.getTime() + retryDelayMs(attempts)).toISOString() };
+  }
+
+  const { error } = await db
+    .from('email_deliveries')
+    .update({ ...changes, updated_at: now.toISOString() })
+    .eq('id', delivery.id);
+  if (error) throw error;
+
+  return changes.status || 'queued';
+}
+
+// The recipient unsubscribed or was removed after the email was queued
+async function cancel(delivery) {
+  const { error } = await db
+    .from('email_deliveries')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', delivery.id);
+  if (error) throw error;
+  return 'cancelled';
+}
+
+async function sendDueDeliveries() {
+  const result = { sent: 0, failed: 0, cancelled: 0, retrying: 0 };
+
+  for (;;) {
+    const { data: deliveries, error } = await db
+      .from('email_deliveries')
+      .select('*')
+      .eq('status', 'queued')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('id', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw error;
+    if (deliveries.length === 0) return result;
+
+    const distributionIds = [...new Set(deliveries.map((delivery) => delivery.distribution_id))];
+    const { data: distributions, error: distributionsError } = await db
+      .from('email_distributions')
+      .select('*')
+      .in('id', distributionIds);
+    if (distributionsError) throw distributionsError;
+
+    const recipientIds = deliveries.map((delivery) => delivery.registered_email_id).filter((id) => id !== null);
+    const { data: recipients, error: recipientsError } = await db
+      .from('registered_emails')
+      .select('id, email, status')
+      .in('id', recipientIds)
+      .is('deleted_at', null);
+    if (recipientsError) throw recipientsError;
+
+    const distributionById = new Map(distributions.map((distribution) => [distribution.id, distribution]));
+    const recipientById = new Map(recipients.map((recipient) => [recipient.id, recipient]));
+
+    for (const delivery of deliveries) {
+      const recipient = recipientById.get(delivery.registered_email_id);
+      const status =
+        recipient?.status === 'confirmed'
+          ? await deliver(delivery, distributionById.get(delivery.distribution_id), recipient)
+          : await cancel(delivery);
+      if (status === 'sent') result.sent++;
+      else if (status === 'failed') result.failed++;
+      else if (status === 'cancelled') result.cancelled++;
+      else result.retrying++;
+    }
+
+    if (deliveries.length < BATCH_SIZE) return result;
+  }
+}
+
+let running = null;
+
+/**
+ * Send every queued delivery that is due. Calls made while a run is in progress
+ * share that run, so a delivery is never sent twice by this process.
+ */
+export function processDeliveries() {
+  running ??= sendDueDeliveries().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+const sendInBackground = () =>
+  processDeliveries().catch((error) => console.error('Email delivery failed:', error.message));
+
+/**
+ * Queue `row` for distribution and start sending in the background,
+ * so the request that triggered it does not wait for the mail server.
+ * Failing to queue is logged rather than thrown: the change that triggered it is
+ * already saved, and the schedulers queue what was missed on their next run.
+ * Returns the distribution, or null if nothing was queued.
+ */
+export async function distribute(sourceType, row) {
+  try {
+    const distribution = await queueDistribution(sourceType, row);
+    if (distribution) sendInBackground();
+    return distribution;
+  } catch (error) {
+    console.error(`Queueing the ${sourceType} ${row.id} distribution failed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Queue the failed deliveries of a distribution again. Returns how many were requeued.
+ */
+export async function retryFailedDeliveries(distributionId) {
+  const { data, error } = await db
+    .from('email_deliveries')
+    .update({ status: 'queued', attempts: 0, next_attempt_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('distribution_id', distributionId)
+    .eq('status', 'failed')
+    .select('id');
+
+  if (error) throw error;
+  if (data.length > 0) sendInBackground();
+  return data.length;
+}
+
+async function countDeliveriesOf(distributionId, status) {
+  const { count, error } = await db
+    .from('email_deliveries')
+    .select('*', { count: 'exact', head: true })
+    .eq('distribution_id', distributionId)
+    .eq('status', status);
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Count deliveries per status for each of `distributionIds`. Counted by the
+ * database rather than from the rows, which a large distribution has too many of.
+ */
+export async function countDeliveries(distributionIds) {
+  const counts = await Promise.all(
+    distributionIds.map(async (id) => {
+      const perStatus = await Promise.all(DELIVERY_STATUSES.map((status) => countDeliveriesOf(id, status)));
+      return [id, Object.fromEntries(DELIVERY_STATUSES.map((status, i) => [status, perStatus[i]]))];
+    })
+  );
+  return new Map(counts);
+}
+
+/**
+ * Periodically send due deliveries (retries, and anything queued while the mail server was down).
+ */
+export function startDeliveryWorker(intervalMs = 60 * 1000) {
+  const timer = setInterval(sendInBackground, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,98 @@
+/**
+ * Base class for errors that are safe to show to API callers.
+ * The error handler turns them into `{ error: { code, message, details, requestId } }`.
+ */
+export class AppError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message, details) {
+    super(400, 'BAD_REQUEST', message, details);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required.', details) {
+    super(401, 'UNAUTHORIZED', message, details);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action.', details) {
+    super(403, 'FORBIDDEN', message, details);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found.', details) {
+    super(404, 'NOT_FOUND', message, details);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, details) {
+    super(409, 'CONFLICT', message, details);
+  }
+}
+
+export class QuotaExceededError extends AppError {
+  constructor(message, details) {
+    super(409, 'QUOTA_EXCEEDED', message, details);
+  }
+}
+
+export class PayloadTooLargeError extends AppError {
+  constructor(message = 'Request body is too large.', details) {
+    super(413, 'PAYLOAD_TOO_LARGE', message, details);
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message, details) {
+    super(415, 'UNSUPPORTED_MEDIA_TYPE', message, details);
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message, details) {
+    super(422, 'VALIDATION_FAILED', message, details);
+  }
+}
+
+// `retryAfter` is in seconds, the error handler also sends it as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests, try again later.', retryAfter) {
+    super(429, 'TOO_MANY_REQUESTS', message, { retryAfter });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// PostgREST / Postgres error codes we can explain to callers without leaking internals
+const DATABASE_ERRORS = {
+  PGRST116: (error, { notFound }) => new NotFoundError(notFound),
+  '23505': () => new ConflictError('A record with the same unique value already exists.'),
+  '23503': () => new ConflictError('The record references, or is referenced by, another record.'),
+  '23502': () => new ValidationError('A required field is missing.'),
+  '23514': () => new ValidationError('A field has a value that is not allowed.'),
+  '22001': () => new ValidationError('A field value is too long.'),
+  '22P02': () => new BadRequestError('A field or parameter has an invalid format.'),
+  // Raised by the enforce_quota() trigger, whose message is written for callers
+  QUOTA: (error) => new QuotaExceededError(error.message),
+};
+
+/**
+ * Convert an error returned by the Supabase client into an AppError.
+ * Unknown errors are returned unchanged so the error handler reports them as a 500.
+ */
+export function fromDatabaseError(error, { notFound } = {}) {
+  if (error instanceof AppError) return error;
+  const map = DATABASE_ERRORS[error?.code];
+  return map ? map(error, { notFound }) : error;
+}
@@ -0,0 +1,190 @@
+import { BadRequestError } from '#lib/errors.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// A cursor holds the ordering values of the last row of a page: `v` for every ordering column but id, then `id`
+const encodeCursor = (values, id) => Buffer.from(JSON.stringify({ v: values, id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return id === undefined || !Array.isArray(v) ? null : { values: v, id };
+  } catch {
+    return null;
+  }
+};
+
+// Quote a value for use inside a PostgREST `or=(...)` filter
+const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Parse pagination, sorting, filtering and search parameters from `req.query`.
+ *
+ * `spec` describes what a list endpoint supports:
+ * - `sortable`: columns allowed in `sort`, nulls last in either order, `defaultSort`: `{ field, order }`
+ * - `leadingOrder`: `[{ column, ascending }]` always ordered by before `sort`, e.g. pinned rows first
+ * - `filters`: query parameter -> column, matched with equality
+ * - `dateRanges`: prefix -> column, exposed as `<prefix>_from` / `<prefix>_to`
+ * - `textSearchColumn`: tsvector column searched by `q`, or
+ *   `searchFields`: columns matched case-insensitively by `q`
+ *
+ * Throws a BadRequestError when a parameter is invalid.
+ */
+export function parseListQuery(query, spec) {
+  const { field: defaultField = 'id', order: defaultOrder = 'asc' } = spec.defaultSort || {};
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new BadRequestError(`limit must be an integer between 1 and ${MAX_LIMIT}.`);
+  }
+
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new BadRequestError('offset must be a non-negative integer.');
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    if (query.offset !== undefined) throw new BadRequestError('Use either cursor or offset, not both.');
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) throw new BadRequestError('cursor is invalid.');
+  }
+
+  const sort = query.sort || defaultField;
+  if (sort !== 'id' && !(spec.sortable || []).includes(sort)) {
+    throw new BadRequestError(`sort must be one of: ${['id', ...(spec.sortable || [])].join(', ')}.`);
+  }
+
+  const order = query.order || (query.sort ? 'asc' : defaultOrder);
+  if (!['asc', 'desc'].includes(order)) throw new BadRequestError('order must be asc or desc.');
+
+  const filters = [];
+  for (const [param, column] of Object.entries(spec.filters || {})) {
+    if (query[param] !== undefined) filters.push({ column, op: 'eq', value: query[param] });
+  }
+  for (const [prefix, column] of Object.entries(spec.dateRanges || {})) {
+    for (const [suffix, op] of [['from', 'gte'], ['to', 'lte']]) {
+      const value = query[`${prefix}_${suffix}`];
+      if (value === undefined) continue;
+      if (Number.isNaN(new Date(value).getTime())) {
+        throw new BadRequestError(`${prefix}_${suffix} must be a date or date-time.`);
+      }
+      filters.push({ column, op, value: new Date(value).toISOString() });
+    }
+  }
+
+  const q = typeof query.q === 'string' && query.q.trim() ? query.q.trim() : null;
+
+  return { limit, offset, cursor, sort, order, filters, q, spec };
+}
+
+function applyFilters(query, { filters, q, spec }) {
+  for (const { column, op, value } of filters) query = query[op](column, value);
+
+  if (q && spec.textSearchColumn) {
+    query = query.textSearch(spec.textSearchColumn, q, { type: 'websearch', config: 'english' });
+  } else if (q && spec.searchFields) {
+    query = query.or(spec.searchFields.map((field) => `${field}.ilike.${quote(`%${q}%`)}`).join(','));
+  }
+  return query;
+}
+
+/**
+ * Run a list query and wrap the result in `{ items, total, nextCursor }`.
+ *
+ * `select` must build a fresh `supabase.from(...).select(..., { count: 'exact' })`
+ * query, including any filters the caller always applies; it is called twice in
+ * cursor mode so the total ignores the cursor position.
+ * Resolves to `{ data, error }` like the Supabase client.
+ */
+export async function fetchPage(select, list) {
+  const { limit, offset, cursor, sort, order, spec } = list;
+  const ascending = order === 'asc';
+
+  // Ordering columns, ending with id so the order is total
+  const keys = [...(spec.leadingOrder || []), { column: sort, ascending }];
+  if (sort !== 'id') keys.push({ column: 'id', ascending });
+
+  let query = applyFilters(select(), list);
+
+  if (cursor && cursor.values.length !== keys.length - 1) {
+    return { data: null, error: new BadRequestError('cursor is invalid.') };
+  }
+
+  if (cursor && keys.length === 1) {
+    query = query[ascending ? 'gt' : 'lt']('id', cursor.id);
+  } else if (cursor) {
+    // Rows after the cursor: greater on the first column, or equal on it and greater on the next...
+    // Nulls sort last in both directions, so only nulls come after a non-null value and nothing after a null.
+    const values = [...cursor.values, cursor.id];
+    const equal = (column, value) => (value === null ? `${column}.is.null` : `${column}.eq.${quote(value)}`);
+    const after = keys.flatMap(({ column, ascending: up }, index) => {
+      if (values[index] === null) return [];
+      const before = keys.slice(0, index).map((key, i) => equal(key.column, values[i]));
+      const next = [`${column}.${up ? 'gt' : 'lt'}.${quote(values[index])}`, `${column}.is.null`];
+      return next.map((condition) => (before.length ? `and(${[...before, condition].join(',')})` : condition));
+    });
+    query = query.or(after.join(','));
+  }
+
+  for (const { column, ascending: up } of keys) query = query.order(column, { ascending: up, nullsFirst: false });
+
+  // Fetch one extra row to know whether there is a next page
+  const start = cursor ? 0 : offset;
+  let { data, count, error } = await query.range(start, start + limit);
+
+  // PostgREST rejects an offset past the last row instead of returning an empty page
+  const pastEnd = error?.code === 'PGRST103';
+  if (pastEnd) data = [];
+  else if (error) return { data: null, error };
+
+  let total = count;
+  if (cursor || pastEnd) {
+    const { count: fullCount, error: countError } = await applyFilters(select(), list).limit(0);
+    if (countError) return { data: null, error: countError };
+    total = fullCount;
+  }
+
+  const items = data.slice(0, limit);
+  const last = items[items.length - 1];
+  const nextCursor =
+    data.length > limit ? encodeCursor(keys.slice(0, -1).map(({ column }) => last[column]), last.id) : null;
+
+  return { data: { items, total, nextCursor }, error: null };
+}
+
+/**
+ * Swagger parameters shared by every list endpoint, referenced as
+ * `#/components/parameters/<name>`.
+ */
+export const listParameters = {
+  limit: {
+    in: 'query',
+    name: 'limit',
+    schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT },
+  },
+  offset: {
+    in: 'query',
+    name: 'offset',
+    schema: { type: 'integer', minimum: 0, default: 0 },
+    description: 'Offset pagination, cannot be combined with cursor',
+  },
+  cursor: {
+    in: 'query',
+    name: 'cursor',
+    schema: { type: 'string' },
+    description: 'nextCursor from a previous page',
+  },
+  order: {
+    in: 'query',
+    name: 'order',
+    schema: { type: 'string', enum: ['asc', 'desc'] },
+  },
+  q: {
+    in: 'query',
+    name: 'q',
+    schema: { type: 'string' },
+    description: 'Free-text search',
+  },
+};
@@ -0,0 +1,130 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+import { slugify } from '#lib/slugify.js';
+
+export const CONTENT_FORMATS = ['plain', 'markdown'];
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+// Everything the renderer may emit; raw HTML in the source is held to the same list
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'em', 'strong', 'del', 'ul', 'ol', 'li', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    code: ['class'],
+  },
+  allowedClasses: { code: ['language-*'] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+  },
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Headings get the id assigned to their token while the table of contents was built
+const marked = new Marked({
+  gfm: true,
+  renderer: {
+    heading({ tokens, depth, id }) {
+      return `<h${depth} id="${id}">${this.parser.parseInline(tokens)}</h${depth}>\n`;
+    },
+  },
+});
+
+const BLOCK_TOKENS = new Set(['paragraph', 'heading', 'blockquote', 'code', 'list', 'list_item', 'table', 'hr', 'space', 'html']);
+
+function collectText(token) {
+  if (token.type === 'list') return token.items.map(collectText).join(' ');
+  if (token.type === 'table') return [...token.header, ...token.rows.flat()].map(collectText).join(' ');
+  if (token.type === 'html' || token.type === 'hr' || token.type === 'space') return '';
+  if (token.tokens) return token.tokens.map(collectText).join('');
+  return token.text ?? '';
+}
+
+// Readable text of a token tree, without the Markdown syntax around it
+const plainText = (tokens = []) =>
+  tokens
+    .map((token) => (BLOCK_TOKENS.has(token.type) ? ` ${collectText(token)} ` : collectText(token)))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${cut.slice(0, lastSpace > length / 2 ? lastSpace : length).trimEnd()}…`;
+}
+
+const readingTime = (text) => {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return { words, minutes: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)) };
+};
+
+function renderMarkdown(source) {
+  const tokens = marked.lexer(source);
+
+  const toc = [];
+  const used = new Map();
+  marked.walkTokens(tokens, (token) => {
+    if (token.type !== 'heading') return;
+    const text = plainText(token.tokens);
+    const base = slugify(text, { fallback: 'section' });
+    const count = used.get(base) ?? 0;
+    used.set(base, count + 1);
+    token.id = count ? `${base}-${count}` : base;
+    toc.push({ level: token.depth, text, id: token.id });
+  });
+
+  const paragraphs = tokens.filter((token) => token.type === 'paragraph').map((token) => plainText(token.tokens));
+
+  return {
+    html: sanitizeHtml(marked.parser(tokens), SANITIZE_OPTIONS),
+    text: plainText(tokens),
+    lead: paragraphs.join(' '),
+    toc,
+  };
+}
+
+function renderPlain(source) {
+  const html = source
+    .split(/\n{2,}/)
+    .filter((block) => block.trim())
+    .map((block) => `<p>${escapeHtml(block.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+  const text = source.replace(/\s+/g, ' ').trim();
+
+  return { html, text, lead: text, toc: [] };
+}
+
+/**
+ * Render a post's content for display: sanitized HTML, a table of contents,
+ * a reading-time estimate and an excerpt (the description when there is one).
+ */
+export function renderContent({ content, format = 'plain', description }) {
+  const source = content ?? '';
+  const { html, text, lead, toc } = format === 'markdown' ? renderMarkdown(source) : renderPlain(source);
+  const { words, minutes } = readingTime(text);
+
+  return {
+    format,
+    html,
+    excerpt: description?.trim() || truncate(lead || text, EXCERPT_LENGTH),
+    word_count: words,
+    reading_time_minutes: minutes,
+    toc,
+  };
+}
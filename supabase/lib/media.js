@@ -0,0 +1,323 @@
+import 'dotenv/config';
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { db, files } from '#storage';
+import { UnsupportedMediaTypeError, ValidationError } from '#lib/errors.js';
+
+// Accepted uploads and the extension they are stored with
+export const ALLOWED_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'application/zip': 'zip',
+};
+
+// Matches the bucket's file_size_limit in config.toml
+export const MAX_UPLOAD_BYTES = Number(process.env.MEDIA_MAX_BYTES || 50 * 1024 * 1024);
+
+// How long signed URLs returned on read stay valid, in seconds
+const SIGNED_URL_TTL = Number(process.env.MEDIA_SIGNED_URL_TTL || 60 * 60);
+
+const THUMBNAIL_SIZE = 320;
+
+export const ATTACHMENT_ROLES = ['cover', 'gallery', 'download'];
+
+const isImage = (mimeType) => mimeType.startsWith('image/');
+
+async function readImage(buffer, mimeType) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new UnsupportedMediaTypeError('File is not a valid image.');
+  }
+
+  const { format, width, height, orientation } = metadata;
+  if (`image/${format}` !== mimeType) throw new UnsupportedMediaTypeError(`File is not a ${mimeType} image.`);
+  // EXIF orientations 5-8 are rotated a quarter turn
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+const startsWith = (buffer, ...signatures) =>
+  signatures.some((signature) => buffer.subarray(0, signature.length).equals(Buffer.from(signature, 'latin1')));
+
+const isText = (buffer) => {
+  try {
+    return !new TextDecoder('utf-8', { fatal: true }).decode(buffer).includes('\0');
+  } catch {
+    return false;
+  }
+};
+
+// Whether the content of a non-image file matches its declared type
+const CONTENT_CHECKS = {
+  'application/pdf': (buffer) => startsWith(buffer, '%PDF-'),
+  // Local file header, or the end record of an empty archive
+  'application/zip': (buffer) => startsWith(buffer, 'PK\x03\x04', 'PK\x05\x06'),
+  'text/plain': isText,
+  'text/csv': isText,
+};
+
+const makeThumbnail = (buffer) =>
+  sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+/**
+ * Validate an uploaded file (from multer, on disk), store it and its thumbnail in the bucket
+ * and record it in `media`. Throws an UnsupportedMediaTypeError for types not in ALLOWED_TYPES
+ * and for content that is not of the declared type, such as images that cannot be decoded.
+ */
+export async function storeUpload(file, uploadedBy) {
+  const extension = ALLOWED_TYPES[file.mimetype];
+  if (!extension) {
+    throw new UnsupportedMediaTypeError(`${file.mimetype} files are not allowed.`, {
+      allowed: Object.keys(ALLOWED_TYPES),
+    });
+  }
+
+  const body = await readFile(file.path);
+  if (!isImage(file.mimetype) && !CONTENT_CHECKS[file.mimetype](body)) {
+    throw new UnsupportedMediaTypeError(`File content is not ${file.mimetype}.`);
+  }
+
+  const date = new Date().toISOString().slice(0, 7).replace('-', '/');
+  const name = randomUUID();
+  const row = {
+    path: `uploads/${date}/${name}.${extension}`,
+    original_name: path.basename(file.originalname || `${name}.${extension}`),
+    mime_type: file.mimetype,
+    size_bytes: file.size,
+    uploaded_by: uploadedBy,
+  };
+
+  const stored = [];
+  try {
+    if (isImage(file.mimetype)) {
+      Object.assign(row, await readImage(body, file.mimetype));
+      row.thumbnail_path = `thumbnails/${date}/${name}.webp`;
+      await files.upload(row.thumbnail_path, await makeThumbnail(body), { contentType: 'image/webp' });
+      stored.push(row.thumbnail_path);
+    }
+
+    await files.upload(row.path, body, { contentType: file.mimetype });
+    stored.push(row.path);
+
+    const { data, error } = await db.from('media').insert([row]).select().single();
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    await files.remove(stored);
+    throw error;
+  }
+}
+
+/**
+ * Add `url` and `thumbnail_url` signed URLs to media rows.
+ */
+export async function withSignedUrls(mediaRows) {
+  const paths = mediaRows.flatMap((media) => [media.path, media.thumbnail_path]).filter(Boolean);
+  const urls = await files.signedUrls([...new Set(paths)], SIGNED_URL_TTL);
+
+  return mediaRows.map((media) => ({
+    ...media,
+    url: urls.get(media.path) ?? null,
+    thumbnail_url: media.thumbnail_path ? urls.get(media.thumbnail_path) ?? null : null,
+  }));
+}
+
+async function fetchMedia(ids) {
+  if (ids.length === 0) return [];
+  const { data, error } = await db.from('media').select('*').in('id', ids);
+  if (error) throw error;
+  return data;
+}
+
+async function attachedMediaIds(mediaIds) {
+  if (mediaIds.length === 0) return new Set();
+  const { data, error } = await db.from('attachments').select('media_id').in('media_id', mediaIds);
+  if (error) throw error;
+  return new Set(data.map((row) => row.media_id));
+}
+
+/**
+ * Delete the files and rows of media that no attachment uses anymore.
+ * Returns the ids that were removed.
+ */
+export async function removeOrphanedMedia(mediaIds) {
+  const attached = await attachedMediaIds(mediaIds);
+  const orphans = await fetchMedia(mediaIds.filter((id) => !attached.has(id)));
+  if (orphans.length === 0) return [];
+
+  await files.remove(orphans.flatMap((media) => [media.path, media.thumbnail_path]).filter(Boolean));
+
+  const ids = orphans.map((media) => media.id);
+  const { error } = await db.from('media').delete().in('id', ids);
+  if (error) throw error;
+  return ids;
+}
+
+/**
+ * Replace the attachments of a content post or announcement. Only the roles present in
+ * `spec` change: `cover` (an image id or null), `gallery` (image ids) and `downloads` (any media ids).
+ * Media dropped by the change is deleted when nothing else uses it.
+ */
+export async function setAttachments(resourceType, resourceId, spec) {
+  const wanted = {};
+  if (spec.cover !== undefined) wanted.cover = spec.cover === null ? [] : [spec.cover];
+  if (spec.gallery !== undefined) wanted.gallery = spec.gallery;
+  if (spec.downloads !== undefined) wanted.download = spec.downloads;
+
+  const roles = Object.keys(wanted);
+  const ids = [...new Set(Object.values(wanted).flat())];
+  const media = new Map((await fetchMedia(ids)).map((row) => [row.id, row]));
+
+  const problems = [];
+  for (const [role, mediaIds] of Object.entries(wanted)) {
+    const field = role === 'download' ? 'downloads' : role;
+    mediaIds.forEach((id, index) => {
+      const at = role === 'cover' ? field : `${field}[${index}]`;
+      if (!media.has(id)) problems.push({ field: at, message: `media ${id} does not exist` });
+      else if (role !== 'download' && !isImage(media.get(id).mime_type)) {
+        problems.push({ field: at, message: `media ${id} is not an image` });
+      }
+    });
+    if (new Set(mediaIds).size !== mediaIds.length) problems.push({ field, message: 'must not repeat media' });
+  }
+  if (problems.length > 0) throw new ValidationError('Attachments are invalid.', problems);
+
+  if (roles.length > 0) {
+    const { data: previous, error } = await db
+      .from('attachments')
+      .delete()
+      .eq('resource_type', resourceType)
+      .eq('resource_id', resourceId)
+      .in('role', roles)
+      .select('media_id');
+    if (error) throw error;
+
+    const rows = Object.entries(wanted).flatMap(([role, mediaIds]) =>
+      mediaIds.map((mediaId, position) => ({ media_id: mediaId, resource_type: resourceType, resource_id: resourceId, role, position }))
+    );
+    if (rows.length > 0) {
+      const { error: insertError } = await db.from('attachments').insert(rows);
+      if (insertError) throw insertError;
+    }
+
+    const dropped = previous.map((row) => row.media_id).filter((id) => !ids.includes(id));
+    await removeOrphanedMedia([...new Set(dropped)]);
+  }
+
+  return (await attachmentsFor(resourceType, [resourceId])).get(Number(resourceId));
+}
+
+/**
+ * The attachments of several content posts or announcements, with signed URLs,
+ * as a Map of resource id -> `{ cover, gallery, downloads }`.
+ */
+export async function attachmentsFor(resourceType, resourceIds) {
+  const empty = () => ({ cover: null, gallery: [], downloads: [] });
+  const result = new Map(resourceIds.map((id) => [Number(id), empty()]));
+  if (resourceIds.length === 0) return result;
+
+  const { data: rows, error } = await db
+    .from('attachments')
+    .select('*')
+    .eq('resource_type', resourceType)
+    .in('resource_id', resourceIds)
+    .order('position', { ascending: true });
+  if (error) throw error;
+
+  const media = new Map(
+    (await withSignedUrls(await fetchMedia([...new Set(rows.map((row) => row.media_id))]))).map((row) => [row.id, row])
+  );
+
+  for (const row of rows) {
+    const entry = result.get(row.resource_id);
+    const item = media.get(row.media_id);
+    if (!entry || !item) continue;
+    if (row.role === 'cover') entry.cover = item;
+    if (row.role === 'gallery') entry.gallery.push(item);
+    if (row.role === 'download') entry.downloads.push(item);
+  }
+  return result;
+}
+
+/**
+ * Just the media ids of `{ cover, gallery, downloads }` attachments, without the signed URLs.
+ */
+export const attachmentIds = ({ cover, gallery, downloads }) => ({
+  cover: cover?.id ?? null,
+  gallery: gallery.map((media) => media.id),
+  downloads: downloads.map((media) => media.id),
+});
+
+/**
+ * Add an `attachments` field to content post or announcement rows.
+ */
+export async function withAttachments(resourceType, rows) {
+  const attachments = await attachmentsFor(resourceType, rows.map((row) => row.id));
+  return rows.map((row) => ({ ...row, attachments: attachments.get(row.id) }));
+}
+
+/**
+ * Remove every attachment of deleted content posts or announcements, and the media only they used.
+ */
+export async function detachAll(resourceType, resourceIds) {
+  if (resourceIds.length === 0) return;
+  const { data, error } = await db
+    .from('attachments')
+    .delete()
+    .eq('resource_type', resourceType)
+    .in('resource_id', resourceIds)
+    .select('media_id');
+  if (error) throw error;
+
+  await removeOrphanedMedia([...new Set(data.map((row) => row.media_id))]);
+}
+
+/**
+ * Delete uploads that were never attached to anything, once they are older than `olderThanHours`.
+ * Returns the ids that were removed.
+ */
+export async function purgeUnattachedMedia(olderThanHours = 24) {
+  const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000).toISOString();
+  const removed = [];
+  let afterId = 0;
+
+  for (;;) {
+    const { data, error } = await db
+      .from('media')
+      .select('id')
+      .lt('created_at', cutoff)
+      .gt('id', afterId)
+      .order('id', { ascending: true })
+      .limit(200);
+    if (error) throw error;
+    if (data.length === 0) return removed;
+
+    removed.push(...(await removeOrphanedMedia(data.map((row) => row.id))));
+    afterId = data[data.length - 1].id;
+  }
+}
+
+/**
+ * Periodically delete unattached uploads in the background.
+ */
+export function startMediaCleanup(intervalMs = 60 * 60 * 1000) {
+  const timer = setInterval(() => {
+    purgeUnattachedMedia(Number(process.env.MEDIA_ORPHAN_TTL_HOURS || 24)).catch((error) =>
+      console.error('Media cleanup failed:', error.message)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
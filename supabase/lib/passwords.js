@@ -0,0 +1,72 @@
+import 'dotenv/config';
+import { readFileSync } from 'node:fs';
+import { ValidationError } from '#lib/errors.js';
+
+// bcrypt only reads the first 72 bytes, anything after them would be silently ignored
+export const PASSWORD_MAX_BYTES = 72;
+
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 10);
+
+// How many kinds of character a password has to mix
+const PASSWORD_MIN_CHARACTER_CLASSES = Number(process.env.PASSWORD_MIN_CHARACTER_CLASSES || 2);
+
+const CHARACTER_CLASSES = [
+  ['lowercase letters', /\p{Ll}/u],
+  ['uppercase letters', /\p{Lu}/u],
+  ['digits', /\p{N}/u],
+  ['symbols', /[^\p{L}\p{N}]/u],
+];
+
+const readList = (source) =>
+  readFileSync(source, 'utf8')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'));
+
+const COMMON_PASSWORDS = new Set([
+  ...readList(new URL('./common-passwords.txt', import.meta.url)),
+  ...(process.env.PASSWORD_BLOCKLIST_FILE ? readList(process.env.PASSWORD_BLOCKLIST_FILE) : []),
+]);
+
+// "Summer2024!" is as easy to guess as "summer", so also try without trailing digits and symbols
+function isCommon(password) {
+  const lower = password.toLowerCase();
+  return COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(lower.replace(/[^\p{L}]+$/u, ''));
+}
+
+// Parts of the account that make a password easy to guess for anyone who knows its owner
+const personalWords = ({ email, first_name: firstName, last_name: lastName } = {}) =>
+  [email?.split('@')[0], firstName, lastName].filter((word) => word && word.length >= 4).map((word) => word.toLowerCase());
+
+/**
+ * What is wrong with a new password, as messages; empty when it is acceptable.
+ * `user` holds the email and names of the account, which must not appear in it.
+ */
+export function passwordProblems(password, user) {
+  const problems = [];
+  if ([...password].length < PASSWORD_MIN_LENGTH) problems.push(`must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) problems.push(`must be at most ${PASSWORD_MAX_BYTES} bytes`);
+
+  const classes = CHARACTER_CLASSES.filter(([, pattern]) => pattern.test(password));
+  if (classes.length < PASSWORD_MIN_CHARACTER_CLASSES) {
+    problems.push(
+      `must mix at least ${PASSWORD_MIN_CHARACTER_CLASSES} of: ${CHARACTER_CLASSES.map(([name]) => name).join(', ')}`
+    );
+  }
+
+  if (isCommon(password)) problems.push('is too common, it appears in lists of breached passwords');
+  if (personalWords(user).some((word) => password.toLowerCase().includes(word))) {
+    problems.push('must not contain your email address or name');
+  }
+  return problems;
+}
+
+/**
+ * Throw a ValidationError listing every problem with a new password, reported on `field`.
+ */
+export function assertPasswordAllowed(password, user, field = 'password') {
+  const problems = passwordProblems(password, user);
+  if (problems.length > 0) {
+    throw new ValidationError('Password does not meet the password policy.', problems.map((message) => ({ field, message })));
+  }
+}
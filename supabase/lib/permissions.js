@@ -0,0 +1,27 @@
+export const ROLES = ['admin', 'editor', 'viewer'];
+
+const READ = ['users:read', 'content:read', 'announcements:read', 'registered-emails:read', 'quotas:read', 'media:read'];
+
+/**
+ * Permissions granted to each role stored on `users.role`.
+ * Admins can do everything, including reading the audit log, editors manage content, announcements, media and taxonomy, viewers are read-only.
+ */
+const ROLE_PERMISSIONS = {
+  admin: [
+    ...READ,
+    'users:write',
+    'content:write',
+    'announcements:write',
+    'registered-emails:write',
+    'quotas:write',
+    'media:write',
+    'taxonomy:write',
+    'audit:read',
+  ],
+  editor: [...READ, 'content:write', 'announcements:write', 'media:write', 'taxonomy:write'],
+  viewer: READ,
+};
+
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
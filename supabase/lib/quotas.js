@@ -0,0 +1,55 @@
+import { db } from '#storage';
+
+// Resources with a row limit, keyed by their `quota_limits.resource` name.
+// Rows in the trash are not counted.
+export const QUOTA_RESOURCES = {
+  users: { table: 'users', where: { deleted_at: null } },
+  content_posts: { table: 'content_posts', where: { deleted_at: null } },
+  announcements: { table: 'announcements', where: { deleted_at: null } },
+  // Pending and unsubscribed addresses are not counted
+  registered_emails: { table: 'registered_emails', where: { status: 'confirmed', deleted_at: null } },
+};
+
+async function countRows({ table, where = {} }) {
+  let query = db.from(table).select('*', { count: 'exact', head: true });
+  for (const [column, value] of Object.entries(where)) {
+    query = value === null ? query.is(column, null) : query.eq(column, value);
+  }
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Current usage versus limit for every resource with a quota.
+ */
+export async function getQuotas() {
+  const { data: limits, error } = await db.from('quota_limits').select('resource, max_count');
+  if (error) throw error;
+
+  const limitByResource = Object.fromEntries(limits.map((row) => [row.resource, row.max_count]));
+
+  return Promise.all(
+    Object.entries(QUOTA_RESOURCES).map(async ([resource, definition]) => {
+      const used = await countRows(definition);
+      const limit = limitByResource[resource] ?? null;
+      return { resource, used, limit, remaining: limit === null ? null : Math.max(limit - used, 0) };
+    })
+  );
+}
+
+/**
+ * Change the limit of one resource. Returns the updated row, or null if the resource has no quota.
+ */
+export async function setQuotaLimit(resource, maxCount) {
+  if (!QUOTA_RESOURCES[resource]) return null;
+
+  const { data, error } = await db
+    .from('quota_limits')
+    .upsert({ resource, max_count: maxCount, updated_at: new Date().toISOString() })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
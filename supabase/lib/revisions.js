@@ -0,0 +1,196 @@
+import { Router } from 'express';
+import { db } from '#storage';
+import { authorize } from '#middleware/authorize.js';
+import { recordAudit } from '#lib/audit.js';
+import { fromDatabaseError, NotFoundError, BadRequestError } from '#lib/errors.js';
+
+// Bookkeeping columns that change on every write and are not worth diffing
+const IGNORED_IN_DIFF = ['updated_at'];
+
+async function nextVersion(resourceType, resourceId) {
+  const { data, error } = await db
+    .from('revisions')
+    .select('version')
+    .eq('resource_type', resourceType)
+    .eq('resource_id', resourceId)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data.length ? data[0].version + 1 : 1;
+}
+
+/**
+ * Store an immutable snapshot of `row` as the next revision of the resource.
+ */
+export async function recordRevision(resourceType, row, actorId, { restoredFrom = null } = {}) {
+  const version = await nextVersion(resourceType, row.id);
+
+  const { data, error } = await db
+    .from('revisions')
+    .insert([
+      {
+        resource_type: resourceType,
+        resource_id: row.id,
+        version,
+        snapshot: row,
+        actor_id: actorId,
+        restored_from: restoredFrom,
+      },
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Rows created before revisions existed have no history yet; keep their current state
+ * as version 1 before it gets overwritten.
+ */
+export async function ensureBaselineRevision(resourceType, row) {
+  const version = await nextVersion(resourceType, row.id);
+  if (version === 1) await recordRevision(resourceType, row, null);
+}
+
+export async function listRevisions(resourceType, resourceId) {
+  const { data, error } = await db
+    .from('revisions')
+    .select('id, version, actor_id, restored_from, created_at')
+    .eq('resource_type', resourceType)
+    .eq('resource_id', resourceId)
+    .order('version', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Fetch one revision including its snapshot, or null if it does not exist.
+ */
+export async function getRevision(resourceType, resourceId, version) {
+  const { data, error } = await db
+    .from('revisions')
+    .select('*')
+    .eq('resource_type', resourceType)
+    .eq('resource_id', resourceId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Field-by-field differences between two snapshots.
+ */
+export function diffSnapshots(from, to) {
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  return [...fields]
+    .filter((field) => !IGNORED_IN_DIFF.includes(field))
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+}
+
+/**
+ * Pick the fields of a snapshot that may be written back when restoring it.
+ */
+export function restorableFields(snapshot, fields) {
+  return Object.fromEntries(fields.filter((field) => field in snapshot).map((field) => [field, snapshot[field]]));
+}
+
+/**
+ * Routes to list, read, compare and restore the revisions of a resource, for a
+ * service to mount with `router.use()`. The swagger docs stay with the service.
+ *
+ * - `resourceType`: the revisions' and audit log's resource type
+ * - `table`, `label`: where the resource lives, and its name in not found errors
+ * - `fields`: the fields written back when a revision is restored
+ * - `permissions`: `{ read, write }`, reading the history and restoring it
+ * - `visible(req)`: a query for the rows the caller may read, whose history they may read too
+ * - `prepareRestore(current, fields)`: the update to write, `fields` as is by default
+ * - `afterRestore(before, after)`: runs once the restored row is written
+ * - `present(row)`: the restored row as the service returns it
+ */
+export function revisionRoutes({
+  resourceType,
+  table,
+  label,
+  fields,
+  permissions,
+  visible,
+  prepareRestore = async (current, restored) => restored,
+  afterRestore = async () => {},
+  present = (row) => row,
+}) {
+  const router = Router();
+
+  // Revisions hold whole snapshots, so they are as private as the row itself
+  const assertVisible = async (req, id) => {
+    const { error } = await visible(req).eq('id', id).single();
+    if (error) throw fromDatabaseError(error, { notFound: `${label} not found.` });
+  };
+
+  router.get('/get-revisions/:id', authorize(permissions.read), async (req, res) => {
+    await assertVisible(req, req.params.id);
+    res.json(await listRevisions(resourceType, req.params.id));
+  });
+
+  router.get('/get-revision/:id/:version', authorize(permissions.read), async (req, res) => {
+    const { id, version } = req.params;
+    await assertVisible(req, id);
+    const revision = await getRevision(resourceType, id, version);
+    if (!revision) throw new NotFoundError('Revision not found.');
+    res.json(revision);
+  });
+
+  router.get('/diff-revisions/:id', authorize(permissions.read), async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    if (!from || !to) throw new BadRequestError('Query parameters from and to are required.');
+    await assertVisible(req, id);
+
+    const [fromRevision, toRevision] = await Promise.all([
+      getRevision(resourceType, id, from),
+      getRevision(resourceType, id, to),
+    ]);
+    if (!fromRevision || !toRevision) throw new NotFoundError('Revision not found.');
+
+    res.json({
+      from: fromRevision.version,
+      to: toRevision.version,
+      changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot),
+    });
+  });
+
+  router.post('/restore-revision/:id/:version', authorize(permissions.write), async (req, res) => {
+    const { id, version } = req.params;
+    const revision = await getRevision(resourceType, id, version);
+    if (!revision) throw new NotFoundError('Revision not found.');
+
+    const { data: current, error: currentError } = await db
+      .from(table)
+      .select('*')
+      .eq('id', id)
+      .is('deleted_at', null)
+      .single();
+    if (currentError) throw fromDatabaseError(currentError, { notFound: `${label} not found.` });
+
+    const update = await prepareRestore(current, restorableFields(revision.snapshot, fields));
+    const { data, error } = await db
+      .from(table)
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) throw fromDatabaseError(error);
+
+    await afterRestore(current, data[0]);
+    await recordRevision(resourceType, data[0], req.user.id, { restoredFrom: revision.version });
+    await recordAudit(req, `${resourceType}.restore_revision`, { id: current.id, before: current, after: data[0] });
+    res.json(present(data[0]));
+  });
+
+  return router;
+}
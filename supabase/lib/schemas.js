@@ -0,0 +1,69 @@
+// Request body schemas shared by several services. Every schema exported from a
+// `schemas.js` module is published under `#/components/schemas` by swagger.js.
+
+import { PASSWORD_MIN_LENGTH, PASSWORD_MAX_BYTES } from '#lib/passwords.js';
+
+export const IdList = {
+  type: 'object',
+  required: ['ids'],
+  additionalProperties: false,
+  properties: {
+    ids: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: { type: 'integer', minimum: 1 },
+    },
+  },
+  example: { ids: [1, 2, 3] },
+};
+
+const mediaIds = {
+  type: 'array',
+  maxItems: 50,
+  items: { type: 'integer', minimum: 1 },
+};
+
+// Attachments of a content post or announcement, only the fields sent are replaced
+export const SetAttachments = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    cover: { type: 'integer', minimum: 1, nullable: true, description: 'Image media id, null removes the cover' },
+    gallery: { ...mediaIds, description: 'Image media ids, in display order' },
+    downloads: { ...mediaIds, description: 'Media ids of files offered for download, in display order' },
+  },
+  example: { cover: 1, gallery: [2, 3], downloads: [4] },
+};
+
+// Categories and tags of a content post or announcement, accepted on create and update.
+// Only the fields sent are replaced.
+export const Taxonomy = {
+  type: 'object',
+  properties: {
+    category_ids: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'integer', minimum: 1 },
+      description: 'Category ids, managed with the taxonomy routes',
+    },
+    tags: {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', minLength: 1, maxLength: 50 },
+      description: 'Tag names, new tags are created on the fly',
+    },
+  },
+  example: { category_ids: [1], tags: ['release', 'security'] },
+};
+
+// A password being set. Only the length is checked here, lib/passwords.js applies the rest of the policy.
+export const NewPassword = {
+  type: 'string',
+  format: 'password',
+  minLength: PASSWORD_MIN_LENGTH,
+  maxLength: PASSWORD_MAX_BYTES,
+  description:
+    `At least ${PASSWORD_MIN_LENGTH} characters mixing letters, digits or symbols. ` +
+    'Commonly used passwords and passwords containing the email or name of the account are rejected.',
+};
@@ -0,0 +1,19 @@
+/**
+ * Lowercase ASCII words joined by hyphens, e.g. "Déjà vu!" becomes "deja-vu".
+ * Long slugs are cut at a word boundary; returns `fallback` when nothing usable is left.
+ */
+export function slugify(text, { maxLength = 80, fallback = 'untitled' } = {}) {
+  let slug = String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length > maxLength) {
+    const cut = slug.slice(0, maxLength + 1);
+    slug = cut.includes('-') ? cut.slice(0, cut.lastIndexOf('-')) : slug.slice(0, maxLength);
+  }
+
+  return slug || fallback;
+}
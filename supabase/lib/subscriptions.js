@@ -0,0 +1,77 @@
+import 'dotenv/config';
+import { db } from '#storage';
+import { mailer } from '#mail';
+import { renderConfirmation } from '#mail/templates.js';
+import { signEmailToken } from '#lib/tokens.js';
+import { API_URL } from '#lib/urls.js';
+
+export const SUBSCRIPTION_STATUSES = ['pending', 'confirmed', 'unsubscribed'];
+
+// Pending addresses, and their confirmation links, expire after this many hours
+export const CONFIRMATION_TTL_HOURS = Number(process.env.CONFIRMATION_TTL_HOURS || 48);
+
+export const normalizeEmail = (email) => email.trim().toLowerCase();
+
+export function confirmationUrl(registeredEmail) {
+  const token = signEmailToken('confirm', registeredEmail, { expiresIn: `${CONFIRMATION_TTL_HOURS}h` });
+  return `${API_URL}/v1/registered-emails/confirm?token=${token}`;
+}
+
+// Unsubscribe links never expire, they have to work in any email ever sent
+export function unsubscribeUrl(registeredEmail) {
+  const token = signEmailToken('unsubscribe', registeredEmail);
+  return `${API_URL}/v1/registered-emails/unsubscribe?token=${token}`;
+}
+
+/**
+ * Email the confirmation link to a pending address and restart its expiry.
+ */
+export async function sendConfirmation(registeredEmail) {
+  const { error } = await db
+    .from('registered_emails')
+    .update({ confirmation_sent_at: new Date().toISOString() })
+    .eq('id', registeredEmail.id);
+  if (error) throw error;
+
+  await mailer.send({ to: registeredEmail.email, ...renderConfirmation(confirmationUrl(registeredEmail)) });
+}
+
+/**
+ * Email the confirmation link to each of `registeredEmails` in turn. Failures are
+ * logged rather than thrown, so one bad address does not hold up the others.
+ */
+export async function sendConfirmations(registeredEmails) {
+  for (const registeredEmail of registeredEmails) {
+    await sendConfirmation(registeredEmail).catch((error) =>
+      console.error(`Sending the confirmation to registered email ${registeredEmail.id} failed:`, error.message)
+    );
+  }
+}
+
+/**
+ * Delete pending addresses whose confirmation link has expired. Returns the deleted rows.
+ */
+export async function expireUnconfirmed() {
+  const cutoff = new Date(Date.now() - CONFIRMATION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await db
+    .from('registered_emails')
+    .delete()
+    .eq('status', 'pending')
+    .lt('confirmation_sent_at', cutoff)
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Periodically delete expired pending addresses in the background.
+ */
+export function startConfirmationExpiry(intervalMs = 60 * 60 * 1000) {
+  const timer = setInterval(() => {
+    expireUnconfirmed().catch((error) => console.error('Expiring unconfirmed emails failed:', error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
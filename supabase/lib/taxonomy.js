@@ -0,0 +1,261 @@
+import { db } from '#storage';
+import { slugify } from '#lib/slugify.js';
+import { ValidationError } from '#lib/errors.js';
+import { findExisting, selectAll } from '#lib/bulk.js';
+
+export const TAXONOMY_RESOURCES = {
+  content_post: 'content_posts',
+  announcement: 'announcements',
+};
+
+// What readers can see, tag counts only include these
+const VISIBLE = {
+  content_post: (query) => query.eq('status', 'published'),
+  announcement: (query, now) =>
+    query.lte('starts_at', now.toISOString()).or(`ends_at.is.null,ends_at.gt."${now.toISOString()}"`),
+};
+
+const summary = ({ id, name, slug }) => ({ id, name, slug });
+
+/**
+ * Every category by name, as a Map of id -> row. The table is small enough to walk in memory.
+ */
+export async function allCategories() {
+  const rows = await selectAll(() => db.from('categories').select('*'));
+  rows.sort((a, b) => a.name.localeCompare(b.name));
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+/**
+ * Ids of a category and all the categories below it.
+ */
+export function descendantIds(categories, categoryId) {
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories.values()) {
+      if (category.parent_id === ids[i]) ids.push(category.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * The categories above `categoryId`, root first.
+ */
+export function ancestorsOf(categories, categoryId) {
+  const ancestors = [];
+  let parentId = categories.get(categoryId)?.parent_id;
+  while (parentId && !ancestors.some((category) => category.id === parentId)) {
+    const parent = categories.get(parentId);
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent_id;
+  }
+  return ancestors;
+}
+
+/**
+ * Nest categories under their parents, each with a `children` array.
+ */
+export function categoryTree(categories) {
+  const nodes = new Map([...categories.values()].map((row) => [row.id, { ...row, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+// Existing tags by slug, creating the ones that are missing
+async function findOrCreateTags(names) {
+  const bySlug = new Map(names.map((name) => [slugify(name, { maxLength: 50 }), name.trim()]));
+  const slugs = [...bySlug.keys()];
+
+  const { data: existing, error } = await db.from('tags').select('*').in('slug', slugs);
+  if (error) throw error;
+
+  const missing = slugs.filter((slug) => !existing.some((tag) => tag.slug === slug));
+  if (missing.length === 0) return existing;
+
+  const { data: created, error: insertError } = await db
+    .from('tags')
+    .insert(missing.map((slug) => ({ name: bySlug.get(slug), slug })))
+    .select();
+  if (insertError) throw insertError;
+  return [...existing, ...created];
+}
+
+// Replace the rows of one assignment table for a resource
+async function replaceAssignments(table, column, resourceType, resourceId, ids) {
+  const { error } = await db
+    .from(table)
+    .delete()
+    .eq('resource_type', resourceType)
+    .eq('resource_id', resourceId);
+  if (error) throw error;
+
+  if (ids.length === 0) return;
+  const rows = ids.map((id) => ({ [column]: id, resource_type: resourceType, resource_id: resourceId }));
+  const { error: insertError } = await db.from(table).insert(rows);
+  if (insertError) throw insertError;
+}
+
+/**
+ * Split the `category_ids` and `tags` fields off a create or update body.
+ */
+export function splitTaxonomy({ category_ids: categoryIds, tags, ...fields }) {
+  return [fields, { category_ids: categoryIds, tags }];
+}
+
+/**
+ * Reject unknown categories and tags with nothing to build a slug from, before anything is written.
+ */
+export async function assertValidTaxonomy({ category_ids: categoryIds, tags }) {
+  const problems = [];
+
+  if (categoryIds !== undefined) {
+    const categories = await allCategories();
+    categoryIds.forEach((id, index) => {
+      if (!categories.has(id)) problems.push({ field: `category_ids[${index}]`, message: `category ${id} does not exist` });
+    });
+  }
+  tags?.forEach((name, index) => {
+    if (!slugify(name, { fallback: '' })) problems.push({ field: `tags[${index}]`, message: 'must contain a letter or digit' });
+  });
+  if (problems.length > 0) throw new ValidationError('Categories or tags are invalid.', problems);
+}
+
+/**
+ * Set the categories (by id) and tags (by name, created when new) of a content post
+ * or announcement. Only the fields sent are replaced.
+ */
+export async function setTaxonomy(resourceType, resourceId, taxonomy) {
+  const { category_ids: categoryIds, tags } = taxonomy;
+  await assertValidTaxonomy(taxonomy);
+
+  if (categoryIds !== undefined) {
+    await replaceAssignments('category_assignments', 'category_id', resourceType, resourceId, [...new Set(categoryIds)]);
+  }
+  if (tags !== undefined) {
+    const tagIds = tags.length > 0 ? (await findOrCreateTags(tags)).map((tag) => tag.id) : [];
+    await replaceAssignments('tag_assignments', 'tag_id', resourceType, resourceId, tagIds);
+  }
+}
+
+/**
+ * The categories and tags of several content posts or announcements,
+ * as a Map of resource id -> `{ categories, tags }`.
+ */
+export async function taxonomyFor(resourceType, resourceIds) {
+  const result = new Map(resourceIds.map((id) => [Number(id), { categories: [], tags: [] }]));
+  if (resourceIds.length === 0) return result;
+
+  const [categoryRows, tagRows] = await Promise.all([
+    db.from('category_assignments').select('*').eq('resource_type', resourceType).in('resource_id', resourceIds),
+    db.from('tag_assignments').select('*').eq('resource_type', resourceType).in('resource_id', resourceIds),
+  ]);
+  if (categoryRows.error) throw categoryRows.error;
+  if (tagRows.error) throw tagRows.error;
+
+  const [categories, tags] = await Promise.all([
+    db.from('categories').select('*').in('id', [...new Set(categoryRows.data.map((row) => row.category_id))]),
+    db.from('tags').select('*').in('id', [...new Set(tagRows.data.map((row) => row.tag_id))]),
+  ]);
+  if (categories.error) throw categories.error;
+  if (tags.error) throw tags.error;
+
+  const categoryById = new Map(categories.data.map((row) => [row.id, summary(row)]));
+  const tagById = new Map(tags.data.map((row) => [row.id, summary(row)]));
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  for (const row of categoryRows.data) result.get(row.resource_id)?.categories.push(categoryById.get(row.category_id));
+  for (const row of tagRows.data) result.get(row.resource_id)?.tags.push(tagById.get(row.tag_id));
+  for (const entry of result.values()) {
+    entry.categories = entry.categories.filter(Boolean).sort(byName);
+    entry.tags = entry.tags.filter(Boolean).sort(byName);
+  }
+  return result;
+}
+
+/**
+ * Add `categories` and `tags` fields to content post or announcement rows.
+ */
+export async function withTaxonomy(resourceType, rows) {
+  const taxonomy = await taxonomyFor(resourceType, rows.map((row) => row.id));
+  return rows.map((row) => ({ ...row, ...taxonomy.get(row.id) }));
+}
+
+/**
+ * Remove the category and tag assignments of deleted content posts or announcements.
+ */
+export async function clearTaxonomy(resourceType, resourceIds) {
+  if (resourceIds.length === 0) return;
+  for (const table of ['category_assignments', 'tag_assignments']) {
+    const { error } = await db.from(table).delete().eq('resource_type', resourceType).in('resource_id', resourceIds);
+    if (error) throw error;
+  }
+}
+
+/**
+ * The category and tag ids the `category` and `tag` list query parameters select
+ * (slugs, several tags separated by commas match any of them), as `{ categoryIds, tagIds }`
+ * with null for a parameter not given, or null when neither is. A category also selects
+ * its subcategories. Pass it to selectByTaxonomy().
+ */
+export async function taxonomyFilter(resourceType, { category, tag }) {
+  if (!category && !tag) return null;
+  const filter = { categoryIds: null, tagIds: null };
+
+  if (category) {
+    const categories = await allCategories();
+    const root = [...categories.values()].find((row) => row.slug === category);
+    filter.categoryIds = root ? descendantIds(categories, root.id) : [];
+  }
+  if (tag) {
+    const tags = await findExisting('tags', 'slug', String(tag).split(','), 'id, slug');
+    filter.tagIds = [...tags.values()].map((row) => row.id);
+  }
+  return filter;
+}
+
+/**
+ * Start a `select('*', options)` of content posts or announcements, limited to those a
+ * taxonomyFilter() selects when one is given. The database matches the assignments,
+ * through the *_by_taxonomy() functions, so there is no id list to pass around.
+ */
+export function selectByTaxonomy(resourceType, filter, options = {}) {
+  const table = TAXONOMY_RESOURCES[resourceType];
+  if (!filter) return db.from(table).select('*', options);
+  return db.rpc(`${table}_by_taxonomy`, { category_ids: filter.categoryIds, tag_ids: filter.tagIds }, options);
+}
+
+/**
+ * How many published posts and current announcements use each tag, most used first.
+ * Tags nothing visible uses are left out.
+ */
+export async function tagCounts(resourceTypes = Object.keys(TAXONOMY_RESOURCES), now = new Date()) {
+  const assignments = await selectAll(() =>
+    db.from('tag_assignments').select('id, tag_id, resource_type, resource_id').in('resource_type', resourceTypes)
+  );
+
+  const visible = new Set();
+  for (const resourceType of resourceTypes) {
+    const ids = [...new Set(assignments.filter((row) => row.resource_type === resourceType).map((row) => row.resource_id))];
+    const rows = await findExisting(TAXONOMY_RESOURCES[resourceType], 'id', ids, 'id', (query) =>
+      VISIBLE[resourceType](query.is('deleted_at', null), now)
+    );
+    for (const id of rows.keys()) visible.add(`${resourceType}:${id}`);
+  }
+
+  const counts = new Map();
+  for (const row of assignments) {
+    if (visible.has(`${row.resource_type}:${row.resource_id}`)) counts.set(row.tag_id, (counts.get(row.tag_id) ?? 0) + 1);
+  }
+
+  const tags = await findExisting('tags', 'id', [...counts.keys()], '*');
+  return [...tags.values()]
+    .map((tag) => ({ ...summary(tag), count: counts.get(tag.id) }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,206 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { db } from '#storage';
+
+const jwtSecret = process.env.JWT_SECRET;
+
+if (!jwtSecret) {
+  throw new Error('Missing JWT_SECRET in environment variables.');
+}
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+export const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const timeOf = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Sign a short-lived access token for a user row. The row must include
+ * `password_changed_at`, so the token stops working once the password changes.
+ */
+export function signAccessToken(user) {
+  return jwt.sign(
+    { sub: String(user.id), email: user.email, role: user.role, pwd_changed_at: user.password_changed_at ?? null },
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify an access token and return its payload. Throws if invalid or expired.
+ */
+export function verifyAccessToken(token) {
+  return jwt.verify(token, jwtSecret);
+}
+
+/**
+ * Whether the user of a verified access token payload still exists and has not
+ * changed their password since the token was signed.
+ */
+export async function isAccessTokenCurrent(payload) {
+  const { data: user, error } = await db
+    .from('users')
+    .select('password_changed_at')
+    .eq('id', payload.sub)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(user) && timeOf(user.password_changed_at) === timeOf(payload.pwd_changed_at);
+}
+
+/**
+ * Sign a token for a link emailed to a registered address. `purpose` ('confirm' or
+ * 'unsubscribe') is checked on verification, so one kind of link cannot stand in for the other.
+ */
+export function signEmailToken(purpose, registeredEmail, { expiresIn } = {}) {
+  return jwt.sign({ sub: String(registeredEmail.id), email: registeredEmail.email }, jwtSecret, {
+    audience: `email:${purpose}`,
+    ...(expiresIn && { expiresIn }),
+  });
+}
+
+/**
+ * Verify an email link token and return its payload. Throws if invalid, expired or for another purpose.
+ */
+export function verifyEmailToken(purpose, token) {
+  return jwt.verify(token, jwtSecret, { audience: `email:${purpose}` });
+}
+
+/**
+ * Create a new opaque refresh token for a user. Only its hash is stored.
+ */
+export async function issueRefreshToken(userId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await db
+    .from('refresh_tokens')
+    .insert([{ user_id: userId, token_hash: hashToken(token), expires_at: expiresAt.toISOString() }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { token, id: data.id, expiresAt };
+}
+
+/**
+ * Exchange a refresh token for a new one, revoking the old token.
+ * Presenting a token that was already rotated revokes every session of its user,
+ * since it means the token leaked. Returns the user id, or null if the token is not usable.
+ */
+export async function rotateRefreshToken(token) {
+  const { data: row, error } = await db
+    .from('refresh_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) return null;
+
+  if (row.revoked_at) {
+    if (row.replaced_by) await revokeUserRefreshTokens(row.user_id);
+    return null;
+  }
+
+  if (new Date(row.expires_at) <= new Date()) return null;
+
+  // Claim the token first, so of two concurrent rotations only one gets a new token
+  const { data: claimed, error: claimError } = await db
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .is('revoked_at', null)
+    .select();
+
+  if (claimError) throw claimError;
+  if (claimed.length === 0) return null;
+
+  const next = await issueRefreshToken(row.user_id);
+
+  const { error: replaceError } = await db.from('refresh_tokens').update({ replaced_by: next.id }).eq('id', row.id);
+  if (replaceError) throw replaceError;
+  return { userId: row.user_id, refreshToken: next };
+}
+
+/**
+ * Revoke a single refresh token. Returns the id of its user, or null if no live token was revoked.
+ */
+export async function revokeRefreshToken(token) {
+  const { data, error } = await db
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .is('revoked_at', null)
+    .select();
+
+  if (error) throw error;
+  return data[0]?.user_id ?? null;
+}
+
+/**
+ * Revoke every live refresh token belonging to a user.
+ */
+export async function revokeUserRefreshTokens(userId) {
+  const { error } = await db
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+/**
+ * Create a single-use password reset token for a user, replacing any unused one
+ * sent before. Only its hash is stored.
+ */
+export async function issuePasswordResetToken(userId) {
+  const { error: deleteError } = await db.from('password_reset_tokens').delete().eq('user_id', userId).is('used_at', null);
+  if (deleteError) throw deleteError;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  const { error } = await db
+    .from('password_reset_tokens')
+    .insert([{ user_id: userId, token_hash: hashToken(token), expires_at: expiresAt.toISOString() }]);
+
+  if (error) throw error;
+  return { token, expiresAt };
+}
+
+/**
+ * Look up a password reset token that is neither used nor expired. Returns its row, or null.
+ */
+export async function findPasswordResetToken(token) {
+  const { data, error } = await db
+    .from('password_reset_tokens')
+    .select('*')
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mark a password reset token as used. Returns false if another request used it first.
+ */
+export async function usePasswordResetToken(id) {
+  const { data, error } = await db
+    .from('password_reset_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('used_at', null)
+    .select();
+
+  if (error) throw error;
+  return data.length > 0;
+}
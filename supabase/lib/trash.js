@@ -0,0 +1,154 @@
+import 'dotenv/config';
+import { db } from '#storage';
+import { fetchPage } from '#lib/list-query.js';
+import { recordAudit } from '#lib/audit.js';
+import { detachAll } from '#lib/media.js';
+import { clearTaxonomy, taxonomyFor } from '#lib/taxonomy.js';
+
+// How long deleted rows stay in the trash before the purge removes them for good
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attachments and categories/tags are kept in the trash so a restore brings them back
+const removeAttached = (resourceType) => async (ids) => {
+  await detachAll(resourceType, ids);
+  await clearTaxonomy(resourceType, ids);
+};
+
+// Resources that are deleted into the trash, keyed by their audit log resource type.
+// `purge` cleans up what still refers to rows once they are removed for good,
+// `taxonomy` adds categories and tags to the audit snapshots.
+export const TRASH_RESOURCES = {
+  user: { table: 'users' },
+  content_post: { table: 'content_posts', taxonomy: true, purge: removeAttached('content_post') },
+  announcement: { table: 'announcements', taxonomy: true, purge: removeAttached('announcement') },
+  registered_email: { table: 'registered_emails' },
+};
+
+// Requested ids no row was found for, in request order
+const missing = (ids, rows) => {
+  const found = new Set(rows.map((row) => String(row.id)));
+  return [...new Set(ids)].filter((id) => !found.has(String(id)));
+};
+
+// `{ id, before, after }` per changed row, the way recordAudit() takes them
+async function changesOf(resourceType, rows, beforeOf) {
+  const taxonomy = TRASH_RESOURCES[resourceType].taxonomy
+    ? await taxonomyFor(resourceType, rows.map((row) => row.id))
+    : new Map();
+  return rows.map((row) => {
+    const terms = taxonomy.get(row.id);
+    return { id: row.id, before: { ...beforeOf(row), ...terms }, after: { ...row, ...terms } };
+  });
+}
+
+/**
+ * Move the live rows with `ids` to the trash. Returns a `{ id, before, after }`
+ * change per trashed row, ready for recordAudit(), and the ids that matched
+ * nothing because they do not exist or are already in the trash.
+ */
+export async function moveToTrash(resourceType, ids) {
+  const { data, error } = await db
+    .from(TRASH_RESOURCES[resourceType].table)
+    .update({ deleted_at: new Date().toISOString() })
+    .in('id', ids)
+    .is('deleted_at', null)
+    .select();
+
+  if (error) throw error;
+  return {
+    changes: await changesOf(resourceType, data, (row) => ({ ...row, deleted_at: null })),
+    notFound: missing(ids, data),
+  };
+}
+
+/**
+ * Take the rows with `ids` back out of the trash. Returns a `{ id, before, after }`
+ * change per restored row and the ids that are not in the trash.
+ */
+export async function restoreFromTrash(resourceType, ids) {
+  const { table } = TRASH_RESOURCES[resourceType];
+
+  const { data: trashed, error } = await db.from(table).select('*').in('id', ids).not('deleted_at', 'is', null);
+  if (error) throw error;
+
+  const { data, error: updateError } = await db
+    .from(table)
+    .update({ deleted_at: null })
+    .in('id', trashed.map((row) => row.id))
+    .not('deleted_at', 'is', null)
+    .select();
+
+  if (updateError) throw updateError;
+  const before = new Map(trashed.map((row) => [row.id, row]));
+  return {
+    changes: await changesOf(resourceType, data, (row) => before.get(row.id)),
+    notFound: missing(ids, data),
+  };
+}
+
+/**
+ * When a trashed row will be purged.
+ */
+export const purgeAt = (row) =>
+  new Date(new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+
+/**
+ * List query spec for the trash of a resource, from the spec of its live list:
+ * newest deletions first, sortable and filterable by `deleted_at`.
+ */
+export const trashListSpec = (spec) => ({
+  ...spec,
+  sortable: [...(spec.sortable || []), 'deleted_at'],
+  defaultSort: { field: 'deleted_at', order: 'desc' },
+  leadingOrder: [],
+  dateRanges: { ...spec.dateRanges, deleted: 'deleted_at' },
+});
+
+/**
+ * One page of a resource's trash, parsed with a trashListSpec(). Every item
+ * carries the `purge_at` time it will be removed for good.
+ * Resolves to `{ data, error }` like fetchPage().
+ */
+export async function fetchTrashPage(resourceType, list) {
+  const { data, error } = await fetchPage(
+    () => db.from(TRASH_RESOURCES[resourceType].table).select('*', { count: 'exact' }).not('deleted_at', 'is', null),
+    list
+  );
+  if (error) return { data, error };
+  return { data: { ...data, items: data.items.map((row) => ({ ...row, purge_at: purgeAt(row) })) }, error: null };
+}
+
+/**
+ * Remove everything that has been in the trash for longer than `retentionDays`.
+ * Returns the purged ids per resource type.
+ */
+export async function purgeTrash(retentionDays = TRASH_RETENTION_DAYS, now = new Date()) {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+  const purged = {};
+
+  for (const [resourceType, { table, purge }] of Object.entries(TRASH_RESOURCES)) {
+    const { data, error } = await db.from(table).delete().lte('deleted_at', cutoff).select();
+    if (error) throw error;
+
+    const ids = data.map((row) => row.id);
+    if (purge && ids.length > 0) await purge(ids);
+    // Runs in the background, so the entries have no actor, IP or request id
+    await recordAudit({}, `${resourceType}.purge`, data.map((row) => ({ id: row.id, before: row })));
+    purged[resourceType] = ids;
+  }
+
+  return purged;
+}
+
+/**
+ * Periodically purge the trash in the background.
+ */
+export function startTrashPurge(intervalMs = 60 * 60 * 1000) {
+  const timer = setInterval(() => {
+    purgeTrash().catch((error) => console.error('Trash purge failed:', error.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,7 @@
+import 'dotenv/config';
+
+// Base URL of this API as seen by email recipients and feed readers
+export const API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Where readers can open the full item, e.g. https://example.com; links to it are left out when unset
+export const SITE_URL = process.env.PUBLIC_SITE_URL?.replace(/\/+$/, '');
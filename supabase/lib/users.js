@@ -0,0 +1,30 @@
+import { hasPermission } from '#lib/permissions.js';
+
+// What any caller allowed to read users sees. Fields are listed rather than removed,
+// so a column added to `users` stays on the server until it is added here.
+const PUBLIC_FIELDS = ['id', 'username', 'email', 'first_name', 'middle_name', 'last_name', 'suffix', 'role'];
+
+// Account bookkeeping shown to admins and to the user themself
+const ADMIN_FIELDS = [...PUBLIC_FIELDS, 'created_at', 'password_changed_at'];
+
+const pick = (row, fields) => Object.fromEntries(fields.filter((field) => field in row).map((field) => [field, row[field]]));
+
+export const toPublicUser = (row) => pick(row, PUBLIC_FIELDS);
+
+export const toAdminUser = (row) => pick(row, ADMIN_FIELDS);
+
+/**
+ * The name readers see for a user: their full name, else their username.
+ */
+export const displayName = (row) =>
+  [row.first_name, row.middle_name, row.last_name, row.suffix].filter(Boolean).join(' ') || row.username || null;
+
+/**
+ * Map `users` rows (one or an array) to the representation `viewer` may see:
+ * admins get every user in full, others the public fields of everyone but themself.
+ */
+export function presentUsers(rows, viewer) {
+  const present = (row) =>
+    hasPermission(viewer?.role, 'users:write') || row.id === viewer?.id ? toAdminUser(row) : toPublicUser(row);
+  return Array.isArray(rows) ? rows.map(present) : present(rows);
+}
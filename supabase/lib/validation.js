@@ -0,0 +1,75 @@
+// Validates request bodies against the subset of OpenAPI schema keywords our
+// schemas use, so the same objects can be published in the Swagger spec as-is.
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) =>
+  typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer');
+
+function check(schema, value, path, errors) {
+  const field = path || 'body';
+  const fail = (message) => errors.push({ field, message });
+
+  if (value === null && schema.nullable) return;
+  if (schema.type && !matchesType(value, schema.type)) return fail(`must be of type ${schema.type}`);
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format === 'email' && !EMAIL.test(value)) fail('must be a valid email address');
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) fail('must be a valid date-time');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const prefix = path ? `${path}.` : '';
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push({ field: `${prefix}${name}`, message: 'is required' });
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        check(properties[name], propertyValue, `${prefix}${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: `${prefix}${name}`, message: 'is not allowed' });
+      }
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema, returning a list of `{ field, message }` errors.
+ */
+export function validateValue(schema, value) {
+  const errors = [];
+  check(schema, value, '', errors);
+  return errors;
+}
@@ -0,0 +1,35 @@
+import 'dotenv/config';
+import { createSmtpTransport } from './smtp.js';
+import { createMemoryTransport } from './memory.js';
+
+const TRANSPORTS = ['smtp', 'memory'];
+
+/**
+ * How emails leave the API, from `MAIL_TRANSPORT`:
+ * - `smtp` (default): the server at SMTP_HOST / SMTP_PORT, which default to the
+ *   local Inbucket started by `supabase start` (see `[inbucket]` in config.toml)
+ * - `memory`: messages are collected in `mailer.outbox` instead of being sent (automated tests)
+ */
+export const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'smtp';
+
+if (!TRANSPORTS.includes(MAIL_TRANSPORT)) {
+  throw new Error(`MAIL_TRANSPORT must be one of: ${TRANSPORTS.join(', ')}.`);
+}
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'Content API <no-reply@example.com>';
+
+/**
+ * Every transport implements `send({ to, subject, html, text, headers })`, resolving
+ * to `{ messageId }` once the message is accepted and rejecting otherwise.
+ */
+export const mailer =
+  MAIL_TRANSPORT === 'memory'
+    ? createMemoryTransport()
+    : createSmtpTransport({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT) || 54325,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD,
+        from: MAIL_FROM,
+      });
@@ -0,0 +1,22 @@
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Keeps sent messages in `outbox` so tests can inspect them.
+ */
+export function createMemoryTransport() {
+  const outbox = [];
+
+  return {
+    outbox,
+
+    async send(message) {
+      const messageId = `<${randomUUID()}@memory>`;
+      outbox.push({ ...message, messageId });
+      return { messageId };
+    },
+
+    clear() {
+      outbox.length = 0;
+    },
+  };
+}
@@ -0,0 +1,17 @@
+import nodemailer from 'nodemailer';
+
+export function createSmtpTransport({ host, port, secure, user, pass, from }) {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    async send({ to, subject, html, text, headers }) {
+      const info = await transporter.sendMail({ from, to, subject, html, text, headers });
+      return { messageId: info.messageId };
+    },
+  };
+}
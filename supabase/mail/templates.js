@@ -0,0 +1,116 @@
+import { SITE_URL } from '#lib/urls.js';
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const paragraphs = (value) =>
+  String(value ?? '')
+    .split(/\n{2,}/)
+    .filter((block) => block.trim())
+    .map((block) => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+function layout({ heading, intro, body, link, linkText = 'Read it online' }) {
+  const html = `<!doctype html>
+<html>
+  <body style="font-family: sans-serif; line-height: 1.5; max-width: 600px; margin: 0 auto;">
+    <h1>${escapeHtml(heading)}</h1>
+    ${intro ? `<p><em>${escapeHtml(intro)}</em></p>` : ''}
+    ${paragraphs(body)}
+    ${link ? `<p><a href="${escapeHtml(link)}">${escapeHtml(linkText)}</a></p>` : ''}
+  </body>
+</html>`;
+
+  const text = [heading, intro, body, link && `${linkText}: ${link}`].filter(Boolean).join('\n\n');
+
+  return { html, text };
+}
+
+const TEMPLATES = {
+  content_post: (post) => ({
+    subject: `New post: ${post.title}`,
+    ...layout({
+      heading: post.title,
+      intro: post.description,
+      body: post.content,
+      link: SITE_URL && `${SITE_URL}/content/${post.id}`,
+    }),
+  }),
+
+  announcement: (announcement) => ({
+    subject: `Announcement: ${announcement.title}`,
+    ...layout({
+      heading: announcement.title,
+      intro: announcement.creator_name && `From ${announcement.creator_name}`,
+      body: announcement.content,
+      link: SITE_URL && `${SITE_URL}/announcements/${announcement.id}`,
+    }),
+  }),
+};
+
+/**
+ * The email asking a newly registered address to confirm its subscription.
+ */
+export function renderConfirmation(confirmUrl) {
+  return {
+    subject: 'Confirm your subscription',
+    ...layout({
+      heading: 'Confirm your subscription',
+      body: 'Someone, hopefully you, asked to receive our posts and announcements at this address.\n\nFollow the link below to confirm. If it was not you, ignore this email and nothing will be sent.',
+      link: confirmUrl,
+      linkText: 'Confirm subscription',
+    }),
+  };
+}
+
+/**
+ * The page the unsubscribe link in every email opens. Following a link changes nothing,
+ * so mail scanners and link previews cannot unsubscribe anyone: the button posts to `actionUrl`.
+ */
+export function renderUnsubscribePage(email, actionUrl) {
+  return `<!doctype html>
+<html>
+  <body style="font-family: sans-serif; line-height: 1.5; max-width: 600px; margin: 0 auto;">
+    <h1>Unsubscribe</h1>
+    <p>Stop sending posts and announcements to ${escapeHtml(email)}?</p>
+    <form method="post" action="${escapeHtml(actionUrl)}">
+      <button type="submit">Unsubscribe</button>
+    </form>
+  </body>
+</html>`;
+}
+
+/**
+ * The email with a link to choose a new password, sent by /v1/auth/forgot-password.
+ */
+export function renderPasswordReset(resetUrl, ttlMinutes) {
+  return {
+    subject: 'Reset your password',
+    ...layout({
+      heading: 'Reset your password',
+      body: `Someone, hopefully you, asked to reset the password of your account.\n\nFollow the link below within ${ttlMinutes} minutes to choose a new one, it works only once. If it was not you, ignore this email and your password stays the same.`,
+      link: resetUrl,
+      linkText: 'Choose a new password',
+    }),
+  };
+}
+
+/**
+ * Add the recipient's unsubscribe link to a rendered email.
+ */
+export function withUnsubscribeLink({ html, text }, unsubscribeUrl) {
+  const footer = `<p style="font-size: 12px; color: #666;">You receive this email because you subscribed to our updates. <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`;
+  return {
+    html: html.replace('</body>', `  ${footer}\n  </body>`),
+    text: `${text}\n\n--\nUnsubscribe: ${unsubscribeUrl}`,
+  };
+}
+
+/**
+ * Render the `{ subject, html, text }` email for a content post or announcement row.
+ */
+export function renderEmail(sourceType, row) {
+  const template = TEMPLATES[sourceType];
+  if (!template) throw new Error(`No email template for ${sourceType}.`);
+  return template(row);
+}
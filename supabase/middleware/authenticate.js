@@ -0,0 +1,51 @@
+import { verifyAccessToken, isAccessTokenCurrent } from '#lib/tokens.js';
+import { UnauthorizedError } from '#lib/errors.js';
+
+// Turn a route like '/get-content/:id' into a regex matching a single path segment per param
+const toPattern = (path) =>
+  new RegExp(`^${path.replace(/\/+$/, '').replace(/:[^/]+/g, '[^/]+')}/?$`);
+
+/**
+ * Require a valid `Authorization: Bearer <access token>` header.
+ *
+ * Every route behind this middleware is protected unless it is listed in
+ * `publicRoutes` as `'METHOD /path'` (relative to where the middleware is mounted);
+ * a public GET route is public for HEAD too, as Express answers HEAD with the GET handler.
+ * Tokens of deleted users, or signed before the user's password last changed, are
+ * rejected. On success the token payload is available as `req.user`; public routes
+ * still populate it when a valid token is sent, so they can tailor what they return.
+ */
+export function authenticate({ publicRoutes = [] } = {}) {
+  const open = publicRoutes.map((route) => {
+    const [method, path] = route.split(' ');
+    return { method: method.toUpperCase(), pattern: toPattern(path) };
+  });
+
+  return async (req, res, next) => {
+    const requestMethod = req.method === 'HEAD' ? 'GET' : req.method;
+    const isPublic = open.some(({ method, pattern }) => method === requestMethod && pattern.test(req.path));
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    const hasToken = scheme === 'Bearer' && Boolean(token);
+
+    if (!hasToken) {
+      if (isPublic) return next();
+      return next(new UnauthorizedError('Authentication required.'));
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch {
+      payload = null;
+    }
+
+    if (!payload || !(await isAccessTokenCurrent(payload))) {
+      // A bad token on a public route just means the caller is treated as anonymous
+      if (isPublic) return next();
+      return next(new UnauthorizedError('Invalid or expired access token.'));
+    }
+
+    req.user = { id: Number(payload.sub), email: payload.email, role: payload.role };
+    next();
+  };
+}
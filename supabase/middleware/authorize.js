@@ -0,0 +1,15 @@
+import { hasPermission } from '#lib/permissions.js';
+import { ForbiddenError } from '#lib/errors.js';
+
+/**
+ * Allow the request only if the authenticated user's role grants `permission`.
+ * Must run after `authenticate()`.
+ */
+export function authorize(permission) {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+      return next(new ForbiddenError(undefined, { required: permission, role: req.user?.role ?? null }));
+    }
+    next();
+  };
+}
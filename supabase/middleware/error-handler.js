@@ -0,0 +1,44 @@
+import { AppError, NotFoundError, BadRequestError, PayloadTooLargeError, fromDatabaseError } from '#lib/errors.js';
+
+/**
+ * Respond with 404 for requests that no router handled.
+ */
+export function notFoundHandler() {
+  return (req, res, next) => {
+    next(new NotFoundError(`Route ${req.method} ${req.path} not found.`));
+  };
+}
+
+/**
+ * Final error middleware. Every error leaves the API as
+ * `{ error: { code, message, details, requestId } }`; unexpected errors are logged
+ * and reported without their internals.
+ */
+export function errorHandler() {
+  return (err, req, res, next) => {
+    // A streamed response has already started, let Express abort the connection
+    if (res.headersSent) return next(err);
+
+    let error = fromDatabaseError(err);
+
+    // Malformed JSON and oversized bodies from express.json()
+    if (err.type === 'entity.parse.failed') error = new BadRequestError('Request body is not valid JSON.');
+    if (err.type === 'entity.too.large') error = new PayloadTooLargeError();
+
+    if (!(error instanceof AppError)) {
+      console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, err);
+      error = new AppError(500, 'INTERNAL_ERROR', 'An unexpected error occurred.');
+    }
+
+    if (error.retryAfter !== undefined) res.set('Retry-After', String(error.retryAfter));
+
+    res.status(error.status).json({
+      error: {
+        code: error.code,
+        message: error.message,
+        details: error.details ?? null,
+        requestId: req.id ?? null,
+      },
+    });
+  };
+}
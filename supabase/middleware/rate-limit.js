@@ -0,0 +1,47 @@
+import { counters } from '#rate-limit';
+import { TooManyRequestsError } from '#lib/errors.js';
+
+// Count requests per client IP (see TRUST_PROXY in server.js when behind a proxy)
+export const byIp = (req) => req.ip;
+
+// Count requests per account named in the body, whichever IP they come from
+export const byAccount = (req) => (typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() || null : null);
+
+/**
+ * Allow `limit` requests per `windowMs` for each key returned by `key(req)`; requests
+ * without a key are not counted. `name` keeps the counters of each policy apart.
+ *
+ * Responses carry RateLimit-Policy / -Limit / -Remaining / -Reset headers, from the
+ * policy with the fewest requests left when several apply. Over the limit the
+ * request fails with a 429 and Retry-After. If the counter store is unreachable
+ * requests are let through rather than taking the API down with it.
+ */
+export function rateLimit({ name, limit, windowMs, key = byIp }) {
+  return async (req, res, next) => {
+    const subject = key(req);
+    if (!subject) return next();
+
+    let counter;
+    try {
+      counter = await counters.increment(`${name}:${subject}`, windowMs);
+    } catch (error) {
+      console.error(`[${req.id}] Rate limit ${name} skipped:`, error.message);
+      return next();
+    }
+
+    const remaining = Math.max(limit - counter.count, 0);
+    const resetIn = Math.max(Math.ceil((counter.resetAt - Date.now()) / 1000), 1);
+    const shown = res.get('RateLimit-Remaining');
+    if (shown === undefined || remaining <= Number(shown)) {
+      res.set({
+        'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`,
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetIn),
+      });
+    }
+
+    if (counter.count > limit) throw new TooManyRequestsError(undefined, resetIn);
+    next();
+  };
+}
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+/**
+ * Tag every request with an id (taken from `X-Request-Id` when the caller sends one)
+ * and echo it back, so error responses and server logs can be matched up.
+ */
+export function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+  };
+}
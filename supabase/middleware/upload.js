@@ -0,0 +1,33 @@
+import { rm } from 'node:fs/promises';
+import multer from 'multer';
+import { BadRequestError, PayloadTooLargeError } from '#lib/errors.js';
+
+/**
+ * Accept up to `maxCount` files from the multipart field `field` into `req.files`,
+ * at most `maxBytes` each. Files are written to temporary files (`file.path`) rather
+ * than held in memory, and removed once the response is sent. Requests without files are rejected.
+ */
+export function uploadFiles(field, { maxCount, maxBytes }) {
+  const parse = multer({ storage: multer.diskStorage({}), limits: { fileSize: maxBytes, files: maxCount } }).array(
+    field,
+    maxCount
+  );
+
+  return (req, res, next) => {
+    res.on('close', () => {
+      for (const file of req.files || []) rm(file.path, { force: true }).catch(() => {});
+    });
+
+    parse(req, res, (err) => {
+      if (err?.code === 'LIMIT_FILE_SIZE') return next(new PayloadTooLargeError(`Files must be at most ${maxBytes} bytes.`));
+      if (err instanceof multer.MulterError) {
+        return next(new BadRequestError(`Upload up to ${maxCount} files in the multipart field "${field}".`));
+      }
+      if (err) return next(err);
+      if (!req.files?.length) {
+        return next(new BadRequestError(`Send the files as multipart/form-data in the field "${field}".`));
+      }
+      next();
+    });
+  };
+}
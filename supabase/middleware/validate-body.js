@@ -0,0 +1,15 @@
+import { validateValue } from '#lib/validation.js';
+import { ValidationError } from '#lib/errors.js';
+
+/**
+ * Reject requests whose body does not match `schema` with a 422 listing every problem.
+ */
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = validateValue(schema, req.body);
+    if (errors.length > 0) {
+      return next(new ValidationError('Request body is invalid.', errors));
+    }
+    next();
+  };
+}
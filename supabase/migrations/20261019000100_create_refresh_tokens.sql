@@ -0,0 +1,13 @@
+-- Refresh tokens issued by /v1/auth/login and rotated by /v1/auth/refresh.
+-- Only a SHA-256 hash of each token is stored.
+create table if not exists public.refresh_tokens (
+  id bigint generated always as identity primary key,
+  user_id bigint not null references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  replaced_by bigint references public.refresh_tokens (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists refresh_tokens_user_id_idx on public.refresh_tokens (user_id);
@@ -0,0 +1,10 @@
+-- Role used for authorization: admin (everything), editor (content and announcements), viewer (read-only).
+alter table public.users
+  add column if not exists role text not null default 'viewer'
+  check (role in ('admin', 'editor', 'viewer'));
+
+-- Promote the oldest account so the API can still be administered after the upgrade.
+update public.users
+set role = 'admin'
+where id = (select min(id) from public.users)
+  and not exists (select 1 from public.users where role = 'admin');
@@ -0,0 +1,27 @@
+-- Publishing lifecycle for content posts: draft -> scheduled -> published -> archived.
+alter table public.content_posts
+  add column if not exists status text not null default 'draft'
+    check (status in ('draft', 'scheduled', 'published', 'archived')),
+  add column if not exists publish_at timestamptz,
+  add column if not exists published_at timestamptz,
+  add column if not exists archived_at timestamptz;
+
+-- Posts created before the workflow existed were already live.
+update public.content_posts
+set status = 'published', published_at = coalesce(published_at, created_at)
+where published_at is null and status = 'draft';
+
+create index if not exists content_posts_status_publish_at_idx
+  on public.content_posts (status, publish_at);
+
+create table if not exists public.content_post_transitions (
+  id bigint generated always as identity primary key,
+  content_post_id bigint not null references public.content_posts (id) on delete cascade,
+  from_status text not null,
+  to_status text not null,
+  actor_id bigint references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists content_post_transitions_post_idx
+  on public.content_post_transitions (content_post_id, created_at);
@@ -0,0 +1,25 @@
+-- Immutable revision history for content posts and announcements.
+create table if not exists public.revisions (
+  id bigint generated always as identity primary key,
+  resource_type text not null check (resource_type in ('content_post', 'announcement')),
+  resource_id bigint not null,
+  version integer not null,
+  snapshot jsonb not null,
+  actor_id bigint references public.users (id) on delete set null,
+  restored_from integer,
+  created_at timestamptz not null default now(),
+  unique (resource_type, resource_id, version)
+);
+
+-- Revisions are append-only.
+create or replace function public.revisions_immutable() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'revisions are immutable';
+end;
+$$;
+
+drop trigger if exists revisions_immutable on public.revisions;
+create trigger revisions_immutable
+  before update on public.revisions
+  for each row execute function public.revisions_immutable();
@@ -0,0 +1,21 @@
+-- Author of a content post, used by the `author` list filter.
+alter table public.content_posts
+  add column if not exists author_id bigint references public.users (id) on delete set null;
+
+-- Full-text search columns used by the `q` list parameter.
+alter table public.content_posts
+  add column if not exists search tsvector generated always as (
+    to_tsvector('english',
+      coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(content, ''))
+  ) stored;
+
+alter table public.announcements
+  add column if not exists search tsvector generated always as (
+    to_tsvector('english', coalesce(title, '') || ' ' || coalesce(content, ''))
+  ) stored;
+
+create index if not exists content_posts_search_idx on public.content_posts using gin (search);
+create index if not exists announcements_search_idx on public.announcements using gin (search);
+
+create index if not exists content_posts_created_at_idx on public.content_posts (created_at, id);
+create index if not exists announcements_created_at_idx on public.announcements (created_at, id);
@@ -0,0 +1,55 @@
+-- Per-resource row limits, enforced by the enforce_quota() trigger below.
+create table if not exists public.quota_limits (
+  resource text primary key,
+  max_count integer not null check (max_count >= 0),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.quota_limits (resource, max_count) values
+  ('users', 10),
+  ('content_posts', 5),
+  ('announcements', 5),
+  ('registered_emails', 60)
+on conflict (resource) do nothing;
+
+-- Runs after each insert statement. The advisory lock serializes concurrent inserts
+-- into the same table, so the count always includes rows committed by the others
+-- and the limit cannot be overshot. Raises SQLSTATE 'QUOTA' when exceeded.
+create or replace function public.enforce_quota() returns trigger
+language plpgsql as $$
+declare
+  limit_count integer;
+  current_count bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('quota:' || tg_table_name));
+
+  select max_count into limit_count from public.quota_limits where resource = tg_table_name;
+  if limit_count is null then
+    return null;
+  end if;
+
+  execute format('select count(*) from public.%I', tg_table_name) into current_count;
+  if current_count > limit_count then
+    raise exception 'Quota exceeded for %: % of % allowed.', tg_table_name, current_count, limit_count
+      using errcode = 'QUOTA';
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists enforce_quota on public.users;
+create trigger enforce_quota after insert on public.users
+  for each statement execute function public.enforce_quota();
+
+drop trigger if exists enforce_quota on public.content_posts;
+create trigger enforce_quota after insert on public.content_posts
+  for each statement execute function public.enforce_quota();
+
+drop trigger if exists enforce_quota on public.announcements;
+create trigger enforce_quota after insert on public.announcements
+  for each statement execute function public.enforce_quota();
+
+drop trigger if exists enforce_quota on public.registered_emails;
+create trigger enforce_quota after insert on public.registered_emails
+  for each statement execute function public.enforce_quota();
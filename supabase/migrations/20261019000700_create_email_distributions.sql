@@ -0,0 +1,35 @@
+-- Emails sent to registered addresses when content is published or an announcement is created.
+-- A distribution is the rendered message for one source, sent at most once per source.
+create table if not exists public.email_distributions (
+  id bigint generated always as identity primary key,
+  source_type text not null check (source_type in ('content_post', 'announcement')),
+  source_id bigint not null,
+  subject text not null,
+  html text not null,
+  text text not null,
+  created_at timestamptz not null default now(),
+  unique (source_type, source_id)
+);
+
+-- One row per recipient, tracking whether the transport accepted the message.
+create table if not exists public.email_deliveries (
+  id bigint generated always as identity primary key,
+  distribution_id bigint not null references public.email_distributions (id) on delete cascade,
+  registered_email_id bigint references public.registered_emails (id) on delete set null,
+  email text not null,
+  status text not null default 'queued' check (status in ('queued', 'sent', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  message_id text,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists email_deliveries_distribution_idx
+  on public.email_deliveries (distribution_id, status);
+
+create index if not exists email_deliveries_queue_idx
+  on public.email_deliveries (next_attempt_at)
+  where status = 'queued';
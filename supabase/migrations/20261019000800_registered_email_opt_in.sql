@@ -0,0 +1,58 @@
+-- Double opt-in for registered emails: an address stays pending until its owner follows the
+-- signed confirmation link, and can leave with the signed unsubscribe link in every email.
+alter table public.registered_emails
+  add column if not exists status text not null default 'confirmed'
+    check (status in ('pending', 'confirmed', 'unsubscribed')),
+  add column if not exists confirmation_sent_at timestamptz,
+  add column if not exists confirmed_at timestamptz,
+  add column if not exists unsubscribed_at timestamptz;
+
+-- Addresses registered before opt-in existed stay subscribed, new ones start pending.
+update public.registered_emails set confirmed_at = created_at where status = 'confirmed' and confirmed_at is null;
+alter table public.registered_emails alter column status set default 'pending';
+
+-- One row per address, compared case-insensitively.
+update public.registered_emails set email = lower(trim(email));
+delete from public.registered_emails a
+  using public.registered_emails b
+  where a.email = b.email and a.id > b.id;
+create unique index if not exists registered_emails_email_key on public.registered_emails (email);
+
+create index if not exists registered_emails_pending_idx
+  on public.registered_emails (confirmation_sent_at)
+  where status = 'pending';
+
+-- Deliveries to addresses that unsubscribed or were removed before sending are cancelled.
+alter table public.email_deliveries drop constraint if exists email_deliveries_status_check;
+alter table public.email_deliveries
+  add constraint email_deliveries_status_check check (status in ('queued', 'sent', 'failed', 'cancelled'));
+
+-- enforce_quota() optionally takes a condition selecting the rows that count toward the limit.
+create or replace function public.enforce_quota() returns trigger
+language plpgsql as $$
+declare
+  limit_count integer;
+  current_count bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('quota:' || tg_table_name));
+
+  select max_count into limit_count from public.quota_limits where resource = tg_table_name;
+  if limit_count is null then
+    return null;
+  end if;
+
+  execute format('select count(*) from public.%I where %s', tg_table_name, coalesce(tg_argv[0], 'true'))
+    into current_count;
+  if current_count > limit_count then
+    raise exception 'Quota exceeded for %: % of % allowed.', tg_table_name, current_count, limit_count
+      using errcode = 'QUOTA';
+  end if;
+
+  return null;
+end;
+$$;
+
+-- Only confirmed addresses count toward the registered_emails limit, checked again on confirmation.
+drop trigger if exists enforce_quota on public.registered_emails;
+create trigger enforce_quota after insert or update of status on public.registered_emails
+  for each statement execute function public.enforce_quota('status = ''confirmed''');
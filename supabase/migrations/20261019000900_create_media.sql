@@ -0,0 +1,42 @@
+-- Private bucket for uploaded media, read through signed URLs.
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'media',
+  'media',
+  false,
+  52428800,
+  array['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf', 'text/plain', 'text/csv', 'application/zip']
+)
+on conflict (id) do nothing;
+
+-- One row per uploaded file. Images also get a thumbnail and their dimensions.
+create table if not exists public.media (
+  id bigint generated always as identity primary key,
+  path text not null unique,
+  thumbnail_path text,
+  original_name text not null,
+  mime_type text not null,
+  size_bytes bigint not null check (size_bytes >= 0),
+  width integer,
+  height integer,
+  uploaded_by bigint references public.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- Media used by a content post or announcement: one cover image, then ordered gallery images and downloads.
+create table if not exists public.attachments (
+  id bigint generated always as identity primary key,
+  media_id bigint not null references public.media (id) on delete restrict,
+  resource_type text not null check (resource_type in ('content_post', 'announcement')),
+  resource_id bigint not null,
+  role text not null check (role in ('cover', 'gallery', 'download')),
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  unique (resource_type, resource_id, role, media_id)
+);
+
+create index if not exists attachments_resource_idx on public.attachments (resource_type, resource_id);
+create index if not exists attachments_media_idx on public.attachments (media_id);
+create unique index if not exists attachments_one_cover_idx
+  on public.attachments (resource_type, resource_id)
+  where role = 'cover';
@@ -0,0 +1,21 @@
+-- Announcements are shown between starts_at and ends_at (no end when null),
+-- pinned ones first, then by priority (higher first).
+alter table public.announcements
+  add column if not exists starts_at timestamptz,
+  add column if not exists ends_at timestamptz,
+  add column if not exists pinned boolean not null default false,
+  add column if not exists priority integer not null default 0 check (priority between 0 and 100);
+
+-- Keep the old rule for existing announcements: live for 15 days after creation.
+update public.announcements
+set starts_at = created_at, ends_at = created_at + interval '15 days'
+where starts_at is null;
+
+alter table public.announcements
+  alter column starts_at set default now(),
+  alter column starts_at set not null,
+  add constraint announcements_schedule_check check (ends_at is null or ends_at > starts_at);
+
+create index if not exists announcements_schedule_idx on public.announcements (starts_at, ends_at);
+create index if not exists announcements_display_order_idx
+  on public.announcements (pinned desc, priority desc, created_at desc, id desc);
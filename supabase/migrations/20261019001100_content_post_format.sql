@@ -0,0 +1,3 @@
+-- Declares how content_posts.content is written; the API renders markdown to sanitized HTML on read.
+alter table public.content_posts
+  add column if not exists format text not null default 'plain' check (format in ('plain', 'markdown'));
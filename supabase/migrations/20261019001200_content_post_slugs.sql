@@ -0,0 +1,35 @@
+-- Public URLs use a slug instead of the numeric id. Slugs a post used before stay
+-- reserved in content_post_slugs so old links can redirect to the current one.
+alter table public.content_posts
+  add column if not exists slug text;
+
+-- Backfill from titles, suffixing duplicates with -2, -3, ... in id order
+with candidates as (
+  select
+    id,
+    coalesce(nullif(trim(both '-' from regexp_replace(lower(title), '[^a-z0-9]+', '-', 'g')), ''), 'untitled') as base
+  from public.content_posts
+  where slug is null
+),
+numbered as (
+  select id, base, row_number() over (partition by base order by id) as n
+  from candidates
+)
+update public.content_posts p
+set slug = case when n = 1 then base else base || '-' || n end
+from numbered
+where p.id = numbered.id;
+
+alter table public.content_posts
+  alter column slug set not null,
+  add constraint content_posts_slug_format check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$');
+
+create unique index if not exists content_posts_slug_key on public.content_posts (slug);
+
+create table if not exists public.content_post_slugs (
+  slug text primary key check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  post_id bigint not null references public.content_posts (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists content_post_slugs_post_id_idx on public.content_post_slugs (post_id);
@@ -0,0 +1,41 @@
+-- Managed, hierarchical categories and free-form tags, assigned to content posts and announcements.
+create table if not exists public.categories (
+  id bigint generated always as identity primary key,
+  name text not null check (char_length(name) between 1 and 100),
+  slug text not null unique check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  description text,
+  parent_id bigint references public.categories (id) on delete restrict check (parent_id <> id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists categories_parent_id_idx on public.categories (parent_id);
+
+create table if not exists public.tags (
+  id bigint generated always as identity primary key,
+  name text not null check (char_length(name) between 1 and 50),
+  slug text not null unique check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.category_assignments (
+  id bigint generated always as identity primary key,
+  category_id bigint not null references public.categories (id) on delete cascade,
+  resource_type text not null check (resource_type in ('content_post', 'announcement')),
+  resource_id bigint not null,
+  created_at timestamptz not null default now(),
+  unique (resource_type, resource_id, category_id)
+);
+
+create index if not exists category_assignments_category_idx on public.category_assignments (category_id);
+
+create table if not exists public.tag_assignments (
+  id bigint generated always as identity primary key,
+  tag_id bigint not null references public.tags (id) on delete cascade,
+  resource_type text not null check (resource_type in ('content_post', 'announcement')),
+  resource_id bigint not null,
+  created_at timestamptz not null default now(),
+  unique (resource_type, resource_id, tag_id)
+);
+
+create index if not exists tag_assignments_tag_idx on public.tag_assignments (tag_id);
@@ -0,0 +1,38 @@
+-- Append-only record of every write made through the API. Actors are kept by id
+-- and email without a foreign key, so entries outlive the users they mention.
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  actor_id bigint,
+  actor_email text,
+  actor_role text,
+  action text not null,
+  resource_type text not null,
+  resource_id text,
+  before jsonb,
+  after jsonb,
+  changed_fields text[] not null default '{}',
+  ip inet,
+  request_id text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+create index if not exists audit_log_actor_idx on public.audit_log (actor_id, created_at desc);
+create index if not exists audit_log_resource_idx on public.audit_log (resource_type, resource_id, created_at desc);
+
+create or replace function public.audit_log_append_only() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_append_only();
+
+drop trigger if exists audit_log_no_truncate on public.audit_log;
+create trigger audit_log_no_truncate
+  before truncate on public.audit_log
+  for each statement execute function public.audit_log_append_only();
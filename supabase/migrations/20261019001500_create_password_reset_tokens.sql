@@ -0,0 +1,15 @@
+-- Single-use tokens emailed by /v1/auth/forgot-password and redeemed by
+-- /v1/auth/reset-password. Only a SHA-256 hash of each token is stored.
+create table if not exists public.password_reset_tokens (
+  id bigint generated always as identity primary key,
+  user_id bigint not null references public.users (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_tokens_user_id_idx on public.password_reset_tokens (user_id);
+
+-- When the password last changed, set by resets, change-password and admin updates
+alter table public.users add column if not exists password_changed_at timestamptz;
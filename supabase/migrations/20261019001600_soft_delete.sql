@@ -0,0 +1,15 @@
+-- Deleting a user, content post, announcement or registered email moves it to the
+-- trash by setting deleted_at. Trashed rows are hidden from every other route, can be
+-- restored, and are removed for good by the trash purge once the retention has passed.
+-- They still hold their unique emails and slugs, so a restore can never clash with a
+-- newer row.
+alter table public.users add column if not exists deleted_at timestamptz;
+alter table public.content_posts add column if not exists deleted_at timestamptz;
+alter table public.announcements add column if not exists deleted_at timestamptz;
+alter table public.registered_emails add column if not exists deleted_at timestamptz;
+
+-- Trash listings and the purge only ever look at trashed rows
+create index if not exists users_deleted_at_idx on public.users (deleted_at) where deleted_at is not null;
+create index if not exists content_posts_deleted_at_idx on public.content_posts (deleted_at) where deleted_at is not null;
+create index if not exists announcements_deleted_at_idx on public.announcements (deleted_at) where deleted_at is not null;
+create index if not exists registered_emails_deleted_at_idx on public.registered_emails (deleted_at) where deleted_at is not null;
@@ -0,0 +1,17 @@
+-- Rows in the trash no longer count toward quotas, so deleting frees a slot. A restore
+-- puts the row back in the count, so the quota is checked again when deleted_at changes.
+drop trigger if exists enforce_quota on public.users;
+create trigger enforce_quota after insert or update of deleted_at on public.users
+  for each statement execute function public.enforce_quota('deleted_at is null');
+
+drop trigger if exists enforce_quota on public.content_posts;
+create trigger enforce_quota after insert or update of deleted_at on public.content_posts
+  for each statement execute function public.enforce_quota('deleted_at is null');
+
+drop trigger if exists enforce_quota on public.announcements;
+create trigger enforce_quota after insert or update of deleted_at on public.announcements
+  for each statement execute function public.enforce_quota('deleted_at is null');
+
+drop trigger if exists enforce_quota on public.registered_emails;
+create trigger enforce_quota after insert or update of status, deleted_at on public.registered_emails
+  for each statement execute function public.enforce_quota('status = ''confirmed'' and deleted_at is null');
@@ -0,0 +1,8 @@
+-- A distribution is only done once its deliveries are queued. queued_at stays null when
+-- queueing them failed, so the schedulers can finish the distribution on their next run.
+alter table public.email_distributions add column if not exists queued_at timestamptz;
+update public.email_distributions set queued_at = created_at where queued_at is null;
+
+-- Concurrent attempts to finish the same distribution cannot queue an address twice.
+create unique index if not exists email_deliveries_distribution_recipient_key
+  on public.email_deliveries (distribution_id, registered_email_id);
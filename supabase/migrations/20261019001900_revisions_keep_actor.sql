@@ -0,0 +1,4 @@
+-- Deleting a user would set actor_id to null on their revisions, which the immutability
+-- trigger rejects. Keep the actor by id without a foreign key, as audit_log does, so
+-- revisions outlive the users who wrote them and users can still be deleted.
+alter table public.revisions drop constraint if exists revisions_actor_id_fkey;
@@ -0,0 +1,31 @@
+-- Content posts and announcements in any of `category_ids` and with any of `tag_ids`, a
+-- null argument matching everything. List routes call these through PostgREST, which
+-- filters, orders and pages the result like a table, instead of sending the matching ids.
+-- The unique constraints on the assignment tables index the lookups.
+create or replace function public.content_posts_by_taxonomy(category_ids bigint[] default null, tag_ids bigint[] default null)
+returns setof public.content_posts
+language sql stable
+as $$
+  select p.*
+  from public.content_posts p
+  where (category_ids is null or exists (
+      select 1 from public.category_assignments a
+      where a.resource_type = 'content_post' and a.resource_id = p.id and a.category_id = any (category_ids)))
+    and (tag_ids is null or exists (
+      select 1 from public.tag_assignments a
+      where a.resource_type = 'content_post' and a.resource_id = p.id and a.tag_id = any (tag_ids)));
+$$;
+
+create or replace function public.announcements_by_taxonomy(category_ids bigint[] default null, tag_ids bigint[] default null)
+returns setof public.announcements
+language sql stable
+as $$
+  select n.*
+  from public.announcements n
+  where (category_ids is null or exists (
+      select 1 from public.category_assignments a
+      where a.resource_type = 'announcement' and a.resource_id = n.id and a.category_id = any (category_ids)))
+    and (tag_ids is null or exists (
+      select 1 from public.tag_assignments a
+      where a.resource_type = 'announcement' and a.resource_id = n.id and a.tag_id = any (tag_ids)));
+$$;
@@ -0,0 +1,32 @@
+import 'dotenv/config';
+import { createMemoryStore } from './memory.js';
+
+const STORES = ['memory', 'redis'];
+
+/**
+ * Where rate limit and login lockout counters live, from `RATE_LIMIT_STORE`:
+ * - `memory` (default): in the process, reset on restart and not shared between instances
+ * - `redis`: the Redis-compatible server at REDIS_URL, shared by every instance
+ */
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!STORES.includes(RATE_LIMIT_STORE)) {
+  throw new Error(`RATE_LIMIT_STORE must be one of: ${STORES.join(', ')}.`);
+}
+
+/**
+ * Every store implements fixed-window counters:
+ * - `increment(key, windowMs)`: count one hit, starting a window of `windowMs` on the
+ *   first one; resolves to `{ count, resetAt }` with resetAt in epoch milliseconds
+ * - `get(key)`: the current `{ count, resetAt }`, or null once the window is over
+ * - `reset(key)`: forget the counter
+ *
+ * The Redis client is only loaded when it is used.
+ */
+export const counters =
+  RATE_LIMIT_STORE === 'redis'
+    ? await (await import('./redis.js')).createRedisStore({
+        url: process.env.REDIS_URL || 'redis://localhost:6379',
+        prefix: process.env.RATE_LIMIT_PREFIX || 'rate-limit:',
+      })
+    : createMemoryStore();
@@ -0,0 +1,48 @@
+// Expired counters are dropped at most this often, while counting
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Counters kept in the process. Each API instance counts on its own, so use the
+ * Redis store when several instances share the traffic.
+ */
+export function createMemoryStore() {
+  const counters = new Map();
+  let lastSweep = Date.now();
+
+  const live = (key, now) => {
+    const counter = counters.get(key);
+    if (counter && counter.resetAt <= now) {
+      counters.delete(key);
+      return null;
+    }
+    return counter ?? null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+        for (const [stored, counter] of counters) if (counter.resetAt <= now) counters.delete(stored);
+        lastSweep = now;
+      }
+
+      const counter = live(key, now) ?? { count: 0, resetAt: now + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    async get(key) {
+      const counter = live(key, Date.now());
+      return counter && { ...counter };
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    clear() {
+      counters.clear();
+    },
+  };
+}
@@ -0,0 +1,34 @@
+import { createClient } from 'redis';
+
+// Count and start the window in one round trip, so concurrent hits cannot leave a key without expiry
+const INCREMENT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Counters shared by every API instance through Redis, or any server speaking
+ * its protocol (Valkey, KeyDB, ...). Keys are prefixed so the database can be shared.
+ */
+export async function createRedisStore({ url, prefix }) {
+  const client = createClient({ url });
+  client.on('error', (error) => console.error('Rate limit store error:', error.message));
+  await client.connect();
+
+  return {
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.eval(INCREMENT, { keys: [prefix + key], arguments: [String(windowMs)] });
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+
+    async get(key) {
+      const [count, ttl] = await Promise.all([client.get(prefix + key), client.pTTL(prefix + key)]);
+      return count === null || ttl < 0 ? null : { count: Number(count), resetAt: Date.now() + ttl };
+    },
+
+    async reset(key) {
+      await client.del(prefix + key);
+    },
+  };
+}
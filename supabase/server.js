@@ -1,4 +1,5 @@
 import 'dotenv/config';
+import { fileURLToPath } from 'url';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet'; // Add this import
@@ -8,10 +9,33 @@ import contentRouter from './functions/content-service/index.js';
 import announcementRouter from './functions/announcement-service/index.js';
 import registeredEmailRouter from './functions/regisetered-email-service/index.js';
 import authRouter from './functions/login-service/index.js';
+import quotaRouter from './functions/quota-service/index.js';
+import mediaRouter from './functions/media-service/index.js';
+import taxonomyRouter from './functions/taxonomy-service/index.js';
+import auditRouter from './functions/audit-service/index.js';
+import { startPublishScheduler } from './functions/content-service/workflow.js';
+import { startAnnouncementScheduler } from './functions/announcement-service/schedule.js';
+import { startDeliveryWorker } from '#lib/distribution.js';
+import { startConfirmationExpiry } from '#lib/subscriptions.js';
+import { startMediaCleanup } from '#lib/media.js';
+import { startTrashPurge } from '#lib/trash.js';
 
+import { authenticate } from '#middleware/authenticate.js';
+import { rateLimit, byAccount } from '#middleware/rate-limit.js';
+import { requestId } from '#middleware/request-id.js';
+import { notFoundHandler, errorHandler } from '#middleware/error-handler.js';
 import { setupSwagger } from './swagger.js';
 
 export const app = express();
+
+// Behind a reverse proxy, req.ip (rate limits, audit log) must come from X-Forwarded-For:
+// TRUST_PROXY is a hop count, `true`, or addresses/subnets of the trusted proxies
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+
+app.use(requestId());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cors());
@@ -20,14 +44,94 @@ app.use(helmet()); // Use helmet for security headers
 // Setup Swagger documentation
 setupSwagger(app);
 
-// Mount routers under /v1
-app.use('/v1/users', userRouter);
-app.use('/v1/content', contentRouter);
-app.use('/v1/announcements', announcementRouter);
-app.use('/v1/registered-emails', registeredEmailRouter);
+// Throttle logins and the public routes that write, per client IP and per account (the email sent)
+const MINUTE = 60 * 1000;
+app.post(
+  '/v1/auth/login',
+  rateLimit({ name: 'login-ip', limit: 20, windowMs: 15 * MINUTE }),
+  rateLimit({ name: 'login-account', limit: 10, windowMs: 15 * MINUTE, key: byAccount })
+);
+app.post('/v1/auth/refresh', rateLimit({ name: 'refresh-ip', limit: 60, windowMs: 15 * MINUTE }));
+app.post(
+  '/v1/auth/forgot-password',
+  rateLimit({ name: 'forgot-password-ip', limit: 10, windowMs: 60 * MINUTE }),
+  rateLimit({ name: 'forgot-password-account', limit: 3, windowMs: 60 * MINUTE, key: byAccount })
+);
+app.post('/v1/auth/reset-password', rateLimit({ name: 'reset-password-ip', limit: 20, windowMs: 15 * MINUTE }));
+app.post(
+  '/v1/registered-emails/register',
+  rateLimit({ name: 'register-ip', limit: 10, windowMs: 60 * MINUTE }),
+  rateLimit({ name: 'register-account', limit: 3, windowMs: 60 * MINUTE, key: byAccount })
+);
+app.all(
+  ['/v1/registered-emails/confirm', '/v1/registered-emails/unsubscribe'],
+  rateLimit({ name: 'subscription-links-ip', limit: 30, windowMs: 15 * MINUTE })
+);
+
+// Mount routers under /v1, every route requires an access token unless listed as public
+app.use('/v1/users', authenticate(), userRouter);
+app.use(
+  '/v1/content',
+  authenticate({
+    publicRoutes: [
+      'GET /get-all-contents',
+      'GET /get-content/:id',
+      'GET /by-slug/:slug',
+      'GET /feed.xml',
+      'GET /feed.atom',
+      'GET /feed.json',
+    ],
+  }),
+  contentRouter
+);
+app.use(
+  '/v1/announcements',
+  authenticate({ publicRoutes: ['GET /get-all-announcements', 'GET /get-announcement/:id'] }),
+  announcementRouter
+);
+app.use(
+  '/v1/registered-emails',
+  authenticate({ publicRoutes: ['POST /register', 'GET /confirm', 'GET /unsubscribe', 'POST /unsubscribe'] }),
+  registeredEmailRouter
+);
+app.use('/v1/quotas', authenticate(), quotaRouter);
+app.use('/v1/media', authenticate(), mediaRouter);
+app.use(
+  '/v1/taxonomy',
+  authenticate({
+    publicRoutes: ['GET /get-all-categories', 'GET /get-category/:id', 'GET /get-all-tags', 'GET /get-tag-counts'],
+  }),
+  taxonomyRouter
+);
+app.use('/v1/audit', authenticate(), auditRouter);
 app.use('/v1/auth', authRouter);
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Express server running on port ${PORT}`);
-});
\ No newline at end of file
+// Anything unmatched is a 404, and every error is reported in the same shape
+app.use(notFoundHandler());
+app.use(errorHandler());
+
+// Only listen when run directly (node/nodemon), tests import `app` without starting a server
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Express server running on port ${PORT}`);
+  });
+
+  // Publish scheduled content posts once their publish_at has passed
+  startPublishScheduler(Number(process.env.PUBLISH_INTERVAL_MS) || 60 * 1000);
+
+  // Email scheduled announcements once they start
+  startAnnouncementScheduler(Number(process.env.ANNOUNCEMENT_INTERVAL_MS) || 60 * 1000);
+
+  // Send queued emails, retrying deliveries the mail server rejected
+  startDeliveryWorker(Number(process.env.DELIVERY_INTERVAL_MS) || 60 * 1000);
+
+  // Delete registered emails that were never confirmed
+  startConfirmationExpiry(Number(process.env.CONFIRMATION_EXPIRY_INTERVAL_MS) || 60 * 60 * 1000);
+
+  // Delete uploads that were never attached to a post or announcement
+  startMediaCleanup(Number(process.env.MEDIA_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000);
+
+  // Remove users, posts, announcements and registered emails that have been in the trash too long
+  startTrashPurge(Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000);
+}
\ No newline at end of file
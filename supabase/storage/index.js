@@ -0,0 +1,40 @@
+import 'dotenv/config';
+import bcrypt from 'bcrypt';
+import { createMemoryClient } from './memory/client.js';
+import { createMemoryBucket } from './memory/bucket.js';
+import { createSupabaseBucket } from './supabase-bucket.js';
+
+const STORES = ['supabase', 'memory'];
+
+/**
+ * Which store backs the API, from `DATA_STORE`:
+ * - `supabase` (default): the project configured by SUPABASE_URL / SUPABASE_API_KEY
+ * - `memory`: data lives in the process and is lost on restart, so the API runs
+ *   without network access (local development, automated tests)
+ */
+export const DATA_STORE = process.env.DATA_STORE || 'supabase';
+
+if (!STORES.includes(DATA_STORE)) {
+  throw new Error(`DATA_STORE must be one of: ${STORES.join(', ')}.`);
+}
+
+// Only load the Supabase client when it is used, it requires its credentials at import time
+export const db = DATA_STORE === 'memory' ? createMemoryClient() : (await import('#supabase-client')).supabase;
+
+// Bucket holding uploaded media, created by the media migration
+export const MEDIA_BUCKET = process.env.MEDIA_BUCKET || 'media';
+
+// Uploaded files follow the data: Supabase Storage, or kept in the process with the memory store
+export const files = DATA_STORE === 'memory' ? createMemoryBucket(MEDIA_BUCKET) : createSupabaseBucket(db, MEDIA_BUCKET);
+
+// An empty memory store has no users, so optionally create an admin to log in with
+if (DATA_STORE === 'memory' && process.env.MEMORY_ADMIN_EMAIL && process.env.MEMORY_ADMIN_PASSWORD) {
+  const { error } = await db.from('users').insert([
+    {
+      email: process.env.MEMORY_ADMIN_EMAIL,
+      password: await bcrypt.hash(process.env.MEMORY_ADMIN_PASSWORD, 10),
+      role: 'admin',
+    },
+  ]);
+  if (error) throw new Error(`Could not create the memory store admin: ${error.message}`);
+}
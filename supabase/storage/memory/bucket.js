@@ -0,0 +1,32 @@
+/**
+ * An in-memory stand-in for a storage bucket. Signed URLs use a `memory://` scheme,
+ * they identify the file but cannot be downloaded.
+ */
+export function createMemoryBucket(bucket) {
+  const objects = new Map();
+
+  return {
+    async upload(path, body, { contentType }) {
+      if (objects.has(path)) throw new Error(`The resource already exists: ${path}`);
+      objects.set(path, { body: Buffer.from(body), contentType });
+    },
+
+    async remove(paths) {
+      for (const path of paths) objects.delete(path);
+    },
+
+    async signedUrls(paths, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return new Map(paths.map((path) => [path, `memory://${bucket}/${path}?expires=${expires}`]));
+    },
+
+    // Only in memory, for tests
+    get(path) {
+      return objects.get(path) ?? null;
+    },
+
+    clear() {
+      objects.clear();
+    },
+  };
+}
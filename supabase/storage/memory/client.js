@@ -0,0 +1,452 @@
+import { TABLES, FUNCTIONS, SEED_ROWS } from './schema.js';
+
+// Errors use the same shape and codes as PostgREST, so callers cannot tell the stores apart
+const dbError = (code, message, details = null) => ({ code, message, details, hint: null });
+
+const clone = (value) => structuredClone(value);
+
+// PostgREST returns at most `max_rows` rows per request (config.toml), cutting off the rest silently
+export const MAX_ROWS = 1000;
+
+// Coerce a filter value to the type of the stored value, as Postgres does for query strings
+function coerce(stored, value) {
+  if (value === null || value === undefined) return value;
+  if (typeof stored === 'number') return Number(value);
+  if (typeof stored === 'boolean') return value === true || value === 'true';
+  return String(value);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+const likeToRegex = (pattern, flags) =>
+  new RegExp(
+    `^${pattern
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/[%*]/g, '.*')
+      .replace(/_/g, '.')}$`,
+    flags
+  );
+
+const OPERATORS = {
+  eq: (value, arg) => value !== null && value !== undefined && compare(value, coerce(value, arg)) === 0,
+  neq: (value, arg) => value !== null && value !== undefined && compare(value, coerce(value, arg)) !== 0,
+  gt: (value, arg) => value !== null && value !== undefined && compare(value, coerce(value, arg)) > 0,
+  gte: (value, arg) => value !== null && value !== undefined && compare(value, coerce(value, arg)) >= 0,
+  lt: (value, arg) => value !== null && value !== undefined && compare(value, coerce(value, arg)) < 0,
+  lte: (value, arg) => value !== null && value !== undefined && compare(value, coerce(value, arg)) <= 0,
+  like: (value, arg) => typeof value === 'string' && likeToRegex(arg).test(value),
+  ilike: (value, arg) => typeof value === 'string' && likeToRegex(arg, 'i').test(value),
+  is: (value, arg) => (arg === null || arg === 'null' ? value === null || value === undefined : value === coerce(value, arg)),
+  in: (value, arg) => arg.some((item) => OPERATORS.eq(value, item)),
+};
+
+// Split "a,b(c,d),\"e,f\"" on top-level commas
+function splitTopLevel(input) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted && char === '\\') {
+      current += char + input[++i];
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+const unquote = (value) =>
+  value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+
+// Parse a PostgREST logic tree such as `a.eq.1,and(b.gt."x",c.is.null)` into a row predicate
+function parseLogic(input, combine = 'or') {
+  const conditions = splitTopLevel(input).map((part) => {
+    const group = part.match(/^(and|or)\((.*)\)$/s);
+    if (group) return parseLogic(group[2], group[1]);
+
+    const [, column, op, raw] = part.match(/^([\w]+)\.(\w+)\.(.*)$/s);
+    const value = unquote(raw);
+    return (row) => OPERATORS[op](row[column], op === 'is' && value === 'null' ? null : value);
+  });
+  return combine === 'and'
+    ? (row) => conditions.every((condition) => condition(row))
+    : (row) => conditions.some((condition) => condition(row));
+}
+
+class MemoryQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.definition = TABLES[table] || {};
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.from = 0;
+    this.to = null;
+    this.count = null;
+    this.head = false;
+    this.mode = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.columns = columns;
+    if (this.action === 'select') {
+      this.count = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict, ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictKeys = (onConflict || this.definition.primaryKey || 'id').split(',').map((key) => key.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push((row) => OPERATORS[op](row[column], value));
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filter(column, 'eq', value);
+  }
+
+  neq(column, value) {
+    return this.filter(column, 'neq', value);
+  }
+
+  gt(column, value) {
+    return this.filter(column, 'gt', value);
+  }
+
+  gte(column, value) {
+    return this.filter(column, 'gte', value);
+  }
+
+  lt(column, value) {
+    return this.filter(column, 'lt', value);
+  }
+
+  lte(column, value) {
+    return this.filter(column, 'lte', value);
+  }
+
+  like(column, value) {
+    return this.filter(column, 'like', value);
+  }
+
+  ilike(column, value) {
+    return this.filter(column, 'ilike', value);
+  }
+
+  is(column, value) {
+    return this.filter(column, 'is', value);
+  }
+
+  in(column, values) {
+    return this.filter(column, 'in', values);
+  }
+
+  // Negate one operator, e.g. not('deleted_at', 'is', null)
+  not(column, op, value) {
+    const arg = op === 'is' && value === 'null' ? null : value;
+    this.filters.push((row) => !OPERATORS[op](row[column], arg));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(parseLogic(expression));
+    return this;
+  }
+
+  // Every word of the query must start a word of one of the searched fields
+  textSearch(column, query) {
+    const { fields = [] } = this.definition.search || {};
+    const terms = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    this.filters.push((row) => {
+      const words = fields.map((field) => String(row[field] ?? '').toLowerCase()).join(' ').match(/[\p{L}\p{N}]+/gu) || [];
+      return terms.every((term) => words.some((word) => word.startsWith(term)));
+    });
+    return this;
+  }
+
+  // Nulls come last ascending and first descending unless nullsFirst says otherwise, like Postgres
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.to = this.from + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.from = from;
+    this.to = to;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      return Promise.reject(error).then(resolve, reject);
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  rows() {
+    if (!this.store.has(this.table)) this.store.set(this.table, { rows: [], nextId: 1 });
+    return this.store.get(this.table);
+  }
+
+  matching(rows) {
+    return rows.filter((row) => this.filters.every((filter) => filter(row)));
+  }
+
+  project(row) {
+    if (this.columns.trim() === '*') return clone(row);
+    const names = this.columns.split(',').map((name) => name.trim());
+    return Object.fromEntries(names.map((name) => [name, clone(row[name] ?? null)]));
+  }
+
+  uniqueViolation(rows) {
+    for (const columns of this.definition.unique || []) {
+      const seen = new Set();
+      for (const row of rows) {
+        if (columns.some((column) => row[column] === null || row[column] === undefined)) continue;
+        const key = JSON.stringify(columns.map((column) => row[column]));
+        if (seen.has(key)) {
+          return dbError('23505', `duplicate key value violates unique constraint "${this.table}_${columns.join('_')}_key"`);
+        }
+        seen.add(key);
+      }
+    }
+    return null;
+  }
+
+  // Fails writes that raise the number of counted rows above the limit
+  quotaViolation(rows, previousRows) {
+    const { quota } = this.definition;
+    if (!quota) return null;
+    const limit = this.store.get('quota_limits')?.rows.find((row) => row.resource === this.table);
+    const counted = (list) =>
+      list.filter((row) => Object.entries(quota.where || {}).every(([column, value]) => row[column] === value)).length;
+    const count = counted(rows);
+    if (!limit || count <= limit.max_count || count <= counted(previousRows)) return null;
+    return dbError('QUOTA', `Quota exceeded for ${this.table}: ${count} of ${limit.max_count} allowed.`);
+  }
+
+  // Apply a write to a copy of the table, committing only if no constraint fails
+  commit(table, nextRows) {
+    const error = this.uniqueViolation(nextRows) || this.quotaViolation(nextRows, table.rows);
+    if (error) return error;
+    table.rows = nextRows;
+    return null;
+  }
+
+  newRow(values, table) {
+    const primaryKey = this.definition.primaryKey || 'id';
+    const row = { ...this.definition.defaults, created_at: new Date().toISOString(), ...clone(values) };
+    if (primaryKey === 'id' && row.id === undefined) row.id = table.nextId++;
+    if (typeof row.id === 'number' && row.id >= table.nextId) table.nextId = row.id + 1;
+    return primaryKey === 'id' ? { id: row.id, ...row } : row;
+  }
+
+  execute() {
+    const table = this.rows();
+    let data = [];
+    let count = null;
+
+    if (this.action === 'select') {
+      data = this.matching(table.rows);
+      count = data.length;
+
+      for (const { column, ascending, nullsFirst } of [...this.orders].reverse()) {
+        const isNull = (row) => row[column] === null || row[column] === undefined;
+        data = [...data].sort((a, b) => {
+          if (isNull(a) || isNull(b)) return (isNull(a) - isNull(b)) * (nullsFirst ? -1 : 1);
+          return (ascending ? 1 : -1) * compare(a[column], b[column]);
+        });
+      }
+
+      if (this.from > 0 && this.from >= data.length) {
+        return { data: null, count: null, error: dbError('PGRST103', 'Requested range not satisfiable') };
+      }
+      data = data.slice(this.from, this.to === null ? undefined : this.to + 1).slice(0, MAX_ROWS);
+    }
+
+    if (this.action === 'insert') {
+      const created = this.payload.map((values) => this.newRow(values, table));
+      const error = this.commit(table, [...table.rows, ...created]);
+      if (error) return { data: null, count: null, error };
+      data = created;
+    }
+
+    if (this.action === 'upsert') {
+      const keys = this.conflictKeys;
+      const nextRows = [...table.rows];
+      data = [];
+      for (const values of this.payload) {
+        const index = nextRows.findIndex((row) =>
+          keys.every((key) => values[key] !== undefined && OPERATORS.eq(row[key], values[key]))
+        );
+        if (index === -1) {
+          const row = this.newRow(values, table);
+          nextRows.push(row);
+          data.push(row);
+        } else if (!this.ignoreDuplicates) {
+          nextRows[index] = { ...nextRows[index], ...clone(values) };
+          data.push(nextRows[index]);
+        }
+      }
+      const error = this.commit(table, nextRows);
+      if (error) return { data: null, count: null, error };
+    }
+
+    if (this.action === 'update') {
+      const targets = new Set(this.matching(table.rows));
+      if (targets.size > 0 && this.definition.immutable) {
+        return { data: null, count: null, error: dbError('P0001', `${this.table} are immutable`) };
+      }
+      if (targets.size > 0 && this.definition.appendOnly) {
+        return { data: null, count: null, error: dbError('P0001', `${this.table} is append-only`) };
+      }
+      const nextRows = table.rows.map((row) => (targets.has(row) ? { ...row, ...clone(this.payload) } : row));
+      const updated = nextRows.filter((row, index) => targets.has(table.rows[index]));
+      const error = this.commit(table, nextRows);
+      if (error) return { data: null, count: null, error };
+      data = updated;
+    }
+
+    if (this.action === 'delete') {
+      const targets = new Set(this.matching(table.rows));
+      if (targets.size > 0 && this.definition.appendOnly) {
+        return { data: null, count: null, error: dbError('P0001', `${this.table} is append-only`) };
+      }
+      table.rows = table.rows.filter((row) => !targets.has(row));
+      data = [...targets];
+    }
+
+    if (this.action !== 'select' && !this.returning) {
+      return { data: null, count: null, error: null };
+    }
+
+    data = data.map((row) => this.project(row));
+
+    if (this.head) return { data: null, count, error: null };
+
+    if (this.mode) {
+      if (data.length > 1 || (this.mode === 'single' && data.length === 0)) {
+        return {
+          data: null,
+          count: null,
+          error: dbError('PGRST116', 'JSON object requested, multiple (or no) rows returned', `The result contains ${data.length} rows`),
+        };
+      }
+      return { data: data[0] ?? null, count, error: null };
+    }
+
+    return { data, count, error: null };
+  }
+}
+
+/**
+ * An in-memory stand-in for the Supabase client, implementing the part of the
+ * PostgREST query builder this API uses: `db.from(table).select/insert/update/upsert/delete`
+ * with filters, ordering, ranges, counts and `single()`, and `db.rpc()` for the set-returning
+ * functions in schema.js.
+ *
+ * Like PostgREST, a select returns at most MAX_ROWS rows, so code that reads more than a
+ * page without paging fails here too.
+ *
+ * Known differences from Postgres:
+ * - textSearch() matches word prefixes. Postgres websearch stems words ("running" finds
+ *   "runs") and understands `or`, `-word` and quoted phrases, which are ignored here.
+ * - Only the constraints and triggers in schema.js exist: no foreign keys, check
+ *   constraints or row level security.
+ * - Writes are atomic per statement but nothing is concurrent, so races do not show up.
+ * tests/store.test.js runs against both stores (`npm run test:store` for Supabase) to keep
+ * the behaviour the routes rely on the same.
+ */
+export function createMemoryClient() {
+  const store = new Map();
+
+  const client = {
+    from: (table) => new MemoryQuery(store, table),
+
+    // Calls a function of schema.js, whose rows can be filtered, ordered and paged like a table's
+    rpc(name, args = {}, { count = null, head = false } = {}) {
+      const { table, where } = FUNCTIONS[name];
+      const query = new MemoryQuery(store, table).select('*', { count, head });
+      query.filters.push(where(store, args));
+      return query;
+    },
+
+    /**
+     * Drop every row and restore the seed data.
+     */
+    reset() {
+      store.clear();
+      for (const [table, rows] of Object.entries(SEED_ROWS)) {
+        store.set(table, { rows: [], nextId: 1 });
+        new MemoryQuery(store, table).insert(rows).execute();
+      }
+    },
+  };
+
+  client.reset();
+  return client;
+}
@@ -0,0 +1,159 @@
+// Table definitions for the in-memory store. They mirror what the SQL migrations
+// create: column defaults, unique constraints, generated search columns and the
+// enforce_quota() trigger. Keep them in sync when adding a migration.
+
+export const TABLES = {
+  users: {
+    defaults: { role: 'viewer', password_changed_at: null, deleted_at: null },
+    unique: [['email']],
+    quota: { where: { deleted_at: null } },
+  },
+  refresh_tokens: {
+    defaults: { revoked_at: null, replaced_by: null },
+    unique: [['token_hash']],
+  },
+  password_reset_tokens: {
+    defaults: { used_at: null },
+    unique: [['token_hash']],
+  },
+  content_posts: {
+    defaults: {
+      description: null,
+      format: 'plain',
+      status: 'draft',
+      publish_at: null,
+      published_at: null,
+      archived_at: null,
+      author_id: null,
+      updated_at: null,
+      deleted_at: null,
+    },
+    unique: [['slug']],
+    search: { column: 'search', fields: ['title', 'description', 'content'] },
+    quota: { where: { deleted_at: null } },
+  },
+  content_post_slugs: {
+    unique: [['slug']],
+  },
+  content_post_transitions: {
+    defaults: { actor_id: null },
+  },
+  revisions: {
+    defaults: { actor_id: null, restored_from: null },
+    unique: [['resource_type', 'resource_id', 'version']],
+    immutable: true,
+  },
+  quota_limits: {
+    primaryKey: 'resource',
+  },
+  announcements: {
+    defaults: {
+      content_post_id: null,
+      updated_at: null,
+      ends_at: null,
+      pinned: false,
+      priority: 0,
+      deleted_at: null,
+    },
+    search: { column: 'search', fields: ['title', 'content'] },
+    quota: { where: { deleted_at: null } },
+  },
+  registered_emails: {
+    defaults: {
+      status: 'pending',
+      confirmation_sent_at: null,
+      confirmed_at: null,
+      unsubscribed_at: null,
+      deleted_at: null,
+    },
+    unique: [['email']],
+    // Only confirmed addresses count toward the limit
+    quota: { where: { status: 'confirmed', deleted_at: null } },
+  },
+  media: {
+    defaults: { thumbnail_path: null, width: null, height: null, uploaded_by: null },
+    unique: [['path']],
+  },
+  attachments: {
+    defaults: { position: 0 },
+    unique: [['resource_type', 'resource_id', 'role', 'media_id']],
+  },
+  categories: {
+    defaults: { description: null, parent_id: null, updated_at: null },
+    unique: [['slug']],
+  },
+  tags: {
+    unique: [['slug']],
+  },
+  category_assignments: {
+    unique: [['resource_type', 'resource_id', 'category_id']],
+  },
+  tag_assignments: {
+    unique: [['resource_type', 'resource_id', 'tag_id']],
+  },
+  audit_log: {
+    defaults: {
+      actor_id: null,
+      actor_email: null,
+      actor_role: null,
+      resource_id: null,
+      before: null,
+      after: null,
+      changed_fields: [],
+      ip: null,
+      request_id: null,
+    },
+    appendOnly: true,
+  },
+  email_distributions: {
+    defaults: { queued_at: null },
+    unique: [['source_type', 'source_id']],
+  },
+  email_deliveries: {
+    unique: [['distribution_id', 'registered_email_id']],
+    defaults: {
+      registered_email_id: null,
+      status: 'queued',
+      attempts: 0,
+      last_error: null,
+      message_id: null,
+      sent_at: null,
+      updated_at: null,
+    },
+  },
+};
+
+// Resources with one of `ids` in an assignment table, as a Set of resource ids
+const assignedTo = (store, table, column, resourceType, ids) =>
+  new Set(
+    (store.get(table)?.rows ?? [])
+      .filter((row) => row.resource_type === resourceType && ids.includes(row[column]))
+      .map((row) => row.resource_id)
+  );
+
+const byTaxonomy = (table, resourceType) => ({
+  table,
+  where: (store, { category_ids: categoryIds = null, tag_ids: tagIds = null }) => {
+    const matches = [];
+    if (categoryIds) matches.push(assignedTo(store, 'category_assignments', 'category_id', resourceType, categoryIds));
+    if (tagIds) matches.push(assignedTo(store, 'tag_assignments', 'tag_id', resourceType, tagIds));
+    return (row) => matches.every((ids) => ids.has(row.id));
+  },
+});
+
+// Set-returning functions from the migrations: the table they return rows of, and
+// `where(store, args)` building the row predicate they apply
+export const FUNCTIONS = {
+  content_posts_by_taxonomy: byTaxonomy('content_posts', 'content_post'),
+  announcements_by_taxonomy: byTaxonomy('announcements', 'announcement'),
+};
+
+// Rows every fresh store starts with
+export const SEED_ROWS = {
+  quota_limits: [
+    { resource: 'users', max_count: 10 },
+    { resource: 'content_posts', max_count: 5 },
+    { resource: 'announcements', max_count: 5 },
+    { resource: 'registered_emails', max_count: 60 },
+  ],
+};
@@ -0,0 +1,26 @@
+/**
+ * Files in a Supabase Storage bucket, through the client's storage API.
+ */
+export function createSupabaseBucket(client, bucket) {
+  const storage = () => client.storage.from(bucket);
+
+  return {
+    async upload(path, body, { contentType }) {
+      const { error } = await storage().upload(path, body, { contentType, upsert: false });
+      if (error) throw error;
+    },
+
+    async remove(paths) {
+      if (paths.length === 0) return;
+      const { error } = await storage().remove(paths);
+      if (error) throw error;
+    },
+
+    async signedUrls(paths, expiresIn) {
+      if (paths.length === 0) return new Map();
+      const { data, error } = await storage().createSignedUrls(paths, expiresIn);
+      if (error) throw error;
+      return new Map(data.map((item) => [item.path, item.signedUrl]));
+    },
+  };
+}
@@ -2,6 +2,15 @@ import swaggerJsdoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { listParameters } from '#lib/list-query.js';
+import * as sharedSchemas from '#lib/schemas.js';
+import * as userSchemas from './functions/user-service/schemas.js';
+import * as contentSchemas from './functions/content-service/schemas.js';
+import * as announcementSchemas from './functions/announcement-service/schemas.js';
+import * as registeredEmailSchemas from './functions/regisetered-email-service/schemas.js';
+import * as authSchemas from './functions/login-service/schemas.js';
+import * as quotaSchemas from './functions/quota-service/schemas.js';
+import * as taxonomySchemas from './functions/taxonomy-service/schemas.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -26,6 +35,169 @@ const options = {
         description: isProd ? 'Production server' : 'Local development server',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description:
+            'Access token returned by /v1/auth/login or /v1/auth/refresh. ' +
+            'The user role carried by the token decides what is allowed: admin (everything), ' +
+            'editor (manage content, announcements, media and taxonomy) or viewer (read-only).',
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', example: 'NOT_FOUND' },
+                message: { type: 'string' },
+                details: { nullable: true, description: 'Extra information, depends on the code' },
+                requestId: { type: 'string', description: 'Also sent as the X-Request-Id header' },
+              },
+            },
+          },
+        },
+        Page: {
+          type: 'object',
+          properties: {
+            items: { type: 'array', items: { type: 'object' } },
+            total: { type: 'integer', description: 'Number of items matching the filters' },
+            nextCursor: { type: 'string', nullable: true, description: 'Pass as cursor to get the next page' },
+          },
+        },
+        Media: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            original_name: { type: 'string' },
+            mime_type: { type: 'string', example: 'image/png' },
+            size_bytes: { type: 'integer' },
+            width: { type: 'integer', nullable: true },
+            height: { type: 'integer', nullable: true },
+            url: { type: 'string', description: 'Signed URL, valid for an hour' },
+            thumbnail_url: { type: 'string', nullable: true, description: 'Signed URL of a 320px WebP thumbnail, images only' },
+          },
+        },
+        Attachments: {
+          type: 'object',
+          properties: {
+            cover: { nullable: true, allOf: [{ $ref: '#/components/schemas/Media' }] },
+            gallery: { type: 'array', items: { $ref: '#/components/schemas/Media' } },
+            downloads: { type: 'array', items: { $ref: '#/components/schemas/Media' } },
+          },
+        },
+        RenderedContent: {
+          type: 'object',
+          properties: {
+            format: { type: 'string', enum: ['plain', 'markdown'] },
+            html: { type: 'string', description: 'Sanitized HTML, safe to insert into a page as-is' },
+            excerpt: { type: 'string', description: 'The description, or the start of the text when there is none' },
+            word_count: { type: 'integer' },
+            reading_time_minutes: { type: 'integer', description: 'At 200 words per minute, at least 1' },
+            toc: {
+              type: 'array',
+              description: 'Headings in document order, id is the anchor in html',
+              items: {
+                type: 'object',
+                properties: {
+                  level: { type: 'integer', minimum: 1, maximum: 6 },
+                  text: { type: 'string' },
+                  id: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        // Request bodies, the same objects validateBody() checks requests against
+        ...sharedSchemas,
+        ...userSchemas,
+        ...contentSchemas,
+        ...announcementSchemas,
+        ...registeredEmailSchemas,
+        ...authSchemas,
+        ...quotaSchemas,
+        ...taxonomySchemas,
+      },
+      parameters: listParameters,
+      responses: {
+        Unauthorized: {
+          description: 'Missing, invalid or expired access token',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+        ValidationError: {
+          description: 'The request body does not match the documented schema, details lists { field, message } per problem',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+        Forbidden: {
+          description: 'The role of the caller does not grant the required permission, details has { required, role }',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+        Trashed: {
+          description:
+            'Moved to the trash, where it is kept for TRASH_RETENTION_DAYS (30 by default) and can be restored. ' +
+            'not_found lists requested ids with no live row, because they never existed or are already in the trash.',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  deleted: { type: 'array', items: { type: 'integer' } },
+                  not_found: { type: 'array', items: { type: 'integer' } },
+                },
+              },
+              example: { deleted: [1, 2], not_found: [3] },
+            },
+          },
+        },
+        Restored: {
+          description: 'Taken out of the trash. not_found lists requested ids that are not in the trash.',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  restored: { type: 'array', items: { type: 'integer' } },
+                  not_found: { type: 'array', items: { type: 'integer' } },
+                },
+              },
+              example: { restored: [1, 2], not_found: [3] },
+            },
+          },
+        },
+        TooManyRequests: {
+          description: 'Rate limit reached or account locked, retry after the number of seconds in Retry-After and details.retryAfter',
+          headers: {
+            'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait before retrying' },
+            'RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed per window' },
+            'RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left in the current window' },
+            'RateLimit-Reset': { schema: { type: 'integer' }, description: 'Seconds until the window starts over' },
+          },
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+      },
+    },
+    security: [{ bearerAuth: [] }],
   },
   apis: [join(__dirname, 'functions/**/*.js')],
 };
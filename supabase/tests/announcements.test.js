@@ -0,0 +1,259 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, resetStore, loginAs, setQuota } from './helpers.js';
+
+describe('announcement-service', () => {
+  let editor;
+
+  const createAnnouncement = async (fields = {}) => {
+    const res = await api()
+      .post('/v1/announcements/create-announcement')
+      .set(...editor.auth)
+      .send({ title: 'Maintenance', content: 'Down on Sunday', ...fields });
+    assert.equal(res.status, 201);
+    return res.body[0];
+  };
+
+  beforeEach(async () => {
+    resetStore();
+    editor = await loginAs('editor');
+  });
+
+  describe('public reads', () => {
+    it('computes boolean active and expired flags on every read', async () => {
+      const current = await createAnnouncement({ title: 'Current' });
+      const upcoming = await createAnnouncement({ title: 'Upcoming', starts_at: '2999-01-01T00:00:00Z' });
+      const ended = await createAnnouncement({
+        title: 'Ended',
+        starts_at: '2000-01-01T00:00:00Z',
+        ends_at: '2000-01-02T00:00:00Z',
+      });
+
+      const res = await api().get('/v1/announcements/get-all-announcements?sort=title&order=asc').set(...editor.auth);
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.items.map((item) => [item.title, item.active, item.expired]),
+        [['Current', true, false], ['Ended', false, true], ['Upcoming', false, false]]
+      );
+
+      const one = await api().get(`/v1/announcements/get-announcement/${ended.id}`);
+      assert.deepEqual([one.body.active, one.body.expired], [false, true]);
+      assert.deepEqual([current.active, upcoming.active], [true, false]);
+    });
+
+    it('hides announcements that have not started from callers who cannot edit them', async () => {
+      await createAnnouncement({ title: 'Current' });
+      const upcoming = await createAnnouncement({ title: 'Upcoming', starts_at: '2999-01-01T00:00:00Z' });
+      const viewer = await loginAs('viewer');
+
+      const titles = async (user) => {
+        const req = api().get('/v1/announcements/get-all-announcements');
+        const res = await (user ? req.set(...user.auth) : req).expect(200);
+        return res.body.items.map((item) => item.title);
+      };
+
+      assert.deepEqual(await titles(), ['Current']);
+      assert.deepEqual(await titles(viewer), ['Current']);
+      assert.deepEqual(await titles(editor), ['Upcoming', 'Current']);
+      await api().get(`/v1/announcements/get-announcement/${upcoming.id}`).expect(404);
+      await api().get(`/v1/announcements/get-announcement/${upcoming.id}`).set(...editor.auth).expect(200);
+    });
+
+    it('defaults to ending 15 days after the start, or never with an explicit null', async () => {
+      const defaulted = await createAnnouncement({ starts_at: '2030-01-01T00:00:00Z' });
+      assert.equal(defaulted.ends_at, '2030-01-16T00:00:00.000Z');
+
+      const forever = await createAnnouncement({ ends_at: null });
+      assert.equal(forever.ends_at, null);
+      assert.equal(forever.active, true);
+    });
+
+    it('rejects an end before the start', async () => {
+      const res = await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'Backwards', content: 'x', starts_at: '2030-01-02T00:00:00Z', ends_at: '2030-01-01T00:00:00Z' });
+      assert.equal(res.status, 422);
+      assert.equal(res.body.error.details[0].field, 'ends_at');
+
+      const announcement = await createAnnouncement({ starts_at: '2030-01-01T00:00:00Z' });
+      const update = await api()
+        .put('/v1/announcements/update-announcement')
+        .set(...editor.auth)
+        .send({ id: announcement.id, ends_at: '2029-12-31T00:00:00Z' });
+      assert.equal(update.status, 422);
+    });
+
+    it('filters by active and expired', async () => {
+      await createAnnouncement({ title: 'Current' });
+      await createAnnouncement({ title: 'Upcoming', starts_at: '2999-01-01T00:00:00Z' });
+      await createAnnouncement({ title: 'Ended', starts_at: '2000-01-01T00:00:00Z', ends_at: '2000-01-02T00:00:00Z' });
+
+      const titles = async (query) =>
+        (
+          await api().get(`/v1/announcements/get-all-announcements?sort=title&order=asc&${query}`).set(...editor.auth)
+        ).body.items.map((item) => item.title);
+
+      assert.deepEqual(await titles('active=true'), ['Current']);
+      assert.deepEqual(await titles('active=false'), ['Ended', 'Upcoming']);
+      assert.deepEqual(await titles('expired=true'), ['Ended']);
+      assert.deepEqual(await titles('expired=false'), ['Current', 'Upcoming']);
+
+      const invalid = await api().get('/v1/announcements/get-all-announcements?active=yes');
+      assert.equal(invalid.status, 400);
+    });
+
+    it('lists pinned announcements first, then by priority, across cursor pages', async () => {
+      await createAnnouncement({ title: 'Old news' });
+      await createAnnouncement({ title: 'Urgent', priority: 90 });
+      await createAnnouncement({ title: 'Pinned', pinned: true });
+      await createAnnouncement({ title: 'Latest' });
+
+      const first = await api().get('/v1/announcements/get-all-announcements?limit=2');
+      const second = await api().get(`/v1/announcements/get-all-announcements?limit=2&cursor=${first.body.nextCursor}`);
+
+      assert.deepEqual(
+        [...first.body.items, ...second.body.items].map((item) => item.title),
+        ['Pinned', 'Urgent', 'Latest', 'Old news']
+      );
+      assert.equal(second.body.nextCursor, null);
+    });
+
+    it('pages through a sort column that has nulls, which come last', async () => {
+      await createAnnouncement({ title: 'Open', ends_at: null });
+      await createAnnouncement({ title: 'Later', ends_at: '2999-02-01T00:00:00Z' });
+      await createAnnouncement({ title: 'Also open', ends_at: null });
+      await createAnnouncement({ title: 'Sooner', ends_at: '2999-01-01T00:00:00Z' });
+
+      const walk = async (order) => {
+        const titles = [];
+        let cursor = '';
+        do {
+          const res = await api()
+            .get(`/v1/announcements/get-all-announcements?sort=ends_at&order=${order}&limit=1${cursor}`)
+            .expect(200);
+          titles.push(...res.body.items.map((item) => item.title));
+          cursor = res.body.nextCursor ? `&cursor=${res.body.nextCursor}` : '';
+        } while (cursor);
+        return titles;
+      };
+
+      assert.deepEqual(await walk('asc'), ['Sooner', 'Later', 'Open', 'Also open']);
+      assert.deepEqual(await walk('desc'), ['Later', 'Sooner', 'Also open', 'Open']);
+    });
+
+    it('searches announcements', async () => {
+      await createAnnouncement({ title: 'Maintenance window' });
+      await createAnnouncement({ title: 'New feature', content: 'Dark mode' });
+
+      const res = await api().get('/v1/announcements/get-all-announcements?q=dark');
+      assert.deepEqual(res.body.items.map((item) => item.title), ['New feature']);
+    });
+
+    it('gets one announcement or 404', async () => {
+      const announcement = await createAnnouncement();
+
+      const found = await api().get(`/v1/announcements/get-announcement/${announcement.id}`);
+      assert.equal(found.status, 200);
+      assert.equal(found.body.title, 'Maintenance');
+
+      const missing = await api().get('/v1/announcements/get-announcement/999');
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  describe('writes', () => {
+    it('validates the body', async () => {
+      const res = await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'x'.repeat(201), content: 'Body', extra: true });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.error.details.map((detail) => detail.field).sort(), ['extra', 'title']);
+    });
+
+    it('records the caller as the creator', async () => {
+      const announcement = await createAnnouncement();
+      assert.equal(announcement.creator_id, editor.userData.id);
+
+      const res = await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'Hello', content: 'World', creator_id: 999, creator_name: 'Someone else' });
+      assert.equal(res.status, 422);
+    });
+
+    it('is forbidden for viewers', async () => {
+      const viewer = await loginAs('viewer');
+      const res = await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...viewer.auth)
+        .send({ title: 'Hello', content: 'World' });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('enforces the announcements quota', async () => {
+      await setQuota('announcements', 0);
+      const res = await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'Hello', content: 'World' });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'QUOTA_EXCEEDED');
+    });
+
+    it('updates an announcement', async () => {
+      const announcement = await createAnnouncement();
+      const res = await api()
+        .put('/v1/announcements/update-announcement')
+        .set(...editor.auth)
+        .send({ id: announcement.id, title: 'Rescheduled' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body[0].title, 'Rescheduled');
+
+      const missing = await api()
+        .put('/v1/announcements/update-announcement')
+        .set(...editor.auth)
+        .send({ id: 999, title: 'Rescheduled' });
+      assert.equal(missing.status, 404);
+    });
+
+    it('deletes announcements', async () => {
+      const a = await createAnnouncement();
+      const b = await createAnnouncement();
+      const c = await createAnnouncement();
+
+      await api().delete(`/v1/announcements/delete-announcement/${a.id}`).set(...editor.auth).expect(200);
+      await api().delete('/v1/announcements/delete-announcements/').set(...editor.auth).send({ ids: [b.id, c.id] }).expect(200);
+
+      const list = await api().get('/v1/announcements/get-all-announcements');
+      assert.equal(list.body.total, 0);
+    });
+  });
+
+  describe('revisions', () => {
+    it('records, diffs and restores revisions', async () => {
+      const announcement = await createAnnouncement({ title: 'Original' });
+      await api()
+        .put('/v1/announcements/update-announcement')
+        .set(...editor.auth)
+        .send({ id: announcement.id, title: 'Changed' });
+
+      const list = await api().get(`/v1/announcements/get-revisions/${announcement.id}`).set(...editor.auth);
+      assert.deepEqual(list.body.map((revision) => revision.version), [1, 2]);
+
+      const diff = await api().get(`/v1/announcements/diff-revisions/${announcement.id}?from=1&to=2`).set(...editor.auth);
+      assert.deepEqual(diff.body.changes, [{ field: 'title', from: 'Original', to: 'Changed' }]);
+
+      const restored = await api().post(`/v1/announcements/restore-revision/${announcement.id}/1`).set(...editor.auth);
+      assert.equal(restored.body.title, 'Original');
+
+      const missing = await api().get(`/v1/announcements/get-revision/${announcement.id}/9`).set(...editor.auth);
+      assert.equal(missing.status, 404);
+    });
+  });
+});
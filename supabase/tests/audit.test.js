@@ -0,0 +1,105 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+import { REDACTED } from '#lib/audit.js';
+import { api, resetStore, createUser, loginAs } from './helpers.js';
+
+describe('audit-service', () => {
+  let admin;
+
+  const auditLog = async (query = '') => {
+    const res = await api().get(`/v1/audit/get-audit-log?${query}`).set(...admin.auth);
+    assert.equal(res.status, 200);
+    return res.body.items;
+  };
+
+  beforeEach(async () => {
+    resetStore();
+    admin = await loginAs('admin');
+  });
+
+  it('records who deleted which posts with what they looked like', async () => {
+    const created = await api()
+      .post('/v1/content/create-post')
+      .set(...admin.auth)
+      .send({ title: 'Old news', content: 'Body', tags: ['news'] })
+      .expect(201);
+    const post = created.body[0];
+
+    await api().delete(`/v1/content/delete-post/${post.id}`).set(...admin.auth).expect(200);
+
+    const [deletion, creation] = await auditLog('resource_type=content_post');
+    assert.equal(creation.action, 'content_post.create');
+    assert.equal(deletion.action, 'content_post.delete');
+    assert.equal(deletion.actor_id, admin.userData.id);
+    assert.equal(deletion.actor_email, 'admin@example.com');
+    assert.equal(deletion.resource_id, String(post.id));
+    assert.equal(deletion.before.title, 'Old news');
+    assert.deepEqual(deletion.before.tags.map((tag) => tag.slug), ['news']);
+    assert.ok(deletion.after.deleted_at);
+    assert.deepEqual(deletion.changed_fields, ['deleted_at']);
+    assert.ok(deletion.ip);
+    assert.ok(deletion.request_id);
+  });
+
+  it('redacts secrets but still lists them as changed', async () => {
+    const user = await createUser({ email: 'someone@example.com' });
+
+    await api()
+      .put('/v1/users/update-user')
+      .set(...admin.auth)
+      .send({ id: user.id, password: 'another-secret', first_name: 'Sam' })
+      .expect(200);
+
+    const [entry] = await auditLog('action=user.update');
+    assert.deepEqual(entry.changed_fields.sort(), ['first_name', 'password', 'password_changed_at']);
+    assert.equal(entry.before.password, REDACTED);
+    assert.equal(entry.after.password, REDACTED);
+    assert.equal(entry.after.first_name, 'Sam');
+    assert.doesNotMatch(JSON.stringify(entry), /\$2[aby]\$/);
+  });
+
+  it('filters by actor, resource and date', async () => {
+    const editor = await loginAs('editor');
+    await api().post('/v1/taxonomy/create-tag').set(...editor.auth).send({ name: 'ops' }).expect(201);
+    const category = await api().post('/v1/taxonomy/create-category').set(...admin.auth).send({ name: 'News' }).expect(201);
+
+    assert.deepEqual((await auditLog(`actor=${editor.userData.id}&resource_type=tag`)).map((entry) => entry.action), ['tag.create']);
+    assert.deepEqual(
+      (await auditLog(`resource_type=category&resource_id=${category.body.id}`)).map((entry) => entry.actor_id),
+      [admin.userData.id]
+    );
+
+    const tomorrow = new Date(Date.now() + 86400000).toISOString();
+    assert.equal((await auditLog(`created_from=${tomorrow}`)).length, 0);
+    assert.ok((await auditLog(`created_to=${tomorrow}`)).length > 0);
+  });
+
+  it('records logins with the user as the actor', async () => {
+    const [entry] = await auditLog('action=user.login');
+    assert.equal(entry.actor_id, admin.userData.id);
+    assert.equal(entry.resource_id, String(admin.userData.id));
+
+    const one = await api().get(`/v1/audit/get-audit-entry/${entry.id}`).set(...admin.auth).expect(200);
+    assert.equal(one.body.action, 'user.login');
+    await api().get('/v1/audit/get-audit-entry/999').set(...admin.auth).expect(404);
+  });
+
+  it('is only readable by admins', async () => {
+    const editor = await loginAs('editor');
+    const res = await api().get('/v1/audit/get-audit-log').set(...editor.auth);
+    assert.equal(res.status, 403);
+  });
+
+  it('never changes or removes entries', async () => {
+    const [entry] = await auditLog();
+
+    const update = await db.from('audit_log').update({ action: 'tampered' }).eq('id', entry.id);
+    assert.ok(update.error);
+    const removal = await db.from('audit_log').delete().eq('id', entry.id);
+    assert.ok(removal.error);
+
+    const [unchanged] = await auditLog();
+    assert.deepEqual(unchanged, entry);
+  });
+});
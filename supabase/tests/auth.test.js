@@ -0,0 +1,226 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mailer } from '#mail';
+import { rotateRefreshToken } from '#lib/tokens.js';
+import { api, resetStore, createUser, waitForMail, PASSWORD } from './helpers.js';
+
+const NEW_PASSWORD = 'Violet-Harbor-42';
+
+describe('login-service', () => {
+  const login = (password = PASSWORD) => api().post('/v1/auth/login').send({ email: 'jane@example.com', password });
+
+  beforeEach(async () => {
+    resetStore();
+    mailer.clear();
+    await createUser({ email: 'jane@example.com', role: 'editor', first_name: 'Jane' });
+  });
+
+  describe('POST /v1/auth/login', () => {
+    it('returns tokens and the user profile', async () => {
+      const res = await api().post('/v1/auth/login').send({ email: 'jane@example.com', password: PASSWORD });
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.accessToken);
+      assert.ok(res.body.refreshToken);
+      assert.equal(res.body.userData.email, 'jane@example.com');
+      assert.equal(res.body.userData.role, 'editor');
+      assert.equal(res.body.userData.password, undefined);
+    });
+
+    it('rejects a wrong password', async () => {
+      const res = await api().post('/v1/auth/login').send({ email: 'jane@example.com', password: 'wrong-password' });
+
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error.code, 'UNAUTHORIZED');
+    });
+
+    it('rejects an unknown email', async () => {
+      const res = await api().post('/v1/auth/login').send({ email: 'nobody@example.com', password: PASSWORD });
+      assert.equal(res.status, 401);
+    });
+
+    it('validates the body', async () => {
+      const res = await api().post('/v1/auth/login').send({ email: 'not-an-email' });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(
+        res.body.error.details.map((detail) => detail.field).sort(),
+        ['email', 'password']
+      );
+    });
+
+    it('rejects malformed JSON', async () => {
+      const res = await api().post('/v1/auth/login').set('Content-Type', 'application/json').send('{bad');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('POST /v1/auth/refresh', () => {
+    it('rotates the refresh token', async () => {
+      const login = await api().post('/v1/auth/login').send({ email: 'jane@example.com', password: PASSWORD });
+
+      const res = await api().post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.accessToken);
+      assert.notEqual(res.body.refreshToken, login.body.refreshToken);
+
+      const reused = await api().post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+      assert.equal(reused.status, 401);
+    });
+
+    it('revokes the whole session when a rotated token is reused', async () => {
+      const login = await api().post('/v1/auth/login').send({ email: 'jane@example.com', password: PASSWORD });
+      const rotated = await api().post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+
+      await api().post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+
+      const res = await api().post('/v1/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+      assert.equal(res.status, 401);
+    });
+
+    it('rotates a token only once when it is used twice at the same time', async () => {
+      const login = await api().post('/v1/auth/login').send({ email: 'jane@example.com', password: PASSWORD });
+
+      const results = await Promise.all([1, 2].map(() => rotateRefreshToken(login.body.refreshToken)));
+      assert.equal(results.filter(Boolean).length, 1);
+    });
+
+    it('rejects an unknown token', async () => {
+      const res = await api().post('/v1/auth/refresh').send({ refreshToken: 'nope' });
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe('POST /v1/auth/logout', () => {
+    it('revokes the refresh token', async () => {
+      const login = await api().post('/v1/auth/login').send({ email: 'jane@example.com', password: PASSWORD });
+
+      const res = await api().post('/v1/auth/logout').send({ refreshToken: login.body.refreshToken });
+      assert.equal(res.status, 200);
+
+      const refresh = await api().post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+      assert.equal(refresh.status, 401);
+    });
+
+    it('requires a refresh token', async () => {
+      const res = await api().post('/v1/auth/logout').send({});
+      assert.equal(res.status, 422);
+    });
+  });
+
+  describe('POST /v1/auth/forgot-password and /v1/auth/reset-password', () => {
+    const requestReset = async () => {
+      const sent = mailer.outbox.length;
+      await api().post('/v1/auth/forgot-password').send({ email: 'jane@example.com' }).expect(202);
+      const message = await waitForMail(sent + 1);
+      assert.equal(message.to, 'jane@example.com');
+      return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    };
+
+    it('resets the password once with the emailed token and signs out every session', async () => {
+      const session = await login();
+      const token = await requestReset();
+
+      await api().post('/v1/auth/reset-password').send({ token, password: NEW_PASSWORD }).expect(200);
+
+      assert.equal((await login()).status, 401);
+      assert.equal((await login(NEW_PASSWORD)).status, 200);
+      const refresh = await api().post('/v1/auth/refresh').send({ refreshToken: session.body.refreshToken });
+      assert.equal(refresh.status, 401);
+      await api().get('/v1/quotas').set('Authorization', `Bearer ${session.body.accessToken}`).expect(401);
+
+      const again = await api().post('/v1/auth/reset-password').send({ token, password: 'Another-Harbor-43' });
+      assert.equal(again.status, 400);
+    });
+
+    it('answers the same for unknown emails without sending anything', async () => {
+      const res = await api().post('/v1/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+      assert.equal(res.status, 202);
+      assert.equal(mailer.outbox.length, 0);
+    });
+
+    it('only accepts the newest link', async () => {
+      const first = await requestReset();
+      const second = await requestReset();
+
+      assert.equal((await api().post('/v1/auth/reset-password').send({ token: first, password: NEW_PASSWORD })).status, 400);
+      await api().post('/v1/auth/reset-password').send({ token: second, password: NEW_PASSWORD }).expect(200);
+    });
+
+    it('keeps the token usable when the new password is rejected', async () => {
+      const token = await requestReset();
+
+      const weak = await api().post('/v1/auth/reset-password').send({ token, password: 'Password2024!' });
+      assert.equal(weak.status, 422);
+      assert.match(weak.body.error.details[0].message, /too common/);
+
+      await api().post('/v1/auth/reset-password').send({ token, password: NEW_PASSWORD }).expect(200);
+    });
+  });
+
+  describe('POST /v1/auth/change-password', () => {
+    it('requires the current password and signs out the other sessions', async () => {
+      const other = await login();
+      const current = await login();
+      const auth = ['Authorization', `Bearer ${current.body.accessToken}`];
+
+      const wrong = await api()
+        .post('/v1/auth/change-password')
+        .set(...auth)
+        .send({ currentPassword: 'wrong-password', newPassword: NEW_PASSWORD });
+      assert.equal(wrong.status, 422);
+      assert.equal(wrong.body.error.details[0].field, 'currentPassword');
+
+      const res = await api()
+        .post('/v1/auth/change-password')
+        .set(...auth)
+        .send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD })
+        .expect(200);
+      assert.ok(res.body.accessToken);
+
+      assert.equal((await api().post('/v1/auth/refresh').send({ refreshToken: other.body.refreshToken })).status, 401);
+      assert.equal((await api().post('/v1/auth/refresh').send({ refreshToken: res.body.refreshToken })).status, 200);
+      assert.equal((await login(NEW_PASSWORD)).status, 200);
+
+      // Access tokens signed before the change stop working, the one it returned keeps working
+      await api().get('/v1/quotas').set(...auth).expect(401);
+      await api().get('/v1/quotas').set('Authorization', `Bearer ${res.body.accessToken}`).expect(200);
+    });
+
+    it('applies the password policy and requires a login', async () => {
+      const { body } = await login();
+      const auth = ['Authorization', `Bearer ${body.accessToken}`];
+
+      const res = await api()
+        .post('/v1/auth/change-password')
+        .set(...auth)
+        .send({ currentPassword: PASSWORD, newPassword: 'jane-is-great-99' });
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.error.details, [{ field: 'newPassword', message: 'must not contain your email address or name' }]);
+
+      await api().post('/v1/auth/change-password').send({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD }).expect(401);
+    });
+  });
+
+  describe('authentication middleware', () => {
+    it('rejects protected routes without a token', async () => {
+      const res = await api().get('/v1/users/get-all-users');
+
+      assert.equal(res.status, 401);
+      assert.ok(res.body.error.requestId);
+      assert.equal(res.headers['x-request-id'], res.body.error.requestId);
+    });
+
+    it('rejects an invalid token', async () => {
+      const res = await api().get('/v1/users/get-all-users').set('Authorization', 'Bearer invalid');
+      assert.equal(res.status, 401);
+    });
+
+    it('returns 404 for unknown routes', async () => {
+      const res = await api().get('/v1/nope');
+      assert.equal(res.status, 404);
+      assert.equal(res.body.error.code, 'NOT_FOUND');
+    });
+  });
+});
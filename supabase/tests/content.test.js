@@ -0,0 +1,353 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+import { publishDuePosts } from '../functions/content-service/workflow.js';
+import { api, resetStore, loginAs, setQuota } from './helpers.js';
+
+describe('content-service', () => {
+  let editor;
+
+  const createPost = async (fields = {}) => {
+    const res = await api()
+      .post('/v1/content/create-post')
+      .set(...editor.auth)
+      .send({ title: 'Hello world', content: 'First post', ...fields });
+    assert.equal(res.status, 201);
+    return res.body[0];
+  };
+
+  const publish = (id) => api().post(`/v1/content/publish/${id}`).set(...editor.auth);
+
+  beforeEach(async () => {
+    resetStore();
+    editor = await loginAs('editor');
+  });
+
+  describe('POST /v1/content/create-post', () => {
+    it('creates a draft owned by the caller', async () => {
+      const post = await createPost();
+
+      assert.equal(post.status, 'draft');
+      assert.equal(post.author_id, editor.userData.id);
+    });
+
+    it('validates the body', async () => {
+      const res = await api().post('/v1/content/create-post').set(...editor.auth).send({ title: '' });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.error.details.map((detail) => detail.field).sort(), ['content', 'title']);
+    });
+
+    it('is forbidden for viewers', async () => {
+      const viewer = await loginAs('viewer');
+      const res = await api()
+        .post('/v1/content/create-post')
+        .set(...viewer.auth)
+        .send({ title: 'Hello', content: 'World' });
+
+      assert.equal(res.status, 403);
+    });
+
+    it('requires authentication', async () => {
+      const res = await api().post('/v1/content/create-post').send({ title: 'Hello', content: 'World' });
+      assert.equal(res.status, 401);
+    });
+
+    it('enforces the content_posts quota', async () => {
+      await setQuota('content_posts', 1);
+      await createPost();
+
+      const res = await api()
+        .post('/v1/content/create-post')
+        .set(...editor.auth)
+        .send({ title: 'Second', content: 'Too many' });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'QUOTA_EXCEEDED');
+    });
+  });
+
+  describe('public reads', () => {
+    it('hides drafts from anonymous readers', async () => {
+      const draft = await createPost({ title: 'Draft' });
+      const published = await createPost({ title: 'Published' });
+      await publish(published.id);
+
+      const list = await api().get('/v1/content/get-all-contents');
+      assert.equal(list.status, 200);
+      assert.deepEqual(list.body.items.map((post) => post.title), ['Published']);
+
+      const hidden = await api().get(`/v1/content/get-content/${draft.id}`);
+      assert.equal(hidden.status, 404);
+
+      const visible = await api().get(`/v1/content/get-content/${published.id}`);
+      assert.equal(visible.status, 200);
+    });
+
+    it('returns the rendered content next to the raw source', async () => {
+      const post = await createPost({ format: 'markdown', content: '## Setup\n\n<b onclick="x()">Run</b> **it**' });
+      await publish(post.id);
+
+      const res = await api().get(`/v1/content/get-content/${post.id}`).expect(200);
+      assert.equal(res.body.content, '## Setup\n\n<b onclick="x()">Run</b> **it**');
+      assert.equal(res.body.rendered.format, 'markdown');
+      assert.equal(res.body.rendered.html, '<h2 id="setup">Setup</h2>\n<p>Run <strong>it</strong></p>\n');
+      assert.equal(res.body.rendered.excerpt, 'Run it');
+      assert.deepEqual(res.body.rendered.toc, [{ level: 2, text: 'Setup', id: 'setup' }]);
+    });
+
+    it('shows every status to editors and filters by status', async () => {
+      await createPost({ title: 'Draft' });
+      const published = await createPost({ title: 'Published' });
+      await publish(published.id);
+
+      const all = await api().get('/v1/content/get-all-contents').set(...editor.auth);
+      assert.equal(all.body.total, 2);
+
+      const drafts = await api().get('/v1/content/get-all-contents?status=draft').set(...editor.auth);
+      assert.deepEqual(drafts.body.items.map((post) => post.title), ['Draft']);
+
+      const invalid = await api().get('/v1/content/get-all-contents?status=deleted').set(...editor.auth);
+      assert.equal(invalid.status, 400);
+    });
+
+    it('searches and paginates', async () => {
+      await createPost({ title: 'Apples and pears' });
+      await createPost({ title: 'Bananas' });
+      await createPost({ title: 'Cherries' });
+
+      const search = await api().get('/v1/content/get-all-contents?q=appl').set(...editor.auth);
+      assert.deepEqual(search.body.items.map((post) => post.title), ['Apples and pears']);
+
+      const page = await api().get('/v1/content/get-all-contents?limit=2&offset=2').set(...editor.auth);
+      assert.equal(page.body.items.length, 1);
+      assert.equal(page.body.total, 3);
+    });
+  });
+
+  describe('PUT /v1/content/update-post', () => {
+    it('updates the post', async () => {
+      const post = await createPost();
+      const res = await api().put('/v1/content/update-post').set(...editor.auth).send({ id: post.id, title: 'Renamed' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body[0].title, 'Renamed');
+    });
+
+    it('returns 404 for an unknown post', async () => {
+      const res = await api().put('/v1/content/update-post').set(...editor.auth).send({ id: 999, title: 'Renamed' });
+      assert.equal(res.status, 404);
+    });
+
+    it('does not allow changing the status directly', async () => {
+      const post = await createPost();
+      const res = await api().put('/v1/content/update-post').set(...editor.auth).send({ id: post.id, status: 'published' });
+      assert.equal(res.status, 422);
+    });
+  });
+
+  describe('slugs', () => {
+    it('generates unique slugs from titles and rejects taken ones', async () => {
+      const first = await createPost({ title: 'Hello, World!' });
+      const second = await createPost({ title: 'Hello world' });
+      const custom = await createPost({ title: 'Other', slug: 'my-post' });
+
+      assert.equal(first.slug, 'hello-world');
+      assert.equal(second.slug, 'hello-world-2');
+      assert.equal(custom.slug, 'my-post');
+
+      const taken = await api()
+        .post('/v1/content/create-post')
+        .set(...editor.auth)
+        .send({ title: 'Again', content: 'x', slug: 'hello-world' });
+      assert.equal(taken.status, 409);
+
+      const invalid = await api()
+        .post('/v1/content/create-post')
+        .set(...editor.auth)
+        .send({ title: 'Bad', content: 'x', slug: 'Not a slug' });
+      assert.equal(invalid.status, 422);
+    });
+
+    it('finds published posts by slug and hides drafts', async () => {
+      const post = await createPost({ title: 'Launch day' });
+
+      await api().get('/v1/content/by-slug/launch-day').expect(404);
+      await publish(post.id);
+
+      const res = await api().get('/v1/content/by-slug/launch-day').expect(200);
+      assert.equal(res.body.id, post.id);
+      assert.equal(res.body.rendered.format, 'plain');
+
+      await api().get('/v1/content/by-slug/unknown').expect(404);
+    });
+
+    it('redirects old slugs after a rename and lets the post take one back', async () => {
+      const post = await createPost({ title: 'Launch day' });
+      await publish(post.id);
+
+      const renamed = await api()
+        .put('/v1/content/update-post')
+        .set(...editor.auth)
+        .send({ id: post.id, title: 'Launch week' })
+        .expect(200);
+      assert.equal(renamed.body[0].slug, 'launch-week');
+
+      const old = await api().get('/v1/content/by-slug/launch-day').expect(301);
+      assert.equal(old.headers.location, '/v1/content/by-slug/launch-week');
+      assert.deepEqual(old.body.redirect, { from: 'launch-day', to: 'launch-week', location: '/v1/content/by-slug/launch-week' });
+
+      // Old slugs stay reserved for the post that used them
+      const other = await createPost({ title: 'Launch day' });
+      assert.equal(other.slug, 'launch-day-2');
+
+      await api().put('/v1/content/update-post').set(...editor.auth).send({ id: post.id, slug: 'launch-day' }).expect(200);
+      await api().get('/v1/content/by-slug/launch-day').expect(200);
+      const back = await api().get('/v1/content/by-slug/launch-week').expect(301);
+      assert.equal(back.body.redirect.to, 'launch-day');
+    });
+  });
+
+  describe('DELETE /v1/content/delete-post/:id and /delete-posts', () => {
+    it('deletes posts', async () => {
+      const a = await createPost();
+      const b = await createPost();
+      const c = await createPost();
+
+      const one = await api().delete(`/v1/content/delete-post/${a.id}`).set(...editor.auth);
+      assert.equal(one.status, 200);
+
+      const many = await api().delete('/v1/content/delete-posts').set(...editor.auth).send({ ids: [b.id, c.id] });
+      assert.equal(many.status, 200);
+
+      const list = await api().get('/v1/content/get-all-contents').set(...editor.auth);
+      assert.equal(list.body.total, 0);
+    });
+  });
+
+  describe('workflow', () => {
+    it('publishes, unpublishes and archives with a transition history', async () => {
+      const post = await createPost();
+
+      const published = await publish(post.id);
+      assert.equal(published.status, 200);
+      assert.equal(published.body.status, 'published');
+      assert.ok(published.body.published_at);
+
+      const archived = await api().post(`/v1/content/archive/${post.id}`).set(...editor.auth);
+      assert.equal(archived.body.status, 'archived');
+
+      const draft = await api().post(`/v1/content/unpublish/${post.id}`).set(...editor.auth);
+      assert.equal(draft.body.status, 'draft');
+      assert.equal(draft.body.archived_at, null);
+
+      const history = await api().get(`/v1/content/get-transitions/${post.id}`).set(...editor.auth);
+      assert.deepEqual(
+        history.body.map((entry) => [entry.from_status, entry.to_status]),
+        [['draft', 'published'], ['published', 'archived'], ['archived', 'draft']]
+      );
+    });
+
+    it('rejects invalid transitions', async () => {
+      const post = await createPost();
+      await api().post(`/v1/content/archive/${post.id}`).set(...editor.auth);
+
+      const res = await publish(post.id);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'CONFLICT');
+    });
+
+    it('returns 404 for an unknown post', async () => {
+      const res = await publish(999);
+      assert.equal(res.status, 404);
+    });
+
+    it('schedules a post and publishes it once it is due', async () => {
+      const post = await createPost();
+      const publishAt = new Date(Date.now() + 60_000).toISOString();
+
+      const scheduled = await api().post(`/v1/content/schedule/${post.id}`).set(...editor.auth).send({ publish_at: publishAt });
+      assert.equal(scheduled.status, 200);
+      assert.equal(scheduled.body.status, 'scheduled');
+
+      const early = await api().get(`/v1/content/get-content/${post.id}`);
+      assert.equal(early.status, 404);
+
+      await db.from('content_posts').update({ publish_at: new Date(Date.now() - 1000).toISOString() }).eq('id', post.id);
+      // Reads never publish, the scheduler does
+      await api().get(`/v1/content/get-content/${post.id}`).expect(404);
+      await publishDuePosts();
+
+      const due = await api().get(`/v1/content/get-content/${post.id}`);
+      assert.equal(due.status, 200);
+      assert.equal(due.body.status, 'published');
+    });
+
+    it('only schedules into the future', async () => {
+      const post = await createPost();
+      const res = await api()
+        .post(`/v1/content/schedule/${post.id}`)
+        .set(...editor.auth)
+        .send({ publish_at: '2000-01-01T00:00:00Z' });
+
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('revisions', () => {
+    it('records, diffs and restores revisions', async () => {
+      const post = await createPost({ title: 'Original' });
+      await api().put('/v1/content/update-post').set(...editor.auth).send({ id: post.id, title: 'Changed' });
+
+      const list = await api().get(`/v1/content/get-revisions/${post.id}`).set(...editor.auth);
+      assert.deepEqual(list.body.map((revision) => revision.version), [1, 2]);
+
+      const one = await api().get(`/v1/content/get-revision/${post.id}/1`).set(...editor.auth);
+      assert.equal(one.body.snapshot.title, 'Original');
+
+      const diff = await api().get(`/v1/content/diff-revisions/${post.id}?from=1&to=2`).set(...editor.auth);
+      assert.deepEqual(diff.body.changes, [
+        { field: 'title', from: 'Original', to: 'Changed' },
+        { field: 'slug', from: 'original', to: 'changed' },
+      ]);
+
+      const restored = await api().post(`/v1/content/restore-revision/${post.id}/1`).set(...editor.auth);
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.title, 'Original');
+      assert.equal(restored.body.slug, 'original');
+      const old = await api().get('/v1/content/by-slug/changed').set(...editor.auth).expect(301);
+      assert.equal(old.headers.location, '/v1/content/by-slug/original');
+
+      const after = await api().get(`/v1/content/get-revisions/${post.id}`).set(...editor.auth);
+      assert.equal(after.body[2].restored_from, 1);
+    });
+
+    it('returns 404 for an unknown revision and 400 without a range', async () => {
+      const post = await createPost();
+
+      const missing = await api().get(`/v1/content/get-revision/${post.id}/9`).set(...editor.auth);
+      assert.equal(missing.status, 404);
+
+      const noRange = await api().get(`/v1/content/diff-revisions/${post.id}`).set(...editor.auth);
+      assert.equal(noRange.status, 400);
+    });
+
+    it('keeps the history of drafts from viewers and of trashed posts from everyone', async () => {
+      const viewer = await loginAs('viewer');
+      const post = await createPost();
+      const history = [
+        `/v1/content/get-revisions/${post.id}`,
+        `/v1/content/get-revision/${post.id}/1`,
+        `/v1/content/diff-revisions/${post.id}?from=1&to=1`,
+        `/v1/content/get-transitions/${post.id}`,
+      ];
+
+      for (const path of history) await api().get(path).set(...viewer.auth).expect(404);
+      await publish(post.id).expect(200);
+      for (const path of history) await api().get(path).set(...viewer.auth).expect(200);
+
+      await api().delete(`/v1/content/delete-post/${post.id}`).set(...editor.auth).expect(200);
+      for (const path of history) await api().get(path).set(...editor.auth).expect(404);
+    });
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, formatCsvRow } from '#lib/csv.js';
+
+describe('csv', () => {
+  it('parses quoted fields, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,"b,c","say ""hi"""\r\n"multi\nline",,x\n'), [
+      ['a', 'b,c', 'say "hi"'],
+      ['multi\nline', '', 'x'],
+    ]);
+  });
+
+  it('keeps blank lines so record numbers match the file', () => {
+    assert.deepEqual(parseCsv('a\n\nb'), [['a'], [''], ['b']]);
+  });
+
+  it('formats rows, quoting when needed and defusing formulas', () => {
+    assert.equal(formatCsvRow([1, 'a,b', null, 'say "hi"']), '1,"a,b",,"say ""hi"""\r\n');
+    assert.equal(formatCsvRow(['=SUM(A1)', '-1']), "'=SUM(A1),'-1\r\n");
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+import { mailer } from '#mail';
+import { processDeliveries, queueDistribution, MAX_ATTEMPTS } from '#lib/distribution.js';
+import { MAX_ROWS } from '../storage/memory/client.js';
+import { distributeStartedAnnouncements } from '../functions/announcement-service/schedule.js';
+import { distributePublishedPosts } from '../functions/content-service/workflow.js';
+import { api, resetStore, loginAs, createPost, publishPost, subscribe, setQuota } from './helpers.js';
+
+describe('email distribution', () => {
+  let admin;
+  const send = mailer.send;
+  const from = db.from;
+
+  const createAnnouncement = () =>
+    api()
+      .post('/v1/announcements/create-announcement')
+      .set(...admin.auth)
+      .send({ title: 'Maintenance <Sunday>', content: 'We will be down.\n\nSorry!' })
+      .expect(201);
+
+  const distributions = () => api().get('/v1/registered-emails/get-all-distributions').set(...admin.auth);
+
+  beforeEach(async () => {
+    resetStore();
+    mailer.clear();
+    admin = await loginAs('admin');
+    await subscribe('alice@example.com');
+    await subscribe('bob@example.com');
+  });
+
+  afterEach(() => {
+    mailer.send = send;
+    db.from = from;
+  });
+
+  it('emails a new announcement to every registered address', async () => {
+    await createAnnouncement();
+    await processDeliveries();
+
+    assert.deepEqual(mailer.outbox.map((message) => message.to).sort(), ['alice@example.com', 'bob@example.com']);
+    const [message] = mailer.outbox;
+    assert.equal(message.subject, 'Announcement: Maintenance <Sunday>');
+    assert.match(message.html, /<h1>Maintenance &#60;Sunday&#62;<\/h1>/);
+    assert.match(message.html, /<p>Sorry!<\/p>/);
+    assert.match(message.text, /We will be down\./);
+
+    const list = await distributions();
+    assert.equal(list.body.total, 1);
+    assert.deepEqual(list.body.items[0].deliveries, { queued: 0, sent: 2, failed: 0, cancelled: 0 });
+  });
+
+  it('emails a scheduled announcement once it starts', async () => {
+    const { body: [announcement] } = await api()
+      .post('/v1/announcements/create-announcement')
+      .set(...admin.auth)
+      .send({ title: 'Later', content: 'Not yet', starts_at: '2999-01-01T00:00:00Z' })
+      .expect(201);
+    await processDeliveries();
+    assert.equal(mailer.outbox.length, 0);
+
+    await db.from('announcements').update({ starts_at: new Date(Date.now() - 1000).toISOString() }).eq('id', announcement.id);
+    await distributeStartedAnnouncements();
+    await distributeStartedAnnouncements();
+    await processDeliveries();
+    assert.equal(mailer.outbox.length, 2);
+  });
+
+  it('emails a published post only once', async () => {
+    const post = await createPost(admin, { title: 'Release notes', content: 'Everything is faster.' });
+
+    assert.equal(mailer.outbox.length, 0);
+
+    await publishPost(admin, post.id);
+    await processDeliveries();
+    assert.equal(mailer.outbox.length, 2);
+
+    await api().post(`/v1/content/unpublish/${post.id}`).set(...admin.auth).expect(200);
+    await publishPost(admin, post.id);
+    await processDeliveries();
+    assert.equal(mailer.outbox.length, 2);
+
+    const list = await api().get('/v1/registered-emails/get-all-distributions?source_type=content_post').set(...admin.auth);
+    assert.equal(list.body.items[0].source_id, post.id);
+  });
+
+  it('publishes even when queueing fails, and queues the post on the next run', async () => {
+    const post = await createPost(admin, { title: 'Release notes', content: 'Everything is faster.' });
+
+    db.from = (table) => {
+      if (table === 'email_deliveries') throw new Error('Connection lost');
+      return from(table);
+    };
+    await publishPost(admin, post.id);
+    db.from = from;
+    await processDeliveries();
+    assert.equal(mailer.outbox.length, 0);
+
+    assert.deepEqual((await distributePublishedPosts()).map((published) => published.id), [post.id]);
+    assert.deepEqual(await distributePublishedPosts(), []);
+    await processDeliveries();
+    assert.deepEqual(mailer.outbox.map((message) => message.to).sort(), ['alice@example.com', 'bob@example.com']);
+  });
+
+  it('finishes a distribution whose deliveries were queued before it failed', async () => {
+    const post = await createPost(admin);
+
+    db.from = (table) => {
+      const query = from(table);
+      if (table === 'email_distributions') {
+        query.update = () => {
+          throw new Error('Connection lost');
+        };
+      }
+      return query;
+    };
+    await publishPost(admin, post.id);
+    db.from = from;
+    await processDeliveries();
+    assert.equal(mailer.outbox.length, 2);
+
+    assert.deepEqual((await distributePublishedPosts()).map((published) => published.id), [post.id]);
+    assert.deepEqual(await distributePublishedPosts(), []);
+    await processDeliveries();
+    assert.equal(mailer.outbox.length, 2);
+  });
+
+  it('queues every confirmed address, however many there are', async () => {
+    await setQuota('registered_emails', MAX_ROWS + 2);
+    await db.from('registered_emails').insert(
+      Array.from({ length: MAX_ROWS }, (_, i) => ({ email: `reader${i}@example.com`, status: 'confirmed' }))
+    );
+    const post = await createPost(admin);
+
+    const distribution = await queueDistribution('content_post', post);
+    const { count } = await db
+      .from('email_deliveries')
+      .select('*', { count: 'exact', head: true })
+      .eq('distribution_id', distribution.id);
+    assert.equal(count, MAX_ROWS + 2);
+  });
+
+  it('records per-recipient status and retries rejected deliveries', async () => {
+    mailer.send = async (message) => {
+      if (message.to === 'bob@example.com') throw new Error('Mailbox unavailable');
+      return send(message);
+    };
+
+    await createAnnouncement();
+    await processDeliveries();
+
+    const [distribution] = (await distributions()).body.items;
+    const queued = await api()
+      .get(`/v1/registered-emails/get-deliveries/${distribution.id}?status=queued`)
+      .set(...admin.auth);
+    assert.equal(queued.body.items[0].email, 'bob@example.com');
+    assert.equal(queued.body.items[0].attempts, 1);
+    assert.equal(queued.body.items[0].last_error, 'Mailbox unavailable');
+
+    // Make the retries due immediately instead of waiting for the backoff
+    for (let attempt = 2; attempt <= MAX_ATTEMPTS; attempt++) {
+      await db.from('email_deliveries').update({ next_attempt_at: new Date(0).toISOString() }).eq('status', 'queued');
+      await processDeliveries();
+    }
+
+    const failed = await api()
+      .get(`/v1/registered-emails/get-deliveries/${distribution.id}?status=failed`)
+      .set(...admin.auth);
+    assert.equal(failed.body.total, 1);
+    assert.equal(failed.body.items[0].attempts, MAX_ATTEMPTS);
+
+    mailer.send = send;
+    const retry = await api().post(`/v1/registered-emails/retry-deliveries/${distribution.id}`).set(...admin.auth);
+    assert.deepEqual(retry.body, { requeued: 1 });
+    await processDeliveries();
+
+    const one = await api().get(`/v1/registered-emails/get-distribution/${distribution.id}`).set(...admin.auth);
+    assert.deepEqual(one.body.deliveries, { queued: 0, sent: 2, failed: 0, cancelled: 0 });
+  });
+
+  it('only emails confirmed addresses and cancels deliveries to addresses that left', async () => {
+    await db.from('registered_emails').insert([{ email: 'pending@example.com', status: 'pending' }]);
+
+    mailer.send = async () => {
+      throw new Error('Connection refused');
+    };
+    await createAnnouncement();
+    await processDeliveries();
+
+    await db.from('registered_emails').update({ status: 'unsubscribed' }).eq('email', 'bob@example.com');
+    await db.from('email_deliveries').update({ next_attempt_at: new Date(0).toISOString() }).eq('status', 'queued');
+    mailer.send = send;
+    await processDeliveries();
+
+    assert.deepEqual(mailer.outbox.map((message) => message.to), ['alice@example.com']);
+    const [distribution] = (await distributions()).body.items;
+    assert.deepEqual(distribution.deliveries, { queued: 0, sent: 1, failed: 0, cancelled: 1 });
+  });
+
+  it('counts deliveries past the rows a response is cut off at', async () => {
+    const now = new Date().toISOString();
+    const { data: distribution } = await db
+      .from('email_distributions')
+      .insert([{ source_type: 'announcement', source_id: 1, subject: 'Big', html: '', text: '', queued_at: now }])
+      .select()
+      .single();
+    await db.from('email_deliveries').insert(
+      Array.from({ length: MAX_ROWS + 1 }, (_, i) => ({
+        distribution_id: distribution.id,
+        registered_email_id: i + 1,
+        email: `reader${i}@example.com`,
+        next_attempt_at: now,
+      }))
+    );
+
+    const one = await api().get(`/v1/registered-emails/get-distribution/${distribution.id}`).set(...admin.auth);
+    assert.deepEqual(one.body.deliveries, { queued: MAX_ROWS + 1, sent: 0, failed: 0, cancelled: 0 });
+  });
+
+  it('validates delivery queries and unknown distributions', async () => {
+    const badStatus = await api().get('/v1/registered-emails/get-deliveries/1?status=bounced').set(...admin.auth);
+    assert.equal(badStatus.status, 400);
+
+    const missing = await api().get('/v1/registered-emails/get-distribution/999').set(...admin.auth);
+    assert.equal(missing.status, 404);
+
+    const retryMissing = await api().post('/v1/registered-emails/retry-deliveries/999').set(...admin.auth);
+    assert.equal(retryMissing.status, 404);
+  });
+});
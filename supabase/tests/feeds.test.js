@@ -0,0 +1,101 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+import { api, resetStore, loginAs, createPost, publishPost } from './helpers.js';
+
+describe('content feeds', () => {
+  let editor;
+
+  beforeEach(async () => {
+    resetStore();
+    editor = await loginAs('editor');
+    await db.from('users').update({ first_name: 'Sam', last_name: 'Staff' }).eq('id', editor.userData.id);
+  });
+
+  it('serves published posts and current announcements as RSS, Atom and JSON Feed', async () => {
+    const post = await createPost(editor, {
+      title: 'Fish & Chips',
+      format: 'markdown',
+      content: 'Tasty **food**',
+      tags: ['food'],
+    });
+    await publishPost(editor, post.id);
+    await createPost(editor, { title: 'Secret draft' });
+    await api()
+      .post('/v1/announcements/create-announcement')
+      .set(...editor.auth)
+      .send({ title: 'Closed Monday', content: 'See you Tuesday' })
+      .expect(201);
+
+    const rss = await api().get('/v1/content/feed.xml').expect(200);
+    assert.match(rss.headers['content-type'], /^application\/rss\+xml/);
+    assert.match(rss.text, /<title>Fish &#38; Chips<\/title>/);
+    assert.match(rss.text, /<link>http:\/\/localhost:3000\/v1\/content\/by-slug\/fish-chips<\/link>/);
+    assert.match(rss.text, /<content:encoded>&#60;p&#62;Tasty &#60;strong&#62;food/);
+    assert.match(rss.text, /<category>food<\/category>/);
+    assert.match(rss.text, /<dc:creator>Sam Staff<\/dc:creator>/);
+    assert.doesNotMatch(rss.text, /Secret draft/);
+
+    const atom = await api().get('/v1/content/feed.atom').expect(200);
+    assert.match(atom.headers['content-type'], /^application\/atom\+xml/);
+    assert.equal(atom.text.match(/<entry>/g).length, 2);
+
+    const json = await api().get('/v1/content/feed.json').expect(200);
+    assert.match(json.headers['content-type'], /^application\/feed\+json/);
+    const feed = JSON.parse(json.text);
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.deepEqual(feed.items.map((item) => item.title).sort(), ['Closed Monday', 'Fish & Chips']);
+  });
+
+  it('answers 304 while the feed is unchanged', async () => {
+    const post = await createPost(editor);
+    await publishPost(editor, post.id);
+
+    const first = await api().get('/v1/content/feed.xml').expect(200);
+    assert.ok(first.headers.etag);
+    // Entries leave the feed too, so a newest-change time could move backwards
+    assert.equal(first.headers['last-modified'], undefined);
+
+    await api().get('/v1/content/feed.xml').set('If-None-Match', first.headers.etag).expect(304);
+    const head = await api().head('/v1/content/feed.xml').expect(200);
+    assert.equal(head.headers.etag, first.headers.etag);
+
+    // The server stamps updated_at, clients cannot backdate it
+    await api()
+      .put('/v1/content/update-post')
+      .set(...editor.auth)
+      .send({ id: post.id, updated_at: '2000-01-01T00:00:00Z' })
+      .expect(422);
+    const changed = await api()
+      .put('/v1/content/update-post')
+      .set(...editor.auth)
+      .send({ id: post.id, content: 'Changed' })
+      .expect(200);
+    const second = await api().get('/v1/content/feed.json').expect(200);
+    assert.equal(JSON.parse(second.text).items[0].date_modified, changed.body[0].updated_at);
+    const third = await api().get('/v1/content/feed.xml').set('If-None-Match', first.headers.etag).expect(200);
+
+    await api().delete(`/v1/content/delete-post/${post.id}`).set(...editor.auth).expect(200);
+    await api().get('/v1/content/feed.xml').set('If-None-Match', third.headers.etag).expect(200);
+  });
+
+  it('limits a feed to a category and its subcategories', async () => {
+    const { body: news } = await api().post('/v1/taxonomy/create-category').set(...editor.auth).send({ name: 'News' });
+    const { body: local } = await api()
+      .post('/v1/taxonomy/create-category')
+      .set(...editor.auth)
+      .send({ name: 'Local', parent_id: news.id });
+
+    for (const [title, categoryIds] of [['World', [news.id]], ['Town', [local.id]], ['Recipes', []]]) {
+      const post = await createPost(editor, { title, category_ids: categoryIds });
+      await publishPost(editor, post.id);
+    }
+
+    const res = await api().get('/v1/content/feed.json?category=news').expect(200);
+    const feed = JSON.parse(res.text);
+    assert.equal(feed.title, 'Posts and announcements: News');
+    assert.deepEqual(feed.items.map((item) => item.title).sort(), ['Town', 'World']);
+
+    await api().get('/v1/content/feed.xml?category=unknown').expect(404);
+  });
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import bcrypt from 'bcrypt';
+import { app } from '../server.js';
+import { db, files } from '#storage';
+import { mailer } from '#mail';
+import { counters } from '#rate-limit';
+
+export const PASSWORD = 'secret123';
+
+export const api = () => request(app);
+
+/**
+ * Empty the in-memory store, bucket and rate limit counters between tests.
+ */
+export function resetStore() {
+  db.reset();
+  files.clear();
+  counters.clear();
+}
+
+/**
+ * Insert a user directly into the store, bypassing the API.
+ */
+export async function createUser({ email, role = 'viewer', password = PASSWORD, ...rest }) {
+  const { data, error } = await db
+    .from('users')
+    .insert([{ email, role, password: await bcrypt.hash(password, 4), ...rest }])
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Create a user with `role` and log in through the API.
+ * Returns the login response body plus an `auth` header pair for supertest's `.set()`.
+ */
+export async function loginAs(role, email = `${role}@example.com`) {
+  await createUser({ email, role });
+  const res = await api().post('/v1/auth/login').send({ email, password: PASSWORD });
+  if (res.status !== 200) throw new Error(`Login failed: ${JSON.stringify(res.body)}`);
+  return { ...res.body, auth: ['Authorization', `Bearer ${res.body.accessToken}`] };
+}
+
+/**
+ * Create a draft content post as `user`, a loginAs() result. Returns the post.
+ */
+export async function createPost(user, fields = {}) {
+  const res = await api()
+    .post('/v1/content/create-post')
+    .set(...user.auth)
+    .send({ title: 'Post', content: 'Body', ...fields });
+  assert.equal(res.status, 201);
+  return res.body[0];
+}
+
+/**
+ * Publish a content post as `user`. Returns the published post.
+ */
+export async function publishPost(user, id) {
+  const res = await api().post(`/v1/content/publish/${id}`).set(...user.auth);
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+export async function setQuota(resource, maxCount) {
+  const { error } = await db.from('quota_limits').update({ max_count: maxCount }).eq('resource', resource);
+  if (error) throw new Error(error.message);
+}
+
+/**
+ * Insert a confirmed registered email directly, skipping the double opt-in.
+ */
+export async function subscribe(email) {
+  const { data, error } = await db
+    .from('registered_emails')
+    .insert([{ email, status: 'confirmed', confirmed_at: new Date().toISOString() }])
+    .select()
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
+
+/**
+ * Wait until the memory mailer has sent `count` emails, for mail sent in the
+ * background after a response. Returns the last one.
+ */
+export async function waitForMail(count) {
+  for (let attempt = 0; attempt < 100 && mailer.outbox.length < count; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.ok(mailer.outbox.length >= count, `expected ${count} emails, ${mailer.outbox.length} were sent`);
+  return mailer.outbox[count - 1];
+}
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderContent } from '#lib/markdown.js';
+
+describe('markdown', () => {
+  const render = (content, fields = {}) => renderContent({ content, format: 'markdown', ...fields });
+
+  it('renders markdown with anchored headings and a table of contents', () => {
+    const { html, toc } = render('# Intro\n\nSome **bold** text\n\n## Intro\n\n> ### Déjà vu');
+
+    assert.match(html, /<h1 id="intro">Intro<\/h1>/);
+    assert.match(html, /<strong>bold<\/strong>/);
+    assert.deepEqual(toc, [
+      { level: 1, text: 'Intro', id: 'intro' },
+      { level: 2, text: 'Intro', id: 'intro-1' },
+      { level: 3, text: 'Déjà vu', id: 'deja-vu' },
+    ]);
+  });
+
+  it('strips scripts, event handlers and unsafe links', () => {
+    const { html } = render(
+      '<script>alert(1)</script>\n\n<img src="x.png" onerror="alert(1)">\n\n[a](javascript:alert(1)) [b](https://example.com)',
+    );
+
+    assert.doesNotMatch(html, /script|onerror|javascript/);
+    assert.match(html, /<a href="https:\/\/example.com" rel="nofollow noopener noreferrer">b<\/a>/);
+  });
+
+  it('escapes plain content instead of rendering it', () => {
+    const { html, toc } = renderContent({ content: '# Not a heading <b>\n\nline\ntwo' });
+
+    assert.equal(html, '<p># Not a heading &#60;b&#62;</p>\n<p>line<br>two</p>');
+    assert.deepEqual(toc, []);
+  });
+
+  it('uses the description as the excerpt, or the start of the text', () => {
+    assert.equal(render('Body', { description: 'Summary' }).excerpt, 'Summary');
+    assert.equal(render('# Title\n\nFirst *paragraph*.').excerpt, 'First paragraph.');
+
+    const long = render(`${'word '.repeat(100)}`).excerpt;
+    assert.ok(long.length <= 201);
+    assert.ok(long.endsWith('word…'));
+  });
+
+  it('estimates reading time at 200 words a minute', () => {
+    assert.equal(render('one two').reading_time_minutes, 1);
+    assert.equal(render('word '.repeat(401)).reading_time_minutes, 3);
+  });
+});
@@ -0,0 +1,237 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { db, files } from '#storage';
+import { purgeUnattachedMedia } from '#lib/media.js';
+import { purgeTrash } from '#lib/trash.js';
+import { api, resetStore, loginAs, createPost } from './helpers.js';
+
+const png = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+describe('media', () => {
+  let editor;
+
+  const upload = (...attachments) => {
+    const req = api().post('/v1/media/upload').set(...editor.auth);
+    for (const [body, options] of attachments) req.attach('files', body, options);
+    return req;
+  };
+
+  const uploadImage = async (name = 'photo.png') => {
+    const res = await upload([await png(800, 600), { filename: name, contentType: 'image/png' }]).expect(201);
+    return res.body[0];
+  };
+
+  const uploadText = async () => {
+    const res = await upload([Buffer.from('hello'), { filename: 'notes.txt', contentType: 'text/plain' }]).expect(201);
+    return res.body[0];
+  };
+
+  const mediaExists = async (id) => {
+    const { data } = await db.from('media').select('id').eq('id', id).maybeSingle();
+    return data !== null;
+  };
+
+  beforeEach(async () => {
+    resetStore();
+    editor = await loginAs('editor');
+  });
+
+  describe('POST /v1/media/upload', () => {
+    it('stores an image with a thumbnail and signed URLs', async () => {
+      const media = await uploadImage();
+
+      assert.equal(media.mime_type, 'image/png');
+      assert.equal(media.original_name, 'photo.png');
+      assert.deepEqual([media.width, media.height], [800, 600]);
+      assert.match(media.url, /^memory:\/\/media\/uploads\/.+\.png\?expires=\d+$/);
+
+      const thumbnail = await sharp(files.get(media.thumbnail_path).body).metadata();
+      assert.deepEqual([thumbnail.format, thumbnail.width, thumbnail.height], ['webp', 320, 240]);
+    });
+
+    it('stores other files without a thumbnail', async () => {
+      const media = await uploadText();
+
+      assert.equal(media.thumbnail_path, null);
+      assert.equal(media.thumbnail_url, null);
+      assert.equal(files.get(media.path).body.toString(), 'hello');
+    });
+
+    it('rejects disallowed types and broken images, storing nothing', async () => {
+      const executable = await upload([Buffer.from('MZ'), { filename: 'run.exe', contentType: 'application/x-msdownload' }]);
+      assert.equal(executable.status, 415);
+      assert.equal(executable.body.error.code, 'UNSUPPORTED_MEDIA_TYPE');
+
+      const fake = await upload(
+        [await png(10, 10), { filename: 'ok.png', contentType: 'image/png' }],
+        [Buffer.from('not an image'), { filename: 'fake.png', contentType: 'image/png' }]
+      );
+      assert.equal(fake.status, 415);
+
+      const list = await api().get('/v1/media/get-all-media').set(...editor.auth);
+      assert.equal(list.body.total, 0);
+    });
+
+    it('checks that the content matches the declared type', async () => {
+      const mismatched = [
+        [await png(10, 10), { filename: 'photo.jpg', contentType: 'image/jpeg' }],
+        [Buffer.from('hello'), { filename: 'report.pdf', contentType: 'application/pdf' }],
+        [Buffer.from('hello'), { filename: 'archive.zip', contentType: 'application/zip' }],
+        [Buffer.from([0x4d, 0x5a, 0x00, 0xff]), { filename: 'notes.txt', contentType: 'text/plain' }],
+      ];
+      for (const file of mismatched) {
+        const res = await upload(file);
+        assert.equal(res.status, 415, file[1].filename);
+      }
+
+      await upload(
+        [Buffer.from('%PDF-1.7\n'), { filename: 'report.pdf', contentType: 'application/pdf' }],
+        [Buffer.from('PK\x05\x06' + '\0'.repeat(18), 'latin1'), { filename: 'empty.zip', contentType: 'application/zip' }],
+        [Buffer.from('name,city\nÅsa,Malmö\n'), { filename: 'people.csv', contentType: 'text/csv' }]
+      ).expect(201);
+    });
+
+    it('requires files and limits their number', async () => {
+      const none = await api().post('/v1/media/upload').set(...editor.auth).send({});
+      assert.equal(none.status, 400);
+
+      const text = [Buffer.from('x'), { filename: 'x.txt', contentType: 'text/plain' }];
+      const tooMany = await upload(...Array(11).fill(text));
+      assert.equal(tooMany.status, 400);
+    });
+
+    it('is forbidden for viewers', async () => {
+      const viewer = await loginAs('viewer');
+      const res = await api()
+        .post('/v1/media/upload')
+        .set(...viewer.auth)
+        .attach('files', Buffer.from('x'), { filename: 'x.txt', contentType: 'text/plain' });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('attachments', () => {
+    it('attaches a cover, gallery and downloads returned with signed URLs on read', async () => {
+      const post = await createPost(editor);
+      const cover = await uploadImage('cover.png');
+      const gallery = [await uploadImage('a.png'), await uploadImage('b.png')];
+      const download = await uploadText();
+
+      const res = await api()
+        .put(`/v1/content/set-attachments/${post.id}`)
+        .set(...editor.auth)
+        .send({ cover: cover.id, gallery: [gallery[1].id, gallery[0].id], downloads: [download.id] });
+      assert.equal(res.status, 200);
+
+      const { body } = await api().get(`/v1/content/get-content/${post.id}`).set(...editor.auth);
+      assert.equal(body.attachments.cover.original_name, 'cover.png');
+      assert.deepEqual(body.attachments.gallery.map((media) => media.original_name), ['b.png', 'a.png']);
+      assert.deepEqual(body.attachments.downloads.map((media) => media.original_name), ['notes.txt']);
+      assert.ok(body.attachments.cover.url);
+
+      const list = await api().get('/v1/content/get-all-contents').set(...editor.auth);
+      assert.equal(list.body.items[0].attachments.gallery.length, 2);
+    });
+
+    it('validates the media', async () => {
+      const post = await createPost(editor);
+      const text = await uploadText();
+
+      const res = await api()
+        .put(`/v1/content/set-attachments/${post.id}`)
+        .set(...editor.auth)
+        .send({ cover: text.id, downloads: [999] });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.error.details.map((detail) => detail.field), ['cover', 'downloads[0]']);
+
+      const missing = await api().put('/v1/content/set-attachments/999').set(...editor.auth).send({ cover: null });
+      assert.equal(missing.status, 404);
+    });
+
+    it('deletes a replaced cover that nothing else uses', async () => {
+      const post = await createPost(editor);
+      const first = await uploadImage();
+      const second = await uploadImage();
+
+      await api().put(`/v1/content/set-attachments/${post.id}`).set(...editor.auth).send({ cover: first.id }).expect(200);
+      await api().put(`/v1/content/set-attachments/${post.id}`).set(...editor.auth).send({ cover: second.id }).expect(200);
+
+      assert.equal(await mediaExists(first.id), false);
+      assert.equal(files.get(first.path), null);
+      assert.equal(files.get(first.thumbnail_path), null);
+    });
+
+    it('cleans up media only used by a deleted post once the trash is purged', async () => {
+      const post = await createPost(editor);
+      const own = await uploadImage();
+      const shared = await uploadImage();
+
+      const { body: [announcement] } = await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'Shared', content: 'Picture' })
+        .expect(201);
+
+      await api().put(`/v1/content/set-attachments/${post.id}`).set(...editor.auth).send({ gallery: [own.id, shared.id] }).expect(200);
+      await api().put(`/v1/announcements/set-attachments/${announcement.id}`).set(...editor.auth).send({ cover: shared.id }).expect(200);
+
+      await api().delete(`/v1/content/delete-post/${post.id}`).set(...editor.auth).expect(200);
+      assert.equal(await mediaExists(own.id), true);
+
+      await purgeTrash(0);
+      assert.equal(await mediaExists(own.id), false);
+      assert.equal(files.get(own.path), null);
+      assert.equal(await mediaExists(shared.id), true);
+
+      const { body } = await api().get(`/v1/announcements/get-announcement/${announcement.id}`);
+      assert.equal(body.attachments.cover.id, shared.id);
+    });
+  });
+
+  describe('media management', () => {
+    it('refuses to delete attached media', async () => {
+      const post = await createPost(editor);
+      const media = await uploadImage();
+      await api().put(`/v1/content/set-attachments/${post.id}`).set(...editor.auth).send({ cover: media.id }).expect(200);
+
+      const attached = await api().delete(`/v1/media/delete-media/${media.id}`).set(...editor.auth);
+      assert.equal(attached.status, 409);
+      assert.deepEqual(attached.body.error.details, [{ resource_type: 'content_post', resource_id: post.id, role: 'cover' }]);
+
+      await api().put(`/v1/content/set-attachments/${post.id}`).set(...editor.auth).send({ cover: null }).expect(200);
+      const missing = await api().delete(`/v1/media/delete-media/${media.id}`).set(...editor.auth);
+      assert.equal(missing.status, 404);
+    });
+
+    it('gets, lists and deletes unattached media', async () => {
+      const media = await uploadText();
+
+      const one = await api().get(`/v1/media/get-media/${media.id}`).set(...editor.auth);
+      assert.equal(one.body.original_name, 'notes.txt');
+
+      const search = await api().get('/v1/media/get-all-media?q=notes').set(...editor.auth);
+      assert.equal(search.body.total, 1);
+
+      await api().delete(`/v1/media/delete-media/${media.id}`).set(...editor.auth).expect(200);
+      assert.equal(files.get(media.path), null);
+    });
+
+    it('purges old uploads that were never attached', async () => {
+      const post = await createPost(editor);
+      const attached = await uploadImage();
+      const stale = await uploadText();
+      const fresh = await uploadText();
+      await api().put(`/v1/content/set-attachments/${post.id}`).set(...editor.auth).send({ cover: attached.id }).expect(200);
+
+      const old = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+      await db.from('media').update({ created_at: old }).in('id', [attached.id, stale.id]);
+
+      assert.deepEqual(await purgeUnattachedMedia(24), [stale.id]);
+      assert.equal(await mediaExists(fresh.id), true);
+      assert.equal(await mediaExists(attached.id), true);
+    });
+  });
+});
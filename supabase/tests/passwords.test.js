@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { passwordProblems, assertPasswordAllowed } from '#lib/passwords.js';
+
+describe('password policy', () => {
+  it('accepts long passwords mixing kinds of characters', () => {
+    assert.deepEqual(passwordProblems('Violet-Harbor-42', {}), []);
+    assert.deepEqual(passwordProblems('correct horse battery staple', {}), []);
+  });
+
+  it('rejects short, single-kind and over-long passwords', () => {
+    assert.deepEqual(passwordProblems('Ab1!', {}), ['must be at least 10 characters']);
+    assert.match(passwordProblems('onlylowercaseletters', {})[0], /^must mix at least 2 of/);
+    assert.deepEqual(passwordProblems('é'.repeat(40) + '1', {}), ['must be at most 72 bytes']);
+  });
+
+  it('rejects common passwords, also with digits and symbols appended', () => {
+    for (const password of ['qwertyuiop', 'PASSWORD123!', 'Sunshine2024', 'iloveyou!!!!']) {
+      assert.ok(passwordProblems(password, {}).includes('is too common, it appears in lists of breached passwords'), password);
+    }
+  });
+
+  it('rejects passwords containing the email or name of the account', () => {
+    const user = { email: 'jordan.lee@example.com', first_name: 'Jordan', last_name: 'Lee' };
+    assert.deepEqual(passwordProblems('Jordan.Lee@home1', user), ['must not contain your email address or name']);
+    assert.deepEqual(passwordProblems('Violet-Harbor-42', user), []);
+  });
+
+  it('reports every problem on the given field', () => {
+    assert.throws(
+      () => assertPasswordAllowed('password', {}, 'newPassword'),
+      (error) => error.status === 422 && error.details.length === 3 && error.details.every((detail) => detail.field === 'newPassword')
+    );
+  });
+});
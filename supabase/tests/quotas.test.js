@@ -0,0 +1,39 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, resetStore, loginAs } from './helpers.js';
+
+describe('quota-service', () => {
+  let admin;
+
+  beforeEach(async () => {
+    resetStore();
+    admin = await loginAs('admin');
+  });
+
+  it('reports usage against every limit', async () => {
+    const res = await api().get('/v1/quotas').set(...admin.auth);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.find((quota) => quota.resource === 'users'),
+      { resource: 'users', used: 1, limit: 10, remaining: 9 }
+    );
+  });
+
+  it('changes a limit', async () => {
+    const res = await api().put('/v1/quotas/users').set(...admin.auth).send({ limit: 3 });
+    assert.equal(res.status, 200);
+
+    const quotas = await api().get('/v1/quotas').set(...admin.auth);
+    assert.equal(quotas.body.find((quota) => quota.resource === 'users').remaining, 2);
+  });
+
+  it('rejects unknown resources and non-admins', async () => {
+    const unknown = await api().put('/v1/quotas/widgets').set(...admin.auth).send({ limit: 3 });
+    assert.equal(unknown.status, 404);
+
+    const editor = await loginAs('editor');
+    const forbidden = await api().put('/v1/quotas/users').set(...editor.auth).send({ limit: 3 });
+    assert.equal(forbidden.status, 403);
+  });
+});
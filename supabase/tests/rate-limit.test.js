@@ -0,0 +1,108 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../rate-limit/memory.js';
+import { counters } from '#rate-limit';
+import { api, resetStore, createUser, PASSWORD } from './helpers.js';
+
+describe('rate limiting', () => {
+  beforeEach(() => {
+    resetStore();
+  });
+
+  const login = (email, password = 'wrong-password') => api().post('/v1/auth/login').send({ email, password });
+
+  describe('login lockout', () => {
+    it('locks an account after repeated failures, for longer each time', async () => {
+      await createUser({ email: 'target@example.com' });
+      await createUser({ email: 'bystander@example.com' });
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await login('target@example.com')).status, 401);
+      }
+
+      const locked = await login('target@example.com', PASSWORD);
+      assert.equal(locked.status, 429);
+      assert.equal(locked.body.error.code, 'TOO_MANY_REQUESTS');
+      assert.equal(locked.headers['retry-after'], '60');
+      assert.equal(locked.body.error.details.retryAfter, 60);
+
+      // Other accounts are not affected
+      assert.equal((await login('bystander@example.com', PASSWORD)).status, 200);
+
+      // Once the lock runs out, the next failure locks for twice as long
+      await counters.reset('login-lock:target@example.com');
+      assert.equal((await login('Target@example.com')).status, 401);
+      const relocked = await login('target@example.com', PASSWORD);
+      assert.equal(relocked.headers['retry-after'], '120');
+    });
+
+    it('forgets failures after a successful login', async () => {
+      await createUser({ email: 'user@example.com' });
+
+      for (let attempt = 0; attempt < 4; attempt++) await login('user@example.com');
+      assert.equal((await login('user@example.com', PASSWORD)).status, 200);
+
+      for (let attempt = 0; attempt < 4; attempt++) await login('user@example.com');
+      assert.equal((await login('user@example.com', PASSWORD)).status, 200);
+    });
+
+    it('locks unknown emails the same way, without revealing that they do not exist', async () => {
+      for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await login('nobody@example.com')).status, 401);
+      }
+      assert.equal((await login('nobody@example.com')).status, 429);
+    });
+  });
+
+  describe('policies', () => {
+    it('limits logins per IP across accounts', async () => {
+      for (let attempt = 0; attempt < 20; attempt++) {
+        const res = await login(`user${attempt}@example.com`);
+        assert.equal(res.status, 401);
+        assert.equal(res.headers['ratelimit-remaining'], String(Math.min(19 - attempt, 9)));
+      }
+
+      const blocked = await login('fresh@example.com');
+      assert.equal(blocked.status, 429);
+      assert.equal(blocked.headers['ratelimit-limit'], '20');
+      assert.equal(blocked.headers['ratelimit-remaining'], '0');
+      assert.ok(Number(blocked.headers['retry-after']) > 0);
+    });
+
+    it('limits registrations per address and sends RateLimit headers', async () => {
+      const register = () => api().post('/v1/registered-emails/register').send({ email: 'reader@example.com' });
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const res = await register();
+        assert.equal(res.status, 202);
+        assert.equal(res.headers['ratelimit-policy'], '3;w=3600');
+        assert.equal(res.headers['ratelimit-remaining'], String(2 - attempt));
+        assert.equal(res.headers['ratelimit-reset'], '3600');
+      }
+
+      const blocked = await register();
+      assert.equal(blocked.status, 429);
+      assert.equal(blocked.headers['retry-after'], '3600');
+
+      await api().post('/v1/registered-emails/register').send({ email: 'other@example.com' }).expect(202);
+    });
+  });
+
+  describe('memory store', () => {
+    it('counts within a window and starts over once it ends', async () => {
+      const store = createMemoryStore();
+
+      assert.equal((await store.increment('key', 30)).count, 1);
+      const second = await store.increment('key', 30);
+      assert.equal(second.count, 2);
+      assert.deepEqual(await store.get('key'), second);
+
+      await new Promise((resolve) => setTimeout(resolve, 40));
+      assert.equal(await store.get('key'), null);
+      assert.equal((await store.increment('key', 30)).count, 1);
+
+      await store.reset('key');
+      assert.equal(await store.get('key'), null);
+    });
+  });
+});
@@ -0,0 +1,305 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+import { mailer } from '#mail';
+import { expireUnconfirmed, CONFIRMATION_TTL_HOURS } from '#lib/subscriptions.js';
+import { processDeliveries } from '#lib/distribution.js';
+import { api, resetStore, loginAs, setQuota, subscribe, waitForMail } from './helpers.js';
+
+// The path and query of the first link in the last email sent to `email`
+function linkSentTo(email) {
+  const message = mailer.outbox.findLast((sent) => sent.to === email);
+  const { pathname, search } = new URL(message.text.match(/https?:\/\/\S+/)[0]);
+  return pathname + search;
+}
+
+describe('registered-email-service', () => {
+  let admin;
+
+  const register = (email) => api().post('/v1/registered-emails/register').send({ email });
+
+  const statusOf = async (email) => {
+    const { data } = await db.from('registered_emails').select('status').eq('email', email).maybeSingle();
+    return data?.status ?? null;
+  };
+
+  beforeEach(async () => {
+    resetStore();
+    mailer.clear();
+    admin = await loginAs('admin');
+  });
+
+  describe('double opt-in', () => {
+    it('registers a pending address and emails a confirmation link', async () => {
+      const res = await register('Reader@Example.com');
+
+      assert.equal(res.status, 202);
+      assert.equal(await statusOf('reader@example.com'), 'pending');
+      assert.equal(mailer.outbox.length, 1);
+      assert.equal(mailer.outbox[0].subject, 'Confirm your subscription');
+
+      const confirm = await api().get(linkSentTo('reader@example.com'));
+      assert.equal(confirm.status, 200);
+      assert.equal(await statusOf('reader@example.com'), 'confirmed');
+
+      const again = await api().get(linkSentTo('reader@example.com'));
+      assert.equal(again.status, 200);
+    });
+
+    it('answers a duplicate registration the same way without emailing confirmed addresses', async () => {
+      await subscribe('reader@example.com');
+
+      const res = await register('READER@example.com');
+      assert.equal(res.status, 202);
+      assert.equal(mailer.outbox.length, 0);
+
+      const { count } = await db.from('registered_emails').select('*', { count: 'exact', head: true });
+      assert.equal(count, 1);
+    });
+
+    it('resends the confirmation to a pending address', async () => {
+      await register('reader@example.com');
+      await register('reader@example.com');
+
+      assert.equal(mailer.outbox.length, 2);
+    });
+
+    it('rejects invalid and tampered links', async () => {
+      await register('reader@example.com');
+      const link = linkSentTo('reader@example.com');
+
+      const tampered = await api().get(`${link.slice(0, -2)}xx`);
+      assert.equal(tampered.status, 400);
+
+      const wrongPurpose = await api().get(link.replace('/confirm', '/unsubscribe'));
+      assert.equal(wrongPurpose.status, 400);
+    });
+
+    it('rejects an invalid email', async () => {
+      const res = await register('not-an-email');
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.error.details[0].field, 'email');
+    });
+
+    it('expires unconfirmed addresses', async () => {
+      await register('stale@example.com');
+      await register('fresh@example.com');
+      const expired = new Date(Date.now() - (CONFIRMATION_TTL_HOURS + 1) * 60 * 60 * 1000).toISOString();
+      await db.from('registered_emails').update({ confirmation_sent_at: expired }).eq('email', 'stale@example.com');
+
+      const removed = await expireUnconfirmed();
+
+      assert.deepEqual(removed.map((row) => row.email), ['stale@example.com']);
+      assert.equal(await statusOf('fresh@example.com'), 'pending');
+    });
+
+    it('only counts confirmed addresses toward the quota', async () => {
+      await setQuota('registered_emails', 1);
+      await register('one@example.com');
+      await register('two@example.com');
+
+      await api().get(linkSentTo('one@example.com')).expect(200);
+
+      const res = await api().get(linkSentTo('two@example.com'));
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'QUOTA_EXCEEDED');
+      assert.equal(await statusOf('two@example.com'), 'pending');
+
+      const quotas = await api().get('/v1/quotas').set(...admin.auth);
+      assert.equal(quotas.body.find((quota) => quota.resource === 'registered_emails').used, 1);
+    });
+  });
+
+  describe('unsubscribe', () => {
+    it('unsubscribes with the link from any email, also one-click', async () => {
+      await subscribe('reader@example.com');
+      await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...admin.auth)
+        .send({ title: 'News', content: 'Something happened' })
+        .expect(201);
+      await processDeliveries();
+
+      const [message] = mailer.outbox;
+      const header = message.headers['List-Unsubscribe'].slice(1, -1);
+      assert.equal(message.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+      assert.ok(message.text.includes(header));
+
+      // Opening the link only asks to confirm, so link scanners cannot unsubscribe anyone
+      const { pathname, search } = new URL(header);
+      const page = await api()
+        .get(pathname + search)
+        .set('Accept', 'text/html')
+        .expect(200);
+      assert.match(page.text, /<form method="post" action="[^"]+unsubscribe\?token=/);
+      const json = await api().get(pathname + search).expect(200);
+      assert.equal(json.body.email, 'reader@example.com');
+      assert.equal(await statusOf('reader@example.com'), 'confirmed');
+
+      const res = await api().post(pathname + search).type('form').send({ 'List-Unsubscribe': 'One-Click' });
+      assert.equal(res.status, 200);
+      assert.equal(await statusOf('reader@example.com'), 'unsubscribed');
+
+      const again = await api().post(pathname + search);
+      assert.equal(again.status, 200);
+    });
+
+    it('lets an unsubscribed address subscribe again', async () => {
+      const row = await subscribe('reader@example.com');
+      await db.from('registered_emails').update({ status: 'unsubscribed' }).eq('id', row.id);
+
+      await register('reader@example.com').expect(202);
+      assert.equal(await statusOf('reader@example.com'), 'pending');
+      await api().get(linkSentTo('reader@example.com')).expect(200);
+      assert.equal(await statusOf('reader@example.com'), 'confirmed');
+    });
+
+    it('rejects an invalid link', async () => {
+      const res = await api().get('/v1/registered-emails/unsubscribe?token=nope');
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe('CSV import and export', () => {
+    const importCsv = (csv, query = '') =>
+      api().post(`/v1/registered-emails/import-emails${query}`).set(...admin.auth).type('text/csv').send(csv);
+
+    it('reports a result for every row without importing on a dry run', async () => {
+      await setQuota('registered_emails', 3);
+      await subscribe('existing@example.com');
+
+      const csv = [
+        'name,Email',
+        'Alice, Alice@Example.com ',
+        'Bob,bob@example.com',
+        'Again,ALICE@example.com',
+        'Broken,not-an-email',
+        ',',
+        'Old,existing@example.com',
+        'Carol,carol@example.com',
+      ].join('\n');
+
+      const res = await importCsv(csv, '?dry_run=true');
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.dryRun, true);
+      assert.deepEqual(res.body.summary, { total: 6, accepted: 2, duplicate: 2, invalid: 1, 'over-limit': 1 });
+      assert.deepEqual(
+        res.body.rows.map(({ row, email, result }) => [row, email, result]),
+        [
+          [2, 'alice@example.com', 'accepted'],
+          [3, 'bob@example.com', 'accepted'],
+          [4, 'alice@example.com', 'duplicate'],
+          [5, 'not-an-email', 'invalid'],
+          [7, 'existing@example.com', 'duplicate'],
+          [8, 'carol@example.com', 'over-limit'],
+        ]
+      );
+      assert.equal(await statusOf('alice@example.com'), null);
+    });
+
+    it('imports accepted rows as pending and asks them to confirm', async () => {
+      const res = await importCsv('one@example.com\r\ntwo@example.com\r\n');
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.summary.accepted, 2);
+      assert.equal(await statusOf('two@example.com'), 'pending');
+
+      await waitForMail(2);
+      assert.deepEqual(mailer.outbox.map((message) => message.to), ['one@example.com', 'two@example.com']);
+      await api().get(linkSentTo('two@example.com')).expect(200);
+      assert.equal(await statusOf('two@example.com'), 'confirmed');
+    });
+
+    it('rejects an empty or malformed file', async () => {
+      const empty = await importCsv('');
+      assert.equal(empty.status, 400);
+
+      const unterminated = await importCsv('email\n"broken@example.com');
+      assert.equal(unterminated.status, 400);
+    });
+
+    it('is limited to admins', async () => {
+      const editor = await loginAs('editor');
+      const res = await api()
+        .post('/v1/registered-emails/import-emails')
+        .set(...editor.auth)
+        .type('text/csv')
+        .send('a@example.com');
+      assert.equal(res.status, 403);
+    });
+
+    it('exports the list as CSV', async () => {
+      await subscribe('alice@example.com');
+      await register('bob@example.com');
+
+      const res = await api().get('/v1/registered-emails/export-emails').set(...admin.auth);
+
+      assert.equal(res.status, 200);
+      assert.match(res.headers['content-type'], /^text\/csv/);
+      assert.match(res.headers['content-disposition'], /attachment; filename="registered-emails.csv"/);
+
+      const lines = res.text.trim().split('\r\n');
+      assert.equal(lines[0], 'id,email,status,created_at,confirmation_sent_at,confirmed_at,unsubscribed_at');
+      assert.deepEqual(lines.slice(1).map((line) => line.split(',').slice(1, 3)), [
+        ['alice@example.com', 'confirmed'],
+        ['bob@example.com', 'pending'],
+      ]);
+
+      const confirmed = await api().get('/v1/registered-emails/export-emails?status=confirmed').set(...admin.auth);
+      assert.equal(confirmed.text.trim().split('\r\n').length, 2);
+
+      const invalid = await api().get('/v1/registered-emails/export-emails?status=gone').set(...admin.auth);
+      assert.equal(invalid.status, 400);
+    });
+  });
+
+  describe('admin routes', () => {
+    it('lists, filters, searches and gets registered emails', async () => {
+      const first = await subscribe('alice@example.com');
+      await subscribe('bob@example.com');
+      await register('carol@example.com');
+
+      const list = await api().get('/v1/registered-emails/get-all-registered-emails?sort=email').set(...admin.auth);
+      assert.deepEqual(list.body.items.map((row) => row.email), ['alice@example.com', 'bob@example.com', 'carol@example.com']);
+
+      const pending = await api().get('/v1/registered-emails/get-all-registered-emails?status=pending').set(...admin.auth);
+      assert.deepEqual(pending.body.items.map((row) => row.email), ['carol@example.com']);
+
+      const search = await api().get('/v1/registered-emails/get-all-registered-emails?q=bob').set(...admin.auth);
+      assert.equal(search.body.total, 1);
+
+      const one = await api().get(`/v1/registered-emails/get-registered-email/${first.id}`).set(...admin.auth);
+      assert.equal(one.body.email, 'alice@example.com');
+
+      const missing = await api().get('/v1/registered-emails/get-registered-email/999').set(...admin.auth);
+      assert.equal(missing.status, 404);
+    });
+
+    it('requires authentication to list', async () => {
+      const res = await api().get('/v1/registered-emails/get-all-registered-emails');
+      assert.equal(res.status, 401);
+    });
+
+    it('deletes registered emails', async () => {
+      const a = await subscribe('a@example.com');
+      const b = await subscribe('b@example.com');
+      const c = await subscribe('c@example.com');
+
+      await api().delete(`/v1/registered-emails/delete-email/${a.id}`).set(...admin.auth).expect(200);
+      await api().delete('/v1/registered-emails/delete-emails').set(...admin.auth).send({ ids: [b.id, c.id] }).expect(200);
+
+      const list = await api().get('/v1/registered-emails/get-all-registered-emails').set(...admin.auth);
+      assert.equal(list.body.total, 0);
+    });
+
+    it('does not let editors delete', async () => {
+      const editor = await loginAs('editor');
+      const row = await subscribe('a@example.com');
+
+      const res = await api().delete(`/v1/registered-emails/delete-email/${row.id}`).set(...editor.auth);
+      assert.equal(res.status, 403);
+    });
+  });
+});
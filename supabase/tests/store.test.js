@@ -0,0 +1,162 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+
+// The query builder behaviour the routes rely on, run against whichever store DATA_STORE
+// selects: `npm test` checks the memory store, `npm run test:store` the Supabase project in
+// SUPABASE_URL, so the two cannot drift apart unnoticed. Rows are created with a unique
+// prefix and removed afterwards, but point it at a disposable project all the same.
+describe('data store', () => {
+  const prefix = `store-test-${Date.now()}`;
+  const categories = () => db.from('categories').select('*', { count: 'exact' }).like('slug', `${prefix}-%`);
+  const slugs = async (query) => {
+    const { data, error } = await query;
+    assert.equal(error, null);
+    return data.map((row) => row.slug.slice(prefix.length + 1));
+  };
+
+  before(async () => {
+    const { error } = await db.from('categories').insert([
+      { name: 'Alpha', slug: `${prefix}-a`, description: null },
+      { name: 'Beta', slug: `${prefix}-b`, description: 'middle' },
+      { name: 'Gamma', slug: `${prefix}-c`, description: 'zebra' },
+    ]);
+    assert.equal(error, null);
+  });
+
+  after(async () => {
+    await db.from('categories').delete().like('slug', `${prefix}-%`);
+    await db.from('announcements').delete().like('title', `${prefix}%`);
+    await db.from('users').delete().like('email', `${prefix}%`);
+  });
+
+  it('filters with operators, or() groups and null checks', async () => {
+    assert.deepEqual(await slugs(categories().eq('name', 'Beta')), ['b']);
+    assert.deepEqual(await slugs(categories().neq('description', 'middle').order('id')), ['c']);
+    assert.deepEqual(await slugs(categories().in('name', ['Alpha', 'Gamma']).order('id')), ['a', 'c']);
+    assert.deepEqual(await slugs(categories().ilike('name', '%ET%')), ['b']);
+    assert.deepEqual(await slugs(categories().is('description', null)), ['a']);
+    assert.deepEqual(await slugs(categories().not('description', 'is', null).order('id')), ['b', 'c']);
+    assert.deepEqual(
+      await slugs(categories().or('description.is.null,and(name.eq."Gamma",description.gt."a b")').order('id')),
+      ['a', 'c']
+    );
+  });
+
+  it('orders nulls last ascending and first descending unless told otherwise', async () => {
+    assert.deepEqual(await slugs(categories().order('description')), ['b', 'c', 'a']);
+    assert.deepEqual(await slugs(categories().order('description', { ascending: false })), ['a', 'c', 'b']);
+    assert.deepEqual(
+      await slugs(categories().order('description', { ascending: false, nullsFirst: false })),
+      ['c', 'b', 'a']
+    );
+  });
+
+  it('counts, pages and rejects a range past the end', async () => {
+    const { data, count } = await categories().order('id').range(1, 1);
+    assert.equal(count, 3);
+    assert.deepEqual(data.map((row) => row.name), ['Beta']);
+
+    const { count: head } = await db
+      .from('categories')
+      .select('*', { count: 'exact', head: true })
+      .like('slug', `${prefix}-%`);
+    assert.equal(head, 3);
+
+    const { error } = await categories().order('id').range(5, 9);
+    assert.equal(error.code, 'PGRST103');
+  });
+
+  it('reports missing rows and unique violations with PostgREST codes', async () => {
+    const { error: missing } = await categories().eq('name', 'Nope').single();
+    assert.equal(missing.code, 'PGRST116');
+    const { data: none } = await categories().eq('name', 'Nope').maybeSingle();
+    assert.equal(none, null);
+
+    const { error: duplicate } = await db.from('categories').insert([{ name: 'Again', slug: `${prefix}-a` }]);
+    assert.equal(duplicate.code, '23505');
+  });
+
+  it('returns the rows an update or delete changed', async () => {
+    const { data: updated } = await db
+      .from('categories')
+      .update({ description: 'changed' })
+      .eq('slug', `${prefix}-a`)
+      .select();
+    assert.deepEqual(updated.map((row) => row.description), ['changed']);
+
+    const { data: deleted } = await db.from('categories').delete().eq('slug', `${prefix}-none`).select();
+    assert.deepEqual(deleted, []);
+  });
+
+  it('keeps the revisions of a deleted user', async () => {
+    const { data: user, error } = await db
+      .from('users')
+      .insert([{ email: `${prefix}@example.com`, password: 'x', role: 'editor' }])
+      .select()
+      .single();
+    assert.equal(error, null);
+    const { data: announcement } = await db
+      .from('announcements')
+      .insert([{ title: `${prefix} Revised`, content: 'Body', starts_at: new Date().toISOString() }])
+      .select()
+      .single();
+    const { error: revisionError } = await db
+      .from('revisions')
+      .insert([{ resource_type: 'announcement', resource_id: announcement.id, version: 1, snapshot: {}, actor_id: user.id }]);
+    assert.equal(revisionError, null);
+
+    // Revisions are immutable, so this only works without a foreign key setting actor_id to null
+    assert.equal((await db.from('users').delete().eq('id', user.id)).error, null);
+
+    const { data: kept } = await db.from('revisions').select('actor_id').eq('resource_id', announcement.id);
+    assert.deepEqual(kept, [{ actor_id: user.id }]);
+    await db.from('revisions').delete().eq('resource_type', 'announcement').eq('resource_id', announcement.id);
+  });
+
+  it('filters, counts and pages the rows of a set-returning function', async () => {
+    const { data: category } = await db.from('categories').select('id').eq('slug', `${prefix}-a`).single();
+    const { data: announcements } = await db
+      .from('announcements')
+      .insert([
+        { title: `${prefix} Filed one`, content: 'Body', starts_at: new Date().toISOString() },
+        { title: `${prefix} Filed two`, content: 'Body', starts_at: new Date().toISOString() },
+        { title: `${prefix} Loose`, content: 'Body', starts_at: new Date().toISOString() },
+      ])
+      .select('id');
+    const filed = announcements.slice(0, 2).map((row) => row.id);
+    await db
+      .from('category_assignments')
+      .insert(filed.map((id) => ({ category_id: category.id, resource_type: 'announcement', resource_id: id })));
+
+    const byCategory = (categoryIds) =>
+      db
+        .rpc('announcements_by_taxonomy', { category_ids: categoryIds, tag_ids: null }, { count: 'exact' })
+        .like('title', `${prefix}%`);
+    const { data, count } = await byCategory([category.id]).order('id', { ascending: false }).range(0, 0);
+    assert.equal(count, 2);
+    assert.deepEqual(data.map((row) => row.id), [filed[1]]);
+    assert.equal((await byCategory([])).count, 0);
+
+    await db.from('category_assignments').delete().eq('category_id', category.id);
+  });
+
+  // Only what websearch and the memory store's prefix matching agree on, see storage/memory/client.js
+  it('searches whole words, requiring every one', async () => {
+    const { error } = await db.from('announcements').insert([
+      { title: `${prefix} Harbour closed`, content: 'Ferries are cancelled', starts_at: new Date().toISOString() },
+    ]);
+    assert.equal(error, null);
+
+    const search = async (q) => {
+      const { data } = await db.from('announcements').select('*').like('title', `${prefix}%`).textSearch('search', q, {
+        type: 'websearch',
+        config: 'english',
+      });
+      return data.length;
+    };
+    assert.equal(await search('harbour'), 1);
+    assert.equal(await search('Harbour ferries'), 1);
+    assert.equal(await search('harbour bridge'), 0);
+  });
+});
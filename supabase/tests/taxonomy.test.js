@@ -0,0 +1,200 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+import { MAX_ROWS } from '../storage/memory/client.js';
+import { api, resetStore, loginAs, createPost, publishPost } from './helpers.js';
+
+describe('taxonomy-service', () => {
+  let editor;
+
+  const createCategory = async (fields) => {
+    const res = await api().post('/v1/taxonomy/create-category').set(...editor.auth).send(fields);
+    assert.equal(res.status, 201);
+    return res.body;
+  };
+
+  beforeEach(async () => {
+    resetStore();
+    editor = await loginAs('editor');
+  });
+
+  describe('categories', () => {
+    it('builds a tree and shows ancestors and children', async () => {
+      const news = await createCategory({ name: 'News' });
+      const local = await createCategory({ name: 'Local News', parent_id: news.id });
+      const city = await createCategory({ name: 'City', parent_id: local.id });
+      await createCategory({ name: 'Guides' });
+
+      assert.equal(local.slug, 'local-news');
+
+      const tree = await api().get('/v1/taxonomy/get-all-categories').expect(200);
+      assert.deepEqual(tree.body.map((category) => category.name), ['Guides', 'News']);
+      assert.equal(tree.body[1].children[0].children[0].name, 'City');
+
+      const one = await api().get(`/v1/taxonomy/get-category/${local.id}`).expect(200);
+      assert.deepEqual(one.body.ancestors.map((category) => category.id), [news.id]);
+      assert.deepEqual(one.body.children.map((category) => category.id), [city.id]);
+    });
+
+    it('rejects unknown parents, cycles and duplicate slugs', async () => {
+      const news = await createCategory({ name: 'News' });
+      const local = await createCategory({ name: 'Local', parent_id: news.id });
+
+      const unknown = await api().post('/v1/taxonomy/create-category').set(...editor.auth).send({ name: 'X', parent_id: 999 });
+      assert.equal(unknown.status, 422);
+
+      const cycle = await api()
+        .put('/v1/taxonomy/update-category')
+        .set(...editor.auth)
+        .send({ id: news.id, parent_id: local.id });
+      assert.equal(cycle.status, 422);
+
+      const duplicate = await api().post('/v1/taxonomy/create-category').set(...editor.auth).send({ name: 'News' });
+      assert.equal(duplicate.status, 409);
+    });
+
+    it('refuses to delete a category with subcategories', async () => {
+      const news = await createCategory({ name: 'News' });
+      const local = await createCategory({ name: 'Local', parent_id: news.id });
+
+      const blocked = await api().delete(`/v1/taxonomy/delete-category/${news.id}`).set(...editor.auth);
+      assert.equal(blocked.status, 409);
+      assert.deepEqual(blocked.body.error.details, [{ id: local.id, name: 'Local' }]);
+
+      await api().delete(`/v1/taxonomy/delete-category/${local.id}`).set(...editor.auth).expect(200);
+      await api().delete(`/v1/taxonomy/delete-category/${news.id}`).set(...editor.auth).expect(200);
+    });
+
+    it('is read-only for viewers', async () => {
+      const viewer = await loginAs('viewer');
+      const res = await api().post('/v1/taxonomy/create-category').set(...viewer.auth).send({ name: 'News' });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe('assignment and filtering', () => {
+    it('assigns categories and tags on create and update, creating new tags', async () => {
+      const news = await createCategory({ name: 'News' });
+      const post = await createPost(editor, { category_ids: [news.id], tags: ['Release', 'security'] });
+
+      assert.deepEqual(post.categories, [{ id: news.id, name: 'News', slug: 'news' }]);
+      assert.deepEqual(post.tags.map((tag) => tag.slug), ['release', 'security']);
+
+      const updated = await api()
+        .put('/v1/content/update-post')
+        .set(...editor.auth)
+        .send({ id: post.id, tags: ['release'] })
+        .expect(200);
+      assert.deepEqual(updated.body[0].tags.map((tag) => tag.slug), ['release']);
+      assert.equal(updated.body[0].categories.length, 1);
+
+      const tags = await api().get('/v1/taxonomy/get-all-tags').expect(200);
+      assert.deepEqual(tags.body.items.map((tag) => tag.name), ['Release', 'security']);
+    });
+
+    it('rejects unknown categories before creating anything', async () => {
+      const res = await api()
+        .post('/v1/content/create-post')
+        .set(...editor.auth)
+        .send({ title: 'Post', content: 'Body', category_ids: [999] });
+
+      assert.equal(res.status, 422);
+      assert.equal(res.body.error.details[0].field, 'category_ids[0]');
+
+      const list = await api().get('/v1/content/get-all-contents').set(...editor.auth);
+      assert.equal(list.body.total, 0);
+    });
+
+    it('filters posts by category, including subcategories, and by tag', async () => {
+      const news = await createCategory({ name: 'News' });
+      const local = await createCategory({ name: 'Local', parent_id: news.id });
+      await createPost(editor, { title: 'World', category_ids: [news.id], tags: ['big'] });
+      await createPost(editor, { title: 'Town', category_ids: [local.id], tags: ['small'] });
+      await createPost(editor, { title: 'Other', tags: ['small'] });
+
+      const titles = async (query) => {
+        const res = await api().get(`/v1/content/get-all-contents?sort=title&order=asc&${query}`).set(...editor.auth).expect(200);
+        return res.body.items.map((post) => post.title);
+      };
+
+      assert.deepEqual(await titles('category=news'), ['Town', 'World']);
+      assert.deepEqual(await titles('category=local'), ['Town']);
+      assert.deepEqual(await titles('tag=small'), ['Other', 'Town']);
+      assert.deepEqual(await titles('tag=big,small&category=local'), ['Town']);
+      assert.deepEqual(await titles('category=unknown'), []);
+    });
+
+    it('filters announcements by tag', async () => {
+      await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'Outage', content: 'Down', tags: ['ops'] })
+        .expect(201);
+      await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'Party', content: 'Cake' })
+        .expect(201);
+
+      const res = await api().get('/v1/announcements/get-all-announcements?tag=ops').expect(200);
+      assert.deepEqual(res.body.items.map((item) => item.title), ['Outage']);
+      assert.deepEqual(res.body.items[0].tags.map((tag) => tag.slug), ['ops']);
+    });
+  });
+
+  describe('GET /v1/taxonomy/get-tag-counts', () => {
+    it('counts published posts and current announcements per tag', async () => {
+      const published = await createPost(editor, { title: 'A', tags: ['guides', 'news'] });
+      await publishPost(editor, published.id);
+      const other = await createPost(editor, { title: 'B', tags: ['news'] });
+      await publishPost(editor, other.id);
+      await createPost(editor, { title: 'Draft', tags: ['news', 'secret'] });
+      await api()
+        .post('/v1/announcements/create-announcement')
+        .set(...editor.auth)
+        .send({ title: 'Now', content: 'x', tags: ['news'] })
+        .expect(201);
+
+      const all = await api().get('/v1/taxonomy/get-tag-counts').expect(200);
+      assert.deepEqual(
+        all.body.map(({ slug, count }) => [slug, count]),
+        [['news', 3], ['guides', 1]]
+      );
+
+      const posts = await api().get('/v1/taxonomy/get-tag-counts?resource_type=content_post').expect(200);
+      assert.deepEqual(posts.body.map(({ slug, count }) => [slug, count]), [['news', 2], ['guides', 1]]);
+
+      await api().get('/v1/taxonomy/get-tag-counts?resource_type=users').expect(400);
+    });
+  });
+
+  describe('beyond the rows of one response', () => {
+    const many = (make) => Array.from({ length: MAX_ROWS + 1 }, (_, i) => make(String(i).padStart(4, '0')));
+
+    it('reads every category', async () => {
+      await db.from('categories').insert(many((n) => ({ name: `Category ${n}`, slug: `category-${n}`, parent_id: null })));
+
+      const tree = await api().get('/v1/taxonomy/get-all-categories').expect(200);
+      assert.equal(tree.body.length, MAX_ROWS + 1);
+      assert.equal(tree.body.at(-1).name, `Category ${MAX_ROWS}`);
+    });
+
+    it('counts every tag in use and filters by any of them', async () => {
+      const post = await createPost(editor);
+      await publishPost(editor, post.id);
+      const { data: tags } = await db
+        .from('tags')
+        .insert(many((n) => ({ name: `tag ${n}`, slug: `tag-${n}` })))
+        .select('id');
+      await db
+        .from('tag_assignments')
+        .insert(tags.map((tag) => ({ tag_id: tag.id, resource_type: 'content_post', resource_id: post.id })));
+
+      const counts = await api().get('/v1/taxonomy/get-tag-counts').expect(200);
+      assert.equal(counts.body.length, MAX_ROWS + 1);
+
+      const list = await api().get(`/v1/content/get-all-contents?tag=tag-${MAX_ROWS}`).expect(200);
+      assert.deepEqual(list.body.items.map((item) => item.id), [post.id]);
+    });
+  });
+});
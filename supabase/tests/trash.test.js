@@ -0,0 +1,170 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '#storage';
+import { mailer } from '#mail';
+import { processDeliveries } from '#lib/distribution.js';
+import { purgeTrash, TRASH_RETENTION_DAYS } from '#lib/trash.js';
+import { distributeStartedAnnouncements } from '../functions/announcement-service/schedule.js';
+import { api, resetStore, createUser, loginAs, createPost, publishPost, subscribe, setQuota, PASSWORD } from './helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('trash', () => {
+  let admin;
+
+  const deletedAgo = (table, id, days) =>
+    db.from(table).update({ deleted_at: new Date(Date.now() - days * DAY_MS).toISOString() }).eq('id', id);
+
+  beforeEach(async () => {
+    resetStore();
+    mailer.clear();
+    admin = await loginAs('admin');
+  });
+
+  it('reports which ids were deleted and which were not found', async () => {
+    const one = await createUser({ email: 'one@example.com' });
+    const two = await createUser({ email: 'two@example.com' });
+
+    const res = await api()
+      .delete('/v1/users/delete-users')
+      .set(...admin.auth)
+      .send({ ids: [one.id, two.id, 999] })
+      .expect(200);
+    assert.deepEqual(res.body, { deleted: [one.id, two.id], not_found: [999] });
+
+    // Already in the trash counts as not found
+    const again = await api().delete(`/v1/users/delete-user/${one.id}`).set(...admin.auth).expect(200);
+    assert.deepEqual(again.body, { deleted: [], not_found: [one.id] });
+  });
+
+  it('signs trashed users out and lets them back in once restored', async () => {
+    await createUser({ email: 'sam@example.com' });
+    const login = await api().post('/v1/auth/login').send({ email: 'sam@example.com', password: PASSWORD }).expect(200);
+    const { id } = login.body.userData;
+
+    await api().delete(`/v1/users/delete-user/${id}`).set(...admin.auth).expect(200);
+
+    await api().get(`/v1/users/get-user/${id}`).set(...admin.auth).expect(404);
+    const list = await api().get('/v1/users/get-all-users').set(...admin.auth).expect(200);
+    assert.deepEqual(list.body.items.map((user) => user.email), ['admin@example.com']);
+    await api().post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken }).expect(401);
+    await api().post('/v1/auth/login').send({ email: 'sam@example.com', password: PASSWORD }).expect(401);
+
+    const trash = await api().get('/v1/users/get-trashed-users').set(...admin.auth).expect(200);
+    const [trashed] = trash.body.items;
+    assert.equal(trashed.email, 'sam@example.com');
+    assert.equal(trashed.password, undefined);
+    assert.equal(new Date(trashed.purge_at) - new Date(trashed.deleted_at), TRASH_RETENTION_DAYS * DAY_MS);
+
+    const restored = await api().post(`/v1/users/restore-user/${id}`).set(...admin.auth).expect(200);
+    assert.deepEqual(restored.body, { restored: [id], not_found: [] });
+    await api().post('/v1/auth/login').send({ email: 'sam@example.com', password: PASSWORD }).expect(200);
+  });
+
+  it('hides trashed posts and restores them with their tags', async () => {
+    const post = await createPost(admin, { tags: ['news'] });
+    await publishPost(admin, post.id);
+
+    await api().delete(`/v1/content/delete-post/${post.id}`).set(...admin.auth).expect(200);
+
+    await api().get(`/v1/content/get-content/${post.id}`).expect(404);
+    await api().get(`/v1/content/by-slug/${post.slug}`).expect(404);
+    assert.equal((await api().get('/v1/content/get-all-contents').set(...admin.auth)).body.total, 0);
+    assert.deepEqual((await api().get('/v1/taxonomy/get-tag-counts')).body, []);
+    await api().put('/v1/content/update-post').set(...admin.auth).send({ id: post.id, title: 'New' }).expect(404);
+
+    const trash = await api().get('/v1/content/get-trashed-posts').set(...admin.auth).expect(200);
+    assert.deepEqual(trash.body.items.map((item) => item.tags.map((tag) => tag.slug)), [['news']]);
+
+    await api().post('/v1/content/restore-posts').set(...admin.auth).send({ ids: [post.id] }).expect(200);
+    const restored = await api().get(`/v1/content/get-content/${post.id}`).expect(200);
+    assert.equal(restored.body.status, 'published');
+    assert.deepEqual(restored.body.tags.map((tag) => tag.slug), ['news']);
+  });
+
+  it('does not email trashed announcements or addresses', async () => {
+    const alice = await subscribe('alice@example.com');
+    await subscribe('bob@example.com');
+    const announcement = await api()
+      .post('/v1/announcements/create-announcement')
+      .set(...admin.auth)
+      .send({ title: 'Later', content: 'Soon', starts_at: new Date(Date.now() + DAY_MS).toISOString() })
+      .expect(201);
+
+    await api().delete(`/v1/registered-emails/delete-email/${alice.id}`).set(...admin.auth).expect(200);
+    const deleted = await api()
+      .delete('/v1/announcements/delete-announcements')
+      .set(...admin.auth)
+      .send({ ids: [announcement.body[0].id] })
+      .expect(200);
+    assert.deepEqual(deleted.body.deleted, [announcement.body[0].id]);
+
+    const list = await api().get('/v1/announcements/get-all-announcements').expect(200);
+    assert.equal(list.body.total, 0);
+    assert.deepEqual(await distributeStartedAnnouncements(new Date(Date.now() + DAY_MS + 1000)), []);
+
+    const post = await createPost(admin);
+    await publishPost(admin, post.id);
+    await processDeliveries();
+    assert.deepEqual(mailer.outbox.map((message) => message.to), ['bob@example.com']);
+  });
+
+  it('takes a trashed address back out when it registers again', async () => {
+    const alice = await subscribe('alice@example.com');
+    await api().delete(`/v1/registered-emails/delete-email/${alice.id}`).set(...admin.auth).expect(200);
+
+    await api().post('/v1/registered-emails/register').send({ email: 'alice@example.com' }).expect(202);
+
+    const { data } = await db.from('registered_emails').select('*').eq('id', alice.id).single();
+    assert.equal(data.deleted_at, null);
+    assert.equal(data.status, 'pending');
+    assert.equal(mailer.outbox.length, 1);
+  });
+
+  it('frees quota on delete and checks it again on restore', async () => {
+    await setQuota('content_posts', 1);
+    const first = await createPost(admin);
+    await api().delete(`/v1/content/delete-post/${first.id}`).set(...admin.auth).expect(200);
+    await createPost(admin, { title: 'Second' });
+
+    const quotas = await api().get('/v1/quotas').set(...admin.auth).expect(200);
+    assert.equal(quotas.body.find((quota) => quota.resource === 'content_posts').used, 1);
+
+    const restore = await api().post(`/v1/content/restore-post/${first.id}`).set(...admin.auth).expect(409);
+    assert.equal(restore.body.error.code, 'QUOTA_EXCEEDED');
+    const trash = await api().get('/v1/content/get-trashed-posts').set(...admin.auth).expect(200);
+    assert.deepEqual(trash.body.items.map((item) => item.id), [first.id]);
+  });
+
+  it('purges rows that have been in the trash longer than the retention', async () => {
+    const post = await createPost(admin);
+    const old = await createPost(admin, { title: 'Old' });
+    const email = await subscribe('alice@example.com');
+    await api().delete('/v1/content/delete-posts').set(...admin.auth).send({ ids: [post.id, old.id] }).expect(200);
+    await api().delete(`/v1/registered-emails/delete-email/${email.id}`).set(...admin.auth).expect(200);
+    await deletedAgo('content_posts', old.id, 31);
+    await deletedAgo('registered_emails', email.id, 31);
+
+    const purged = await purgeTrash(30);
+    assert.deepEqual(purged, { user: [], content_post: [old.id], announcement: [], registered_email: [email.id] });
+
+    const trash = await api().get('/v1/content/get-trashed-posts').set(...admin.auth).expect(200);
+    assert.deepEqual(trash.body.items.map((item) => item.id), [post.id]);
+    const restore = await api().post(`/v1/content/restore-post/${old.id}`).set(...admin.auth).expect(200);
+    assert.deepEqual(restore.body, { restored: [], not_found: [old.id] });
+
+    const audit = await api().get('/v1/audit/get-audit-log?action=content_post.purge').set(...admin.auth).expect(200);
+    assert.equal(audit.body.items[0].resource_id, String(old.id));
+    assert.equal(audit.body.items[0].actor_id, null);
+  });
+
+  it('keeps the trash to those who can delete', async () => {
+    const editor = await loginAs('editor');
+    await api().get('/v1/users/get-trashed-users').set(...editor.auth).expect(403);
+    await api().get('/v1/content/get-trashed-posts').set(...editor.auth).expect(200);
+
+    const viewer = await loginAs('viewer');
+    await api().get('/v1/content/get-trashed-posts').set(...viewer.auth).expect(403);
+    await api().post('/v1/announcements/restore-announcement/1').set(...viewer.auth).expect(403);
+  });
+});
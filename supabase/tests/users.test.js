@@ -0,0 +1,341 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { api, resetStore, createUser, loginAs, setQuota, PASSWORD } from './helpers.js';
+
+describe('user-service', () => {
+  let admin;
+
+  beforeEach(async () => {
+    resetStore();
+    admin = await loginAs('admin');
+  });
+
+  describe('GET /v1/users/get-all-users', () => {
+    it('returns a page of users', async () => {
+      await createUser({ email: 'a@example.com', first_name: 'Ann' });
+      await createUser({ email: 'b@example.com', first_name: 'Bob' });
+
+      const res = await api().get('/v1/users/get-all-users?limit=2').set(...admin.auth);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.items.length, 2);
+      assert.equal(res.body.total, 3);
+      assert.ok(res.body.nextCursor);
+
+      const next = await api().get(`/v1/users/get-all-users?limit=2&cursor=${res.body.nextCursor}`).set(...admin.auth);
+      assert.deepEqual(next.body.items.map((user) => user.email), ['b@example.com']);
+      assert.equal(next.body.nextCursor, null);
+    });
+
+    it('filters and searches', async () => {
+      await createUser({ email: 'editor@example.com', role: 'editor', first_name: 'Eddie' });
+
+      const byRole = await api().get('/v1/users/get-all-users?role=editor').set(...admin.auth);
+      assert.deepEqual(byRole.body.items.map((user) => user.email), ['editor@example.com']);
+
+      const bySearch = await api().get('/v1/users/get-all-users?q=edd').set(...admin.auth);
+      assert.equal(bySearch.body.total, 1);
+    });
+
+    it('rejects invalid list parameters', async () => {
+      const res = await api().get('/v1/users/get-all-users?sort=password').set(...admin.auth);
+      assert.equal(res.status, 400);
+    });
+
+    it('is readable by viewers', async () => {
+      const viewer = await loginAs('viewer');
+      const res = await api().get('/v1/users/get-all-users').set(...viewer.auth);
+      assert.equal(res.status, 200);
+    });
+  });
+
+  describe('GET /v1/users/get-user/:id', () => {
+    it('returns the user', async () => {
+      const user = await createUser({ email: 'a@example.com' });
+      const res = await api().get(`/v1/users/get-user/${user.id}`).set(...admin.auth);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.email, 'a@example.com');
+    });
+
+    it('returns 404 for an unknown id', async () => {
+      const res = await api().get('/v1/users/get-user/999').set(...admin.auth);
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe('POST /v1/users/create-user', () => {
+    it('creates a user with a hashed password', async () => {
+      const res = await api()
+        .post('/v1/users/create-user')
+        .set(...admin.auth)
+        .send({ email: 'new@example.com', password: 'Violet-Harbor-42', role: 'editor' });
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body[0].role, 'editor');
+
+      const login = await api().post('/v1/auth/login').send({ email: 'new@example.com', password: 'Violet-Harbor-42' });
+      assert.equal(login.status, 200);
+    });
+
+    it('rejects unknown fields and bad values', async () => {
+      const res = await api()
+        .post('/v1/users/create-user')
+        .set(...admin.auth)
+        .send({ email: 'bad', password: '1', role: 'root', id: 5 });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(
+        res.body.error.details.map((detail) => detail.field).sort(),
+        ['email', 'id', 'password', 'role']
+      );
+    });
+
+    it('rejects a duplicate email', async () => {
+      const res = await api()
+        .post('/v1/users/create-user')
+        .set(...admin.auth)
+        .send({ email: 'admin@example.com', password: 'Violet-Harbor-42' });
+
+      assert.equal(res.status, 409);
+    });
+
+    it('enforces the users quota', async () => {
+      await setQuota('users', 1);
+      const res = await api()
+        .post('/v1/users/create-user')
+        .set(...admin.auth)
+        .send({ email: 'new@example.com', password: 'Violet-Harbor-42' });
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'QUOTA_EXCEEDED');
+    });
+
+    it('is limited to admins', async () => {
+      const editor = await loginAs('editor');
+      const res = await api()
+        .post('/v1/users/create-user')
+        .set(...editor.auth)
+        .send({ email: 'new@example.com', password: 'Violet-Harbor-42' });
+
+      assert.equal(res.status, 403);
+      assert.deepEqual(res.body.error.details, { required: 'users:write', role: 'editor' });
+    });
+  });
+
+  describe('POST /v1/users/create-users', () => {
+    const createUsers = (body, query = '') => api().post(`/v1/users/create-users${query}`).set(...admin.auth).send(body);
+
+    it('creates every user and reports each one', async () => {
+      const res = await createUsers([
+        { email: 'one@example.com', password: 'Violet-Harbor-42' },
+        { email: 'two@example.com', password: 'Violet-Harbor-42', role: 'editor' },
+      ]);
+
+      assert.equal(res.status, 201);
+      assert.equal(res.body.mode, 'all-or-nothing');
+      assert.deepEqual(res.body.summary, { total: 2, created: 2, invalid: 0, duplicate: 0, 'over-limit': 0, skipped: 0 });
+      assert.deepEqual(res.body.results.map((result) => [result.index, result.result]), [[0, 'created'], [1, 'created']]);
+      assert.equal(res.body.results[1].user.role, 'editor');
+    });
+
+    it('rejects the whole batch when one item is invalid', async () => {
+      const res = await createUsers([{ email: 'one@example.com', password: 'Violet-Harbor-42' }, { email: 'two@example.com' }]);
+
+      assert.equal(res.status, 422);
+      const { summary, results } = res.body.error.details;
+      assert.equal(summary.skipped, 1);
+      assert.equal(results[0].result, 'skipped');
+      assert.equal(results[1].result, 'invalid');
+      assert.deepEqual(results[1].errors, [{ field: 'password', message: 'is required' }]);
+
+      const list = await api().get('/v1/users/get-all-users').set(...admin.auth);
+      assert.equal(list.body.total, 1);
+    });
+
+    it('applies the password policy to every user of the batch', async () => {
+      const res = await createUsers([
+        { email: 'one@example.com', password: 'Violet-Harbor-42' },
+        { email: 'two@example.com', password: 'qwerty123456' },
+      ]);
+
+      assert.equal(res.status, 422);
+      assert.deepEqual(res.body.error.details.results[1].errors, [
+        { field: 'password', message: 'is too common, it appears in lists of breached passwords' },
+      ]);
+    });
+
+    it('creates the valid items in partial mode and reports duplicates', async () => {
+      const res = await createUsers(
+        [
+          { email: 'one@example.com', password: 'Violet-Harbor-42' },
+          { email: 'admin@example.com', password: 'Violet-Harbor-42' },
+          { email: 'one@example.com', password: 'Violet-Harbor-42' },
+          { email: 'not-an-email', password: 'Violet-Harbor-42' },
+        ],
+        '?mode=partial'
+      );
+
+      assert.equal(res.status, 201);
+      assert.deepEqual(
+        res.body.results.map(({ result, reason }) => [result, reason]),
+        [
+          ['created', null],
+          ['duplicate', 'A user with this email already exists.'],
+          ['duplicate', 'Same email as item 0.'],
+          ['invalid', 'Does not match the CreateUser schema or the password policy.'],
+        ]
+      );
+    });
+
+    it('rejects duplicate emails with a conflict in all-or-nothing mode', async () => {
+      const res = await createUsers([{ email: 'admin@example.com', password: 'Violet-Harbor-42' }]);
+
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'CONFLICT');
+    });
+
+    it('creates nothing when the batch exceeds the quota', async () => {
+      await setQuota('users', 2);
+      const batch = [
+        { email: 'one@example.com', password: 'Violet-Harbor-42' },
+        { email: 'two@example.com', password: 'Violet-Harbor-42' },
+      ];
+
+      const res = await createUsers(batch);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error.code, 'QUOTA_EXCEEDED');
+      assert.equal(res.body.error.details.results[1].result, 'over-limit');
+
+      const partial = await createUsers(batch, '?mode=partial');
+      assert.equal(partial.status, 201);
+      assert.deepEqual(partial.body.results.map((result) => result.result), ['created', 'over-limit']);
+    });
+
+    it('reads users from CSV', async () => {
+      const csv = 'email,password,first_name,role\r\none@example.com,Violet-Harbor-42,Ann,editor\r\n\r\ntwo@example.com,weak,,viewer\r\n';
+      const res = await api()
+        .post('/v1/users/create-users?mode=partial')
+        .set(...admin.auth)
+        .set('Content-Type', 'text/csv')
+        .send(csv);
+
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.body.results.map(({ row, result }) => [row, result]), [[2, 'created'], [4, 'invalid']]);
+      assert.equal(res.body.results[0].user.first_name, 'Ann');
+    });
+
+    it('rejects unknown CSV columns, bad modes and empty batches', async () => {
+      const csv = await api()
+        .post('/v1/users/create-users')
+        .set(...admin.auth)
+        .set('Content-Type', 'text/csv')
+        .send('email,password,is_admin\na@example.com,Violet-Harbor-42,yes\n');
+      assert.equal(csv.status, 400);
+      assert.match(csv.body.error.message, /is_admin/);
+
+      assert.equal((await createUsers([], '')).status, 422);
+      assert.equal((await createUsers([{ email: 'a@example.com' }], '?mode=some')).status, 400);
+    });
+  });
+
+  describe('PUT /v1/users/update-user', () => {
+    it('updates the user and rehashes a new password', async () => {
+      const user = await createUser({ email: 'a@example.com' });
+      const res = await api()
+        .put('/v1/users/update-user')
+        .set(...admin.auth)
+        .send({ id: user.id, first_name: 'Ann', password: 'another-secret' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body[0].first_name, 'Ann');
+
+      const login = await api().post('/v1/auth/login').send({ email: 'a@example.com', password: 'another-secret' });
+      assert.equal(login.status, 200);
+    });
+
+    it('requires an id', async () => {
+      const res = await api().put('/v1/users/update-user').set(...admin.auth).send({ first_name: 'Ann' });
+      assert.equal(res.status, 422);
+    });
+
+    it('returns 404 for an unknown or trashed user', async () => {
+      await api().put('/v1/users/update-user').set(...admin.auth).send({ id: 9999, first_name: 'Ann' }).expect(404);
+
+      const user = await createUser({ email: 'a@example.com' });
+      await api().delete(`/v1/users/delete-user/${user.id}`).set(...admin.auth).expect(200);
+      await api().put('/v1/users/update-user').set(...admin.auth).send({ id: user.id, first_name: 'Ann' }).expect(404);
+    });
+  });
+
+  describe('DELETE /v1/users/delete-user/:id and /delete-users', () => {
+    it('deletes one user', async () => {
+      const user = await createUser({ email: 'a@example.com' });
+      const res = await api().delete(`/v1/users/delete-user/${user.id}`).set(...admin.auth);
+
+      assert.equal(res.status, 200);
+      const get = await api().get(`/v1/users/get-user/${user.id}`).set(...admin.auth);
+      assert.equal(get.status, 404);
+    });
+
+    it('deletes many users', async () => {
+      const a = await createUser({ email: 'a@example.com' });
+      const b = await createUser({ email: 'b@example.com' });
+
+      const res = await api().delete('/v1/users/delete-users').set(...admin.auth).send({ ids: [a.id, b.id] });
+
+      assert.equal(res.status, 200);
+      const list = await api().get('/v1/users/get-all-users').set(...admin.auth);
+      assert.equal(list.body.total, 1);
+    });
+
+    it('requires a list of ids', async () => {
+      const res = await api().delete('/v1/users/delete-users').set(...admin.auth).send({ ids: [] });
+      assert.equal(res.status, 422);
+    });
+  });
+
+  describe('user representations', () => {
+    // Every response that carries users, checked for anything that looks like a password
+    const assertNoSecrets = (body) => {
+      const json = JSON.stringify(body);
+      assert.doesNotMatch(json, /"password"/);
+      assert.doesNotMatch(json, /\$2[aby]\$/);
+    };
+
+    it('never returns password hashes', async () => {
+      const user = await createUser({ email: 'a@example.com', first_name: 'Ann' });
+
+      const responses = await Promise.all([
+        api().get('/v1/users/get-all-users').set(...admin.auth),
+        api().get(`/v1/users/get-user/${user.id}`).set(...admin.auth),
+        api().post('/v1/users/create-user').set(...admin.auth).send({ email: 'b@example.com', password: 'Violet-Harbor-42' }),
+        api().post('/v1/users/create-users').set(...admin.auth).send([{ email: 'c@example.com', password: 'Violet-Harbor-42' }]),
+        api().put('/v1/users/update-user').set(...admin.auth).send({ id: user.id, password: 'Amber-Meadow-77' }),
+        api().post('/v1/auth/login').send({ email: 'admin@example.com', password: PASSWORD }),
+      ]);
+
+      for (const res of responses) {
+        assert.ok(res.status < 300, `${res.req.path}: ${res.status}`);
+        assertNoSecrets(res.body);
+      }
+      assert.ok(responses[1].body.created_at);
+      assert.equal(responses[5].body.userData.email, 'admin@example.com');
+    });
+
+    it('shows account bookkeeping to admins and the user themself only', async () => {
+      const viewer = await loginAs('viewer');
+      const other = await createUser({ email: 'other@example.com', first_name: 'Otto' });
+
+      const list = await api().get('/v1/users/get-all-users?sort=email&order=asc').set(...viewer.auth).expect(200);
+      const byEmail = Object.fromEntries(list.body.items.map((user) => [user.email, user]));
+      assert.deepEqual(Object.keys(byEmail['other@example.com']).sort(), ['email', 'first_name', 'id', 'role']);
+      assert.ok(byEmail['viewer@example.com'].created_at);
+      assertNoSecrets(list.body);
+
+      const one = await api().get(`/v1/users/get-user/${other.id}`).set(...viewer.auth).expect(200);
+      assert.equal(one.body.first_name, 'Otto');
+      assert.equal(one.body.created_at, undefined);
+    });
+  });
+});